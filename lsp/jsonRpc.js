@@ -0,0 +1,83 @@
+// JSON-RPC 2.0 over the `Content-Length` framed streams the Language Server
+// Protocol uses on stdio.
+
+export const ErrorCodes = {
+  ParseError: -32700,
+  MethodNotFound: -32601,
+  InternalError: -32603,
+  RequestFailed: -32803
+};
+
+// An error a request handler throws to answer with a specific error code
+export const responseError = (code, message) => Object.assign(new Error(message), { code });
+
+export const createConnection = (input, output) => {
+  const requestHandlers = new Map();
+  const notificationHandlers = new Map();
+  let buffer = Buffer.alloc(0);
+  // Messages are handled one at a time, in the order they arrive, so a
+  // request always sees the document changes sent before it
+  let queue = Promise.resolve();
+
+  const send = (message) => {
+    const json = JSON.stringify({ jsonrpc: '2.0', ...message });
+    output.write(`Content-Length: ${Buffer.byteLength(json, 'utf8')}\r\n\r\n${json}`);
+  };
+
+  const handleRequest = async ({ id, method, params }) => {
+    const handler = requestHandlers.get(method);
+    if (!handler) {
+      send({ id, error: { code: ErrorCodes.MethodNotFound, message: `Unhandled method ${method}` } });
+      return;
+    }
+    try {
+      const result = await handler(params);
+      send({ id, result: result ?? null });
+    } catch (error) {
+      send({ id, error: { code: error.code ?? ErrorCodes.InternalError, message: error.message } });
+    }
+  };
+
+  // Responses to requests from the server are not used
+  const handle = async (message) => {
+    if (!message.method) return;
+    if (message.id !== undefined) {
+      await handleRequest(message);
+      return;
+    }
+    const handler = notificationHandlers.get(message.method);
+    if (handler) await handler(message.params);
+  };
+
+  input.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const length = buffer.subarray(0, headerEnd).toString('ascii').match(/Content-Length: *(\d+)/i);
+      const bodyStart = headerEnd + 4;
+      if (!length) {
+        buffer = buffer.subarray(bodyStart);
+        continue;
+      }
+      if (buffer.length < bodyStart + Number(length[1])) return;
+
+      const body = buffer.subarray(bodyStart, bodyStart + Number(length[1])).toString('utf8');
+      buffer = buffer.subarray(bodyStart + Number(length[1]));
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        send({ id: null, error: { code: ErrorCodes.ParseError, message: error.message } });
+        continue;
+      }
+      queue = queue.then(() => handle(message)).catch(() => {});
+    }
+  });
+
+  return {
+    onRequest: (method, handler) => requestHandlers.set(method, handler),
+    onNotification: (method, handler) => notificationHandlers.set(method, handler),
+    sendNotification: (method, params) => send({ method, params })
+  };
+};
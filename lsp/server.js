@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// Language server for the data model DSL.
+//
+// Speaks the Language Server Protocol over stdio, so any editor with an LSP
+// client can edit `.dm` files with the diagnostics, lint rules, completion,
+// hover, navigation, quick fixes, formatting and rename of the web editor,
+// from the same modules:
+//
+//   node lsp/server.js --stdio
+//
+// For CI, `--check` prints the diagnostics of the schemas under the given
+// files or directories and exits with 1 when one has errors or lint results
+// its lint config blocks saving on:
+//
+//   node lsp/server.js --check schemas/
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createConnection, responseError, ErrorCodes } from './jsonRpc.js';
+import { createWorkspace } from './workspace.js';
+import { blockingDiagnostics } from '../src/lib/schemaLinter.js';
+import { formatSchema } from '../src/lib/schemaFormatter.js';
+import { getCompletions } from '../src/lib/schemaCompletion.js';
+import { getCodeActions, typeNamesOf } from '../src/lib/schemaQuickFixes.js';
+import { buildSymbolTable, symbolAt, findReferences, renameSymbol, hoverAt } from '../src/lib/schemaSymbols.js';
+
+// LSP positions are 0-based, the schema modules' are 1-based
+const fromLspPosition = ({ line, character }) => ({ line: line + 1, column: character + 1 });
+const toLspPosition = ({ line, column }) => ({ line: line - 1, character: column - 1 });
+const fromLspRange = ({ start, end }) => ({ start: fromLspPosition(start), end: fromLspPosition(end) });
+const toLspRange = ({ start, end }) => ({ start: toLspPosition(start), end: toLspPosition(end) });
+
+const DiagnosticSeverity = { error: 1, warning: 2, info: 3 };
+
+const CompletionItemKind = {
+  type: 25, // TypeParameter
+  entity: 7, // Class
+  enum: 13, // Enum
+  alias: 25, // TypeParameter
+  template: 8, // Interface
+  field: 5, // Field
+  modifier: 10, // Property
+  attribute: 10, // Property
+  value: 20 // EnumMember
+};
+
+const toLspDiagnostic = (diagnostic) => ({
+  range: toLspRange(diagnostic.range),
+  severity: DiagnosticSeverity[diagnostic.severity] ?? DiagnosticSeverity.warning,
+  code: diagnostic.code,
+  source: 'datamodel',
+  message: diagnostic.message
+});
+
+const startServer = () => {
+  const connection = createConnection(process.stdin, process.stdout);
+  const workspace = createWorkspace();
+  let isShutDown = false;
+
+  // Every file of the schema is republished, since a change in one file can
+  // fix or break references in the others
+  const publishDiagnostics = (uri) => {
+    const schema = workspace.schemaFor(uri);
+    for (const [fileUri, diagnostics] of schema.diagnostics) {
+      connection.sendNotification('textDocument/publishDiagnostics', {
+        uri: fileUri,
+        diagnostics: diagnostics.map(toLspDiagnostic)
+      });
+    }
+  };
+
+  // Symbol tables know files by name, which qualified names are resolved
+  // against; `fileName` and `toLocation` translate to and from URIs
+  const symbolContext = (uri) => {
+    const schema = workspace.schemaFor(uri);
+    const table = buildSymbolTable(schema.files.map(({ name, content }) => ({ name, content })));
+    const uriOf = (name) => schema.files.find(file => file.name === name).uri;
+    return {
+      schema,
+      table,
+      fileName: schema.files.find(file => file.uri === uri).name,
+      uriOf,
+      toLocation: ({ file, range }) => ({ uri: uriOf(file), range: toLspRange(range) })
+    };
+  };
+
+  connection.onRequest('initialize', () => ({
+    capabilities: {
+      textDocumentSync: 1, // Full
+      completionProvider: { triggerCharacters: ['@', '.', '(', ':'] },
+      hoverProvider: true,
+      definitionProvider: true,
+      referencesProvider: true,
+      renameProvider: { prepareProvider: true },
+      documentFormattingProvider: true,
+      codeActionProvider: { codeActionKinds: ['quickfix', 'refactor.rewrite'] }
+    },
+    serverInfo: { name: 'datamodel-language-server' }
+  }));
+
+  connection.onNotification('textDocument/didOpen', ({ textDocument }) => {
+    workspace.open(textDocument.uri, textDocument.text);
+    publishDiagnostics(textDocument.uri);
+  });
+
+  connection.onNotification('textDocument/didChange', ({ textDocument, contentChanges }) => {
+    workspace.change(textDocument.uri, contentChanges[contentChanges.length - 1].text);
+    publishDiagnostics(textDocument.uri);
+  });
+
+  connection.onNotification('textDocument/didClose', ({ textDocument }) => {
+    workspace.close(textDocument.uri);
+    publishDiagnostics(textDocument.uri);
+  });
+
+  connection.onRequest('textDocument/completion', ({ textDocument, position }) => {
+    const schema = workspace.schemaFor(textDocument.uri);
+    const line = workspace.textOf(textDocument.uri).split('\n')[position.line] ?? '';
+    const items = getCompletions(line.slice(0, position.character), schema.result, schema.fileNameOf(textDocument.uri));
+    return items.map((item, index) => ({
+      label: item.label,
+      kind: CompletionItemKind[item.kind],
+      detail: item.detail,
+      insertText: item.insertText,
+      insertTextFormat: item.isSnippet ? 2 : 1, // Snippet or PlainText
+      sortText: String(index).padStart(4, '0')
+    }));
+  });
+
+  connection.onRequest('textDocument/hover', ({ textDocument, position }) => {
+    const { schema, table, fileName } = symbolContext(textDocument.uri);
+    const hover = hoverAt(table, fileName, fromLspPosition(position), schema.result);
+    return hover && { contents: { kind: 'markdown', value: hover.contents }, range: toLspRange(hover.range) };
+  });
+
+  connection.onRequest('textDocument/definition', ({ textDocument, position }) => {
+    const { table, fileName, toLocation } = symbolContext(textDocument.uri);
+    const found = symbolAt(table, fileName, fromLspPosition(position));
+    return found && toLocation({ file: found.symbol.file, range: found.symbol.range });
+  });
+
+  connection.onRequest('textDocument/references', ({ textDocument, position, context }) => {
+    const { table, fileName, toLocation } = symbolContext(textDocument.uri);
+    const found = symbolAt(table, fileName, fromLspPosition(position));
+    if (!found) return [];
+    return findReferences(table, found.symbol.key, { includeDeclaration: context?.includeDeclaration ?? true })
+      .map(toLocation);
+  });
+
+  connection.onRequest('textDocument/prepareRename', ({ textDocument, position }) => {
+    const { table, fileName } = symbolContext(textDocument.uri);
+    const found = symbolAt(table, fileName, fromLspPosition(position));
+    return found && { range: toLspRange(found.range), placeholder: found.symbol.name };
+  });
+
+  connection.onRequest('textDocument/rename', ({ textDocument, position, newName }) => {
+    const { table, fileName, uriOf } = symbolContext(textDocument.uri);
+    const result = renameSymbol(table, fileName, fromLspPosition(position), newName);
+    if (result.error) throw responseError(ErrorCodes.RequestFailed, result.error);
+
+    const changes = {};
+    for (const edit of result.edits) {
+      (changes[uriOf(edit.file)] ||= []).push({ range: toLspRange(edit.range), newText: edit.text });
+    }
+    return { changes };
+  });
+
+  connection.onRequest('textDocument/formatting', ({ textDocument }) => {
+    const source = workspace.textOf(textDocument.uri);
+    const formatted = formatSchema(source);
+    if (formatted === null || formatted === source) return [];
+    const lines = source.split('\n');
+    return [{
+      range: { start: { line: 0, character: 0 }, end: { line: lines.length - 1, character: lines[lines.length - 1].length } },
+      newText: formatted
+    }];
+  });
+
+  connection.onRequest('textDocument/codeAction', ({ textDocument, range, context }) => {
+    const schema = workspace.schemaFor(textDocument.uri);
+    const lspDiagnostics = context.diagnostics.filter(diagnostic => diagnostic.source === 'datamodel');
+    const diagnostics = lspDiagnostics.map(diagnostic => ({
+      code: diagnostic.code,
+      message: diagnostic.message,
+      range: fromLspRange(diagnostic.range)
+    }));
+    const actions = getCodeActions(workspace.textOf(textDocument.uri), {
+      diagnostics,
+      range: fromLspRange(range),
+      typeNames: typeNamesOf(schema.result, schema.fileNameOf(textDocument.uri))
+    });
+    return actions.map(action => ({
+      title: action.title,
+      kind: action.kind,
+      isPreferred: action.isPreferred,
+      diagnostics: action.diagnostics.map(diagnostic => lspDiagnostics[diagnostics.indexOf(diagnostic)]),
+      edit: {
+        changes: {
+          [textDocument.uri]: action.edits.map(edit => ({ range: toLspRange(edit.range), newText: edit.text }))
+        }
+      }
+    }));
+  });
+
+  connection.onRequest('shutdown', () => {
+    isShutDown = true;
+    return null;
+  });
+
+  connection.onNotification('exit', () => {
+    process.exit(isShutDown ? 0 : 1);
+  });
+};
+
+// Prints `path:line:column: severity message [code]` for every diagnostic and
+// returns the exit code
+const check = (paths) => {
+  const workspace = createWorkspace();
+  let failed = false;
+  for (const schema of workspace.schemasUnder(paths.length > 0 ? paths : ['.'])) {
+    const blocking = blockingDiagnostics(schema.lintDiagnostics, schema.lintConfig);
+    for (const [uri, diagnostics] of schema.diagnostics) {
+      const file = path.relative(process.cwd(), fileURLToPath(uri));
+      for (const { range, severity, message, code } of diagnostics) {
+        process.stdout.write(`${file}:${range.start.line}:${range.start.column}: ${severity} ${message} [${code}]\n`);
+      }
+    }
+    // Errors always fail; lint results only at the severity the config blocks on
+    if (!schema.result.isValid || blocking.length > 0) failed = true;
+  }
+  return failed ? 1 : 0;
+};
+
+const args = process.argv.slice(2);
+if (args[0] === '--check') {
+  process.exitCode = check(args.slice(1));
+} else {
+  startServer();
+}
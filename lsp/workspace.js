@@ -0,0 +1,118 @@
+// Documents known to the language server and the schemas they belong to.
+//
+// A `.dm` file is one file of the schema made of every `.dm` file in its
+// directory, just like the files of a data model in the web editor, since
+// they refer to each other with `import "name"`. Open documents are read from
+// the editor and the other files from disk. Documents that are not files on
+// disk, such as unsaved buffers, are a schema of their own.
+//
+// An optional `.dmlint.json` next to the files holds the lint config, in the
+// same shape as a data model's `lintConfig`.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseDataModelSchema, parseDataModelFiles } from '../src/lib/modelParser.js';
+import { lintSchema, DEFAULT_LINT_CONFIG } from '../src/lib/schemaLinter.js';
+import { SCHEMA_FILE_EXTENSION } from '../src/lib/schemaFiles.js';
+
+export const LINT_CONFIG_FILE = '.dmlint.json';
+
+const readLintConfig = (directory) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(directory, LINT_CONFIG_FILE), 'utf8'));
+  } catch {
+    return DEFAULT_LINT_CONFIG;
+  }
+};
+
+// Validates and lints `files` ([{ uri, name, content }]). Diagnostics are
+// grouped by the URI of the file they belong to.
+const analyze = (files, lintConfig) => {
+  const isSplit = files.length > 1;
+  const result = isSplit
+    ? parseDataModelFiles(files.map(({ name, content }) => ({ name, content })))
+    : parseDataModelSchema(files[0].content);
+
+  const lintDiagnostics = lintSchema(result, lintConfig);
+  const uriOf = new Map(files.map(file => [file.name, file.uri]));
+  const diagnostics = new Map(files.map(file => [file.uri, []]));
+  for (const diagnostic of [...result.diagnostics, ...lintDiagnostics]) {
+    const uri = isSplit ? uriOf.get(diagnostic.file) : files[0].uri;
+    diagnostics.get(uri)?.push(diagnostic);
+  }
+
+  return {
+    files,
+    result,
+    lintConfig,
+    lintDiagnostics,
+    diagnostics,
+    // The name completion and code actions qualify other files' names against
+    fileNameOf: (uri) => (isSplit ? files.find(file => file.uri === uri)?.name : null)
+  };
+};
+
+export const createWorkspace = () => {
+  const documents = new Map();
+
+  const schemaFiles = (directory) => {
+    let names;
+    try {
+      names = fs.readdirSync(directory).filter(name => name.endsWith(SCHEMA_FILE_EXTENSION)).sort();
+    } catch {
+      names = [];
+    }
+    const files = names.map(name => {
+      const uri = pathToFileURL(path.join(directory, name)).href;
+      const content = documents.has(uri) ? documents.get(uri) : fs.readFileSync(path.join(directory, name), 'utf8');
+      return { uri, name, content };
+    });
+    // Open documents that are not on disk yet
+    for (const [uri, content] of documents) {
+      if (!uri.startsWith('file:') || files.some(file => file.uri === uri)) continue;
+      const filePath = fileURLToPath(uri);
+      if (path.dirname(filePath) === directory && filePath.endsWith(SCHEMA_FILE_EXTENSION)) {
+        files.push({ uri, name: path.basename(filePath), content });
+      }
+    }
+    return files;
+  };
+
+  // The analyzed schema that the document at `uri` belongs to
+  const schemaFor = (uri) => {
+    const alone = () => analyze([{ uri, name: uri.split('/').pop(), content: documents.get(uri) ?? '' }], DEFAULT_LINT_CONFIG);
+    if (!uri.startsWith('file:') || !uri.endsWith(SCHEMA_FILE_EXTENSION)) return alone();
+
+    const directory = path.dirname(fileURLToPath(uri));
+    const files = schemaFiles(directory);
+    return files.length > 0 ? analyze(files, readLintConfig(directory)) : alone();
+  };
+
+  // The schemas of every directory under `paths` (files or directories), for
+  // checking a project without an editor
+  const schemasUnder = (paths) => {
+    const directories = new Set();
+    const visit = (target) => {
+      const stat = fs.statSync(target);
+      if (stat.isFile()) {
+        if (target.endsWith(SCHEMA_FILE_EXTENSION)) directories.add(path.dirname(path.resolve(target)));
+        return;
+      }
+      for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+        if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+        if (entry.isDirectory() || entry.name.endsWith(SCHEMA_FILE_EXTENSION)) visit(path.join(target, entry.name));
+      }
+    };
+    paths.forEach(visit);
+    return [...directories].sort().map(directory => analyze(schemaFiles(directory), readLintConfig(directory)));
+  };
+
+  return {
+    open: (uri, content) => documents.set(uri, content),
+    change: (uri, content) => documents.set(uri, content),
+    close: (uri) => documents.delete(uri),
+    textOf: (uri) => documents.get(uri) ?? '',
+    schemaFor,
+    schemasUnder
+  };
+};
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ModelEntity" ADD COLUMN     "constraints" JSONB;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Field" ADD COLUMN     "enumId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ModelEnum" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "values" JSONB NOT NULL,
+    "dataModelId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ModelEnum_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "Field" ADD CONSTRAINT "Field_enumId_fkey" FOREIGN KEY ("enumId") REFERENCES "ModelEnum"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ModelEnum" ADD CONSTRAINT "ModelEnum_dataModelId_fkey" FOREIGN KEY ("dataModelId") REFERENCES "DataModel"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
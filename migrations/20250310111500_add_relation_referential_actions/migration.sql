@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Relation" ADD COLUMN     "onDelete" TEXT,
+ADD COLUMN     "onUpdate" TEXT;
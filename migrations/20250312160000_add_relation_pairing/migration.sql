@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Relation" ADD COLUMN     "inverseFieldId" INTEGER,
+ADD COLUMN     "joinEntityId" INTEGER;
+
+-- AddForeignKey
+ALTER TABLE "Relation" ADD CONSTRAINT "Relation_inverseFieldId_fkey" FOREIGN KEY ("inverseFieldId") REFERENCES "Field"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Relation" ADD CONSTRAINT "Relation_joinEntityId_fkey" FOREIGN KEY ("joinEntityId") REFERENCES "ModelEntity"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Field" ADD COLUMN     "inheritedFrom" TEXT;
+
+-- AlterTable
+ALTER TABLE "ModelEntity" ADD COLUMN     "baseEntity" TEXT,
+ADD COLUMN     "kind" TEXT NOT NULL DEFAULT 'entity',
+ADD COLUMN     "mixins" JSONB;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Field" ADD COLUMN     "typeAliasId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ModelTypeAlias" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "definition" TEXT NOT NULL,
+    "baseType" TEXT NOT NULL,
+    "typeParams" JSONB,
+    "constraints" JSONB,
+    "defaultValue" TEXT,
+    "dataModelId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ModelTypeAlias_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "Field" ADD CONSTRAINT "Field_typeAliasId_fkey" FOREIGN KEY ("typeAliasId") REFERENCES "ModelTypeAlias"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ModelTypeAlias" ADD CONSTRAINT "ModelTypeAlias_dataModelId_fkey" FOREIGN KEY ("dataModelId") REFERENCES "DataModel"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
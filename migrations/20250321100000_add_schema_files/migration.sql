@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "ModelEntity" ADD COLUMN     "schemaFileId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "ModelEnum" ADD COLUMN     "schemaFileId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "ModelTypeAlias" ADD COLUMN     "schemaFileId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "SchemaFile" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "imports" JSONB NOT NULL,
+    "position" INTEGER NOT NULL,
+    "dataModelId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SchemaFile_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "ModelEntity" ADD CONSTRAINT "ModelEntity_schemaFileId_fkey" FOREIGN KEY ("schemaFileId") REFERENCES "SchemaFile"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ModelEnum" ADD CONSTRAINT "ModelEnum_schemaFileId_fkey" FOREIGN KEY ("schemaFileId") REFERENCES "SchemaFile"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ModelTypeAlias" ADD CONSTRAINT "ModelTypeAlias_schemaFileId_fkey" FOREIGN KEY ("schemaFileId") REFERENCES "SchemaFile"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SchemaFile" ADD CONSTRAINT "SchemaFile_dataModelId_fkey" FOREIGN KEY ("dataModelId") REFERENCES "DataModel"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "DataModel" ADD COLUMN     "schemaSource" TEXT;
+
+-- AlterTable
+ALTER TABLE "Field" ADD COLUMN     "isArray" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "SchemaFile" ADD COLUMN     "content" TEXT;
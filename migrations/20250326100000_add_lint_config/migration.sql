@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "DataModel" ADD COLUMN     "lintConfig" JSONB;
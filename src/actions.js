@@ -1,5 +1,16 @@
 import { HttpError } from 'wasp/server'
-import { parseDataModelSchema } from './lib/modelParser'
+import { parseDataModelSchema, parseDataModelFiles } from './lib/modelParser'
+import { isValidFileName } from './lib/schemaFiles'
+import { lintSchema, blockingDiagnostics, lintConfigProblem } from './lib/schemaLinter'
+import { formatDiagnostic } from './lib/diagnostics'
+import { generateDdl } from './lib/sqlExport'
+import { SQL_DIALECTS } from './lib/sqlDialects'
+import { generatePrismaSchema } from './lib/prismaExport'
+import { generateTypeScript, RELATION_MODES } from './lib/typescriptExport'
+import { generateGraphqlSchema, LIST_STYLES } from './lib/graphqlExport'
+import { withExportedNames } from './lib/schemaNames'
+import { printSchema, createEntity, createField, basicFieldModifiers } from './lib/schemaFormatter'
+import { writeSchemaRows } from './lib/schemaRows'
 import { PrismaClient } from '@prisma/client'
 import OpenAI from 'openai'
 import { getDataModelSchema } from 'wasp/src/queries';
@@ -23,7 +34,7 @@ export const createDataModel = async ({ name, version = '1', description }, cont
   return newDataModel;
 }
 
-export const updateDataModel = async ({ dataModelId, name, version, description }, context) => {
+export const updateDataModel = async ({ dataModelId, name, version, description, lintConfig }, context) => {
   if (!context.user) { throw new HttpError(401) };
 
   const dataModel = await context.entities.DataModel.findUnique({
@@ -32,21 +43,38 @@ export const updateDataModel = async ({ dataModelId, name, version, description
   if (!dataModel) { throw new HttpError(404, 'DataModel not found') };
   if (dataModel.userId !== context.user.id) { throw new HttpError(403) };
 
+  if (lintConfig !== undefined) {
+    const problem = lintConfigProblem(lintConfig);
+    if (problem) { throw new HttpError(400, problem) };
+  }
+
   return context.entities.DataModel.update({
     where: { id: parseInt(dataModelId) },
-    data: { name, version, description }
+    data: { name, version, description, lintConfig }
   });
 }
 
-export const saveDataModelSchema = async ({ dataModelId, schema }, context) => {
+// Saves either a single `schema` text or, for models split into files,
+// `files` as [{ name, content }], which are validated together.
+export const saveDataModelSchema = async ({ dataModelId, schema, files }, context) => {
   if (!context.user) { throw new HttpError(401, 'Authentication required') };
-  const parsedSchema = parseDataModelSchema(schema);
+  if (files) {
+    const fileNames = files.map(file => file.name);
+    const invalidName = fileNames.find(name => !isValidFileName(name));
+    if (invalidName !== undefined) {
+      throw new HttpError(400, `Invalid schema file name "${invalidName}", expected e.g. billing.dm`);
+    }
+    if (new Set(fileNames).size !== fileNames.length) {
+      throw new HttpError(400, 'Schema file names must be unique');
+    }
+  }
+  const parsedSchema = files ? parseDataModelFiles(files) : parseDataModelSchema(schema);
 
   if (!parsedSchema || !parsedSchema.isValid) {
     console.error('Schema validation failed:', parsedSchema?.errors);
-    throw new HttpError(400, {
-      message: 'Invalid schema',
-      details: parsedSchema?.errors || ['Schema parsing failed']
+    throw new HttpError(400, 'Invalid schema', {
+      details: parsedSchema?.errors || ['Schema parsing failed'],
+      diagnostics: parsedSchema?.diagnostics || []
     });
   }
 
@@ -71,100 +99,23 @@ export const saveDataModelSchema = async ({ dataModelId, schema }, context) => {
           throw new HttpError(403, 'User not authorized to modify this DataModel') 
         };
 
-        // Delete existing relations and fields first
-        await tx.Relation.deleteMany({
-          where: { dataModelId: parseInt(dataModelId) }
-        });
-        await tx.Field.deleteMany({
-          where: { entity: { dataModelId: parseInt(dataModelId) } }
-        });
-        await tx.ModelEntity.deleteMany({
-          where: { dataModelId: parseInt(dataModelId) }
-        });
-
-        // Create entities and their fields
-        const entityFieldMap = new Map();
-        for (const [entityName, entityData] of Object.entries(parsedSchema.entities)) {
-          const createdEntity = await tx.ModelEntity.create({
-            data: {
-              name: entityName,
-              dataModelId: parseInt(dataModelId),
-            }
+        // Lint problems only block the save when the model's lint config says so
+        const lintDiagnostics = lintSchema(parsedSchema, dataModel.lintConfig);
+        const blocking = blockingDiagnostics(lintDiagnostics, dataModel.lintConfig);
+        if (blocking.length > 0) {
+          throw new HttpError(400, 'Schema has lint problems', {
+            details: blocking.map(formatDiagnostic),
+            diagnostics: [...parsedSchema.diagnostics, ...lintDiagnostics]
           });
-
-          // Create fields and store them in the map
-          const fieldMap = new Map();
-          for (const [fieldName, fieldType] of Object.entries(entityData.fields)) {            
-            let processedFieldType;
-            if (typeof fieldType === 'string') {
-              processedFieldType = fieldType.replace('[]', '').split('.')[0]; // Remove array notation and get base type
-            } else if (fieldType && typeof fieldType === 'object' && fieldType.type) {
-              processedFieldType = fieldType.type.replace('[]', '').split('.')[0];
-            } else {
-              console.error('Invalid field type:', fieldType);
-              throw new HttpError(400, `Invalid field type for ${fieldName}`);
-            }
-
-            const createdField = await tx.Field.create({
-              data: {
-                name: fieldName,
-                fieldType: processedFieldType,
-                isRequired: !fieldType.isNullable,
-                isUnique: fieldType.isUnique,
-                isIndex: fieldType.isIndex,
-                isPrimary: fieldType.isPrimary,
-                defaultValue: fieldType.defaultValue,
-                enumValues: fieldType.enumValues ? JSON.stringify(fieldType.enumValues) : null,
-                entityId: createdEntity.id
-              }
-            });
-            fieldMap.set(fieldName, createdField);
-          }
-          entityFieldMap.set(entityName, { entity: createdEntity, fields: fieldMap });
         }
 
-        // Create relations with field references
-        for (const [relationKey, relation] of Object.entries(parsedSchema.relations)) {
-          const fromEntityData = entityFieldMap.get(relation.fromEntity);
-          const toEntityData = entityFieldMap.get(relation.toEntity);
-          
-          if (!fromEntityData || !toEntityData) {
-            console.error('Missing entity data:', { fromEntity: relation.fromEntity, toEntity: relation.toEntity });
-            continue;
-          }
-
-          const fromField = fromEntityData.fields.get(relation.fieldName);
-          const toField = relation.referencedField 
-            ? toEntityData.fields.get(relation.referencedField)
-            : toEntityData.fields.get('id');
-
-          if (!fromField || !toField) {
-            console.error('Missing field data:', { 
-              fromField: relation.fieldName, 
-              toField: relation.referencedField || 'id',
-              fromEntityFields: Array.from(fromEntityData.fields.keys()),
-              toEntityFields: Array.from(toEntityData.fields.keys())
-            });
-            continue;
-          }
-
-          await tx.Relation.create({
-            data: {
-              name: `${relation.fromEntity}_${relation.fieldName}_${relation.toEntity}`,
-              relationType: 'FOREIGN_KEY',
-              fromEntityId: fromEntityData.entity.id,
-              toEntityId: toEntityData.entity.id,
-              fromFieldId: fromField.id,
-              toFieldId: toField.id,
-              cardinality: relation.cardinality,
-              dataModelId: parseInt(dataModelId)
-            }
-          });
-        }
+        await writeSchemaRows(tx, parseInt(dataModelId), parsedSchema, { schema, files });
 
         return dataModel;
       } catch (txError) {
         console.error('Transaction failed:', txError);
+        if (txError instanceof HttpError) throw txError;
+        if (txError.isInvalidSchema) throw new HttpError(400, txError.message);
         throw new HttpError(500, 'Failed to save data model schema');
       }
     });
@@ -177,6 +128,90 @@ export const saveDataModelSchema = async ({ dataModelId, schema }, context) => {
   }
 };
 
+// A saved data model with everything the exports read, owned by the user,
+// with names that several schema files declare made unique
+const findExportedDataModel = async (dataModelId, context) => {
+  const dataModel = await context.entities.DataModel.findUnique({
+    where: { id: parseInt(dataModelId) },
+    include: {
+      entities: {
+        orderBy: { id: 'asc' },
+        include: {
+          fields: {
+            orderBy: { id: 'asc' },
+            include: { enum: true }
+          }
+        }
+      },
+      relations: {
+        orderBy: { id: 'asc' },
+        include: {
+          fromEntity: true,
+          toEntity: true,
+          fromField: true,
+          toField: { include: { enum: true } },
+          inverseField: true,
+          joinEntity: true
+        }
+      }
+    }
+  });
+  if (!dataModel) { throw new HttpError(404, 'DataModel not found') };
+  if (dataModel.userId !== context.user.id) { throw new HttpError(403) };
+  return withExportedNames(dataModel);
+};
+
+const exportBaseName = (dataModel) =>
+  dataModel.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'data-model';
+
+// Exports the saved model as DDL for `dialect`, a key of SQL_DIALECTS.
+// Unsaved editor changes are not included, since the DDL is built from the
+// stored rows.
+export const exportDataModelDdl = async ({ dataModelId, dialect = 'postgres' }, context) => {
+  if (!context.user) { throw new HttpError(401) };
+  if (!SQL_DIALECTS[dialect]) { throw new HttpError(400, `Unknown SQL dialect "${dialect}"`) };
+
+  const dataModel = await findExportedDataModel(dataModelId, context);
+  return {
+    fileName: `${exportBaseName(dataModel)}.${dialect}.sql`,
+    content: generateDdl(dataModel, dialect)
+  };
+};
+
+// Prisma reads `schema.prisma` from a `prisma` directory by default, so the
+// file keeps that name
+export const exportDataModelPrisma = async ({ dataModelId }, context) => {
+  if (!context.user) { throw new HttpError(401) };
+
+  const dataModel = await findExportedDataModel(dataModelId, context);
+  return {
+    fileName: 'schema.prisma',
+    content: generatePrismaSchema(dataModel)
+  };
+};
+
+export const exportDataModelTypeScript = async ({ dataModelId, relationMode = 'ids' }, context) => {
+  if (!context.user) { throw new HttpError(401) };
+  if (!RELATION_MODES.includes(relationMode)) { throw new HttpError(400, `Unknown relation mode "${relationMode}"`) };
+
+  const dataModel = await findExportedDataModel(dataModelId, context);
+  return {
+    fileName: `${exportBaseName(dataModel)}.ts`,
+    content: generateTypeScript(dataModel, relationMode)
+  };
+};
+
+export const exportDataModelGraphql = async ({ dataModelId, listStyle = 'lists' }, context) => {
+  if (!context.user) { throw new HttpError(401) };
+  if (!LIST_STYLES.includes(listStyle)) { throw new HttpError(400, `Unknown list style "${listStyle}"`) };
+
+  const dataModel = await findExportedDataModel(dataModelId, context);
+  return {
+    fileName: `${exportBaseName(dataModel)}.graphql`,
+    content: generateGraphqlSchema(dataModel, listStyle)
+  };
+};
+
 function getDefaultStepQuestion(step, modelInfo = {}) {
   const { name = '', description = '' } = modelInfo;
   
@@ -957,6 +992,7 @@ Your output must follow this JSON schema structure exactly:
 
 For field types:
 - Use standard types: string, number, boolean, datetime, ID, int, float, decimal, date, time, json, text, email, url, uuid, bigint, binary
+- Use "typeParams" for sized and precise types: ["255"] for string or binary lengths, ["12", "2"] for decimal precision and scale, ["tz"] for a timezone-aware datetime or time; otherwise null
 - For enum fields, provide the possible values in the "enumValues" array
 - For relationships to other entities, use the entity name as the type
 - For relationships that reference a specific field, use "EntityName.fieldName" format
@@ -996,6 +1032,10 @@ Design Principles:
                     additionalProperties: false,
                     properties: {
                       type: { type: 'string' },
+                      typeParams: {
+                        type: ['array', 'null'],
+                        items: { type: 'string' }
+                      },
                       isArray: { type: 'boolean' },
                       isUnique: { type: 'boolean' },
                       isIndex: { type: 'boolean' },
@@ -1009,6 +1049,7 @@ Design Principles:
                     },
                     required: [
                       'type',
+                      'typeParams',
                       'isArray',
                       'isUnique',
                       'isIndex',
@@ -1121,39 +1162,27 @@ Ensure your explanation clearly describes how you've incorporated each suggestio
     const response = JSON.parse(completion.choices[0].message.content);
     
     // Convert the JSON schema format to DSL string format
-    const schemaString = Object.entries(response.schema.entities)
-      .map(([entityName, entityData]) => {
-        const fields = Object.entries(entityData.fields)
-          .map(([fieldName, fieldConfig]) => {
-            let fieldLine = `  ${fieldName}: `;
-            
-            // Handle enum type
-            if (fieldConfig.enumValues && fieldConfig.enumValues.length > 0) {
-              fieldLine += `enum(${fieldConfig.enumValues.join(',')})`;
-            } else {
-              // Use the type directly - it should already include any entity.field references
-              fieldLine += fieldConfig.type + (fieldConfig.isArray ? '[]' : '');
-            }
-
-            // Add modifiers
-            const modifiers = [];
-            if (fieldConfig.isPrimary) modifiers.push('@primary');
-            if (fieldConfig.isUnique) modifiers.push('@unique');
-            if (fieldConfig.isIndex) modifiers.push('@index');
-            if (fieldConfig.isNullable) modifiers.push('@nullable(true)');
-            if (fieldConfig.defaultValue) modifiers.push(`@default(${fieldConfig.defaultValue})`);
-
-            if (modifiers.length > 0) {
-              fieldLine += ' ' + modifiers.join(' ');
-            }
-
-            return fieldLine;
-          })
-          .join('\n');
+    const schemaString = printSchema({
+      imports: [],
+      declarations: Object.entries(response.schema.entities).map(([entityName, entityData]) => createEntity({
+        name: entityName,
+        members: Object.entries(entityData.fields).map(([fieldName, fieldConfig]) => {
+          // Handle enum type
+          let type;
+          if (fieldConfig.enumValues && fieldConfig.enumValues.length > 0) {
+            type = `enum(${fieldConfig.enumValues.join(',')})`;
+          } else {
+            // Use the type directly - it should already include any entity.field references
+            const typeParams = fieldConfig.typeParams?.length > 0
+              ? `(${fieldConfig.typeParams.join(',')})`
+              : '';
+            type = fieldConfig.type + typeParams + (fieldConfig.isArray ? '[]' : '');
+          }
 
-        return `entity ${entityName} {\n${fields}\n}`;
-      })
-      .join('\n\n');
+          return createField({ name: fieldName, type, modifiers: basicFieldModifiers(fieldConfig) });
+        })
+      }))
+    });
 
     // Now validate the converted schema string
     const parsedSchema = parseDataModelSchema(schemaString);
@@ -0,0 +1,21 @@
+// Shared helpers for the positioned diagnostics produced by the schema lexer,
+// parser and validator. Ranges use 1-based lines and columns (like Monaco) and
+// the end position is exclusive.
+
+export const createDiagnostic = (severity, code, message, range) => ({
+  severity,
+  code,
+  message,
+  range
+});
+
+// Diagnostics of multi-file schemas also carry the `file` they belong to.
+export const formatDiagnostic = (diagnostic) => {
+  const { line, column } = diagnostic.range.start;
+  const location = `Line ${line}, column ${column}`;
+  return `${diagnostic.file ? `${diagnostic.file}: ${location}` : location}: ${diagnostic.message}`;
+};
+
+export const compareDiagnostics = (a, b) =>
+  (a.file || '').localeCompare(b.file || '') ||
+  a.range.start.offset - b.range.start.offset;
@@ -0,0 +1,97 @@
+// Entity inheritance (`abstract entity Base`, `entity User extends Base`) and
+// mixins (`mixin Timestamps`, `entity User uses Timestamps`).
+//
+// Inherited members are copied into the inheriting entity with an
+// `inheritedFrom` property naming the abstract entity or mixin that declares
+// them, so later passes can validate them like the entity's own fields while
+// the compact form can still be written back.
+
+// 'entity', 'abstract' or 'mixin'
+export const declarationKind = (declaration) => {
+  if (declaration.type === 'Mixin') return 'mixin';
+  return declaration.isAbstract ? 'abstract' : 'entity';
+};
+
+const describeKind = (kind) => (kind === 'mixin' ? 'a mixin' : 'an abstract entity');
+
+// Returns a function that gives the flattened members of an entity, abstract
+// entity or mixin declaration: members of its base first, then of its mixins
+// in order, then its own.
+export const createInheritanceResolver = (declarations, error) => {
+  const declared = new Map();
+  for (const declaration of declarations) {
+    if (!declared.has(declaration.name)) declared.set(declaration.name, declaration);
+  }
+
+  const flattened = new Map();
+  const resolving = new Set();
+
+  const flatten = (declaration) => {
+    if (flattened.has(declaration)) return flattened.get(declaration);
+    if (resolving.has(declaration)) return null;
+    resolving.add(declaration);
+
+    const members = [];
+    const fieldOrigins = new Map();
+    const parents = [
+      ...(declaration.extends ? [{ reference: declaration.extends, kind: 'abstract' }] : []),
+      ...(declaration.uses || []).map(reference => ({ reference, kind: 'mixin' }))
+    ];
+
+    const included = new Set();
+    for (const { reference, kind } of parents) {
+      const parent = declared.get(reference.name);
+      if (!parent || parent.type === 'Enum') {
+        error('unknown-type', `Unknown ${kind === 'mixin' ? 'mixin' : 'abstract entity'} "${reference.name}"`, reference.range);
+        continue;
+      }
+      if (declarationKind(parent) !== kind) {
+        error('invalid-inheritance', `"${reference.name}" is not ${describeKind(kind)}`, reference.range);
+        continue;
+      }
+      if (included.has(parent)) {
+        error('duplicate-mixin', `"${reference.name}" is included more than once`, reference.range);
+        continue;
+      }
+      included.add(parent);
+
+      const parentMembers = flatten(parent);
+      if (!parentMembers) {
+        error('circular-inheritance', `"${declaration.name}" cannot inherit from "${reference.name}" because it inherits from "${declaration.name}"`, reference.range);
+        continue;
+      }
+
+      for (const member of parentMembers) {
+        const inheritedFrom = member.inheritedFrom || parent.name;
+        if (member.type === 'Field' && fieldOrigins.has(member.name)) {
+          error(
+            'duplicate-field',
+            `Field "${member.name}" from "${inheritedFrom}" conflicts with the field inherited from "${fieldOrigins.get(member.name)}"`,
+            reference.range
+          );
+          continue;
+        }
+        if (member.type === 'Field') fieldOrigins.set(member.name, inheritedFrom);
+        members.push({ ...member, inheritedFrom });
+      }
+    }
+
+    for (const member of declaration.members) {
+      if (member.type === 'Field' && fieldOrigins.has(member.name)) {
+        error(
+          'duplicate-field',
+          `Field "${member.name}" conflicts with the field inherited from "${fieldOrigins.get(member.name)}"`,
+          member.nameRange
+        );
+        continue;
+      }
+      members.push(member);
+    }
+
+    resolving.delete(declaration);
+    flattened.set(declaration, members);
+    return members;
+  };
+
+  return flatten;
+};
@@ -0,0 +1,143 @@
+// Validation modifiers (`@min`, `@max`, `@length`, `@pattern`, `@check`).
+//
+// They are parsed into the object stored in `Field.constraints`, e.g.
+// `{ min: 0, max: 100, minLength: 1, maxLength: 255, pattern: '^[a-z]+$', check: 'price > 0' }`.
+
+export const VALIDATION_MODIFIERS = ['min', 'max', 'length', 'pattern', 'check'];
+
+export const NUMERIC_TYPES = ['number', 'int', 'float', 'decimal', 'bigint'];
+export const STRING_TYPES = ['string', 'text', 'email', 'url'];
+
+const isInteger = (arg) => arg.kind === 'number' && Number.isInteger(arg.value);
+
+// Validates the validation modifiers of one field against its resolved base
+// type. `baseType` is null for relation and enum fields, which only accept
+// `@check`. Returns the constraints object, or null when there is none.
+export const parseValidationModifiers = (modifiers, baseType, error) => {
+  const constraints = {};
+  const isNumeric = NUMERIC_TYPES.includes(baseType);
+  const isString = STRING_TYPES.includes(baseType);
+
+  const rejectType = (modifier) => {
+    error(
+      'invalid-modifier-type',
+      `@${modifier.name} is not allowed on ${baseType ? `"${baseType}"` : 'relation or enum'} fields`,
+      modifier.nameRange
+    );
+  };
+
+  for (const modifier of modifiers) {
+    const args = modifier.args || [];
+    if (constraints[modifier.name] !== undefined ||
+        (modifier.name === 'length' && constraints.maxLength !== undefined)) {
+      error('duplicate-modifier', `Duplicate modifier "@${modifier.name}"`, modifier.nameRange);
+      continue;
+    }
+
+    switch (modifier.name) {
+      case 'min':
+      case 'max':
+        if (!isNumeric) {
+          rejectType(modifier);
+          break;
+        }
+        if (args.length !== 1 || args[0].kind !== 'number') {
+          error('invalid-modifier-arguments', `@${modifier.name} expects a number, e.g. @${modifier.name}(0)`, modifier.range);
+          break;
+        }
+        constraints[modifier.name] = args[0].value;
+        break;
+      case 'length': {
+        if (!isString) {
+          rejectType(modifier);
+          break;
+        }
+        const valid = (args.length === 1 || args.length === 2) &&
+          args.every(arg => isInteger(arg) && arg.value >= 0);
+        if (!valid) {
+          error('invalid-modifier-arguments', '@length expects a maximum or a minimum and maximum, e.g. @length(1, 255)', modifier.range);
+          break;
+        }
+        const [minLength, maxLength] = args.length === 2 ? args : [null, args[0]];
+        if (minLength && minLength.value > maxLength.value) {
+          error('invalid-modifier-arguments', '@length minimum cannot be greater than its maximum', modifier.range);
+          break;
+        }
+        if (minLength) constraints.minLength = minLength.value;
+        constraints.maxLength = maxLength.value;
+        break;
+      }
+      case 'pattern':
+        if (!isString) {
+          rejectType(modifier);
+          break;
+        }
+        if (args.length !== 1 || args[0].kind !== 'string') {
+          error('invalid-modifier-arguments', '@pattern expects a quoted regular expression, e.g. @pattern("^[a-z]+$")', modifier.range);
+          break;
+        }
+        try {
+          new RegExp(args[0].value);
+        } catch (e) {
+          error('invalid-pattern', e.message, args[0].range);
+          break;
+        }
+        constraints.pattern = args[0].value;
+        break;
+      case 'check':
+        if (!modifier.raw) {
+          error('invalid-modifier-arguments', '@check expects an expression, e.g. @check(price > 0)', modifier.range);
+          break;
+        }
+        constraints.check = modifier.raw;
+        break;
+    }
+  }
+
+  if (constraints.min !== undefined && constraints.max !== undefined && constraints.min > constraints.max) {
+    const maxModifier = modifiers.find(modifier => modifier.name === 'max');
+    error('invalid-modifier-arguments', '@min cannot be greater than @max', maxModifier.range);
+    delete constraints.max;
+  }
+
+  return Object.keys(constraints).length > 0 ? constraints : null;
+};
+
+// Serializes stored constraints back to DSL modifiers.
+export const formatValidationModifiers = (constraints) => {
+  if (!constraints) return [];
+
+  const modifiers = [];
+  if (constraints.min !== undefined) modifiers.push(`@min(${constraints.min})`);
+  if (constraints.max !== undefined) modifiers.push(`@max(${constraints.max})`);
+  if (constraints.maxLength !== undefined) {
+    modifiers.push(constraints.minLength !== undefined
+      ? `@length(${constraints.minLength}, ${constraints.maxLength})`
+      : `@length(${constraints.maxLength})`);
+  }
+  if (constraints.pattern !== undefined) modifiers.push(`@pattern(${JSON.stringify(constraints.pattern)})`);
+  if (constraints.check !== undefined) modifiers.push(`@check(${constraints.check})`);
+  return modifiers;
+};
+
+// Short human-readable summaries for the diagram, e.g. ['0 ≤ value ≤ 100'].
+export const describeValidationConstraints = (constraints) => {
+  if (!constraints) return [];
+
+  const descriptions = [];
+  if (constraints.min !== undefined && constraints.max !== undefined) {
+    descriptions.push(`${constraints.min} ≤ value ≤ ${constraints.max}`);
+  } else if (constraints.min !== undefined) {
+    descriptions.push(`min ${constraints.min}`);
+  } else if (constraints.max !== undefined) {
+    descriptions.push(`max ${constraints.max}`);
+  }
+  if (constraints.maxLength !== undefined) {
+    descriptions.push(constraints.minLength !== undefined
+      ? `length ${constraints.minLength}–${constraints.maxLength}`
+      : `length ≤ ${constraints.maxLength}`);
+  }
+  if (constraints.pattern !== undefined) descriptions.push(`pattern /${constraints.pattern}/`);
+  if (constraints.check !== undefined) descriptions.push(`check (${constraints.check})`);
+  return descriptions;
+};
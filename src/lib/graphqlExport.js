@@ -0,0 +1,207 @@
+// GraphQL SDL for a saved data model.
+//
+// generateGraphqlSchema() works from the same stored rows as generateDdl()
+// and writes an object type for each entity, its enums, and `CreateXInput` and
+// `UpdateXInput` input types. Root operation types are left to the server
+// that implements them.
+//
+// Relation fields are typed from the relation's cardinality: single
+// references as the related type, and lists as a list of it or, in the
+// 'connections' style, as a Relay connection with `first`/`after` and
+// `last`/`before` arguments, e.g. `posts(...): PostConnection!`. Input types
+// take the key of the related entity instead, named like the SQL column, e.g.
+// `authorId: ID`.
+import { baseTypeOf, enumValuesOf } from './sqlDialects.js';
+import { capitalize, holdsReference } from './schemaNames.js';
+
+export const LIST_STYLES = ['lists', 'connections'];
+
+// Built-in types mapped to GraphQL scalars; those GraphQL lacks are custom
+// scalars, declared with the format their values are serialized in
+const SCALAR_TYPES = {
+  string: 'String',
+  text: 'String',
+  email: 'String',
+  url: 'String',
+  uuid: 'ID',
+  ID: 'ID',
+  number: 'Float',
+  float: 'Float',
+  int: 'Int',
+  boolean: 'Boolean',
+  decimal: 'Decimal',
+  bigint: 'BigInt',
+  datetime: 'DateTime',
+  date: 'Date',
+  time: 'Time',
+  json: 'JSON',
+  binary: 'Bytes'
+};
+
+const CUSTOM_SCALARS = {
+  Decimal: 'An exact decimal number, serialized as a string to keep its precision, e.g. "12.50"',
+  BigInt: 'A 64-bit integer, serialized as a string, e.g. "9007199254740993"',
+  DateTime: 'An ISO-8601 date and time, e.g. "2024-01-31T12:00:00.000Z"',
+  Date: 'An ISO-8601 date, e.g. "2024-01-31"',
+  Time: 'An ISO-8601 time of day, e.g. "12:00:00"',
+  JSON: 'Any JSON value',
+  Bytes: 'Binary data, serialized as a base64 string'
+};
+
+const PAGE_INFO = [
+  'type PageInfo {',
+  '  hasNextPage: Boolean!',
+  '  hasPreviousPage: Boolean!',
+  '  startCursor: String',
+  '  endCursor: String',
+  '}'
+].join('\n');
+
+const CONNECTION_ARGUMENTS = '(first: Int, after: String, last: Int, before: String)';
+
+// Enum values must be names other than true, false and null
+const enumValueName = (value) => {
+  const name = value.replace(/[^A-Za-z0-9_]/g, '_');
+  const validName = /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+  return ['true', 'false', 'null'].includes(validName) ? `${validName}_` : validName;
+};
+
+// GraphQL strings escape like JSON strings
+const description = (text, indent) => (text ? [`${indent}${JSON.stringify(text)}`] : []);
+
+const hasDefault = (field) =>
+  (field.defaultValue !== null && field.defaultValue !== undefined) ||
+  (baseTypeOf(field) === 'ID' && field.isPrimary);
+
+export const generateGraphqlSchema = (dataModel, listStyle = 'lists') => {
+  if (!LIST_STYLES.includes(listStyle)) throw new Error(`Unknown list style "${listStyle}"`);
+
+  const entities = dataModel.entities.filter(entity => entity.kind === 'entity');
+  const entityByName = new Map(entities.map(entity => [entity.name, entity]));
+  const relations = dataModel.relations.filter(relation => entityByName.has(relation.fromEntity.name));
+  const enums = new Map();
+  const scalars = new Set();
+  // Entities listed through connections, which need Connection and Edge types
+  const connected = new Set();
+
+  // The GraphQL type of a scalar or enum field's value
+  const namedTypeOf = (entity, field) => {
+    const values = enumValuesOf(field);
+    if (values) {
+      const name = field.enum?.name || `${entity.name}${capitalize(field.name)}`;
+      enums.set(name, values);
+      return name;
+    }
+    const type = SCALAR_TYPES[baseTypeOf(field)] || 'String';
+    if (CUSTOM_SCALARS[type]) scalars.add(type);
+    return type;
+  };
+
+  // The field a reference to an entity holds; entities without a primary key
+  // are referred to by an ID
+  const keyOf = (entityName, fieldName) => {
+    const entity = entityByName.get(entityName);
+    const name = fieldName || entity.fields.find(field => field.isPrimary)?.name || 'id';
+    const field = entity.fields.find(candidate => candidate.name === name) || { name, fieldType: 'ID' };
+    return { name, type: namedTypeOf(entity, field) };
+  };
+
+  const listOf = (name, entityName) => {
+    if (listStyle === 'connections') {
+      connected.add(entityName);
+      return `${name}${CONNECTION_ARGUMENTS}: ${entityName}Connection!`;
+    }
+    return `${name}: [${entityName}!]!`;
+  };
+
+  // Lines of an entity's object type, and the fields of its input types as
+  // { name, type, isOptionalOnCreate }
+  const describeEntity = (entity) => {
+    const lines = [];
+    const inputs = [];
+    for (const field of [...entity.fields].sort((a, b) => a.id - b.id)) {
+      const owned = relations.find(relation => relation.fromFieldId === field.id);
+      const inverse = relations.find(relation => relation.inverseFieldId === field.id);
+      const isNullable = !field.isRequired && !field.isPrimary;
+      const nonNull = isNullable ? '' : '!';
+      lines.push(...description(field.description, '  '));
+
+      if (owned && holdsReference(owned)) {
+        const key = keyOf(owned.toEntity.name, owned.toField?.name);
+        lines.push(`  ${field.name}: ${owned.toEntity.name}${nonNull}`);
+        inputs.push({ name: `${field.name}${capitalize(key.name)}`, type: `${key.type}${nonNull}`, isOptionalOnCreate: isNullable });
+        continue;
+      }
+      // Lists of the related entity, and the inverse side of a one-to-one
+      if (owned) {
+        lines.push(`  ${listOf(field.name, owned.toEntity.name)}`);
+        continue;
+      }
+      if (inverse) {
+        lines.push(inverse.cardinality === '1:1'
+          ? `  ${field.name}: ${inverse.fromEntity.name}`
+          : `  ${listOf(field.name, inverse.fromEntity.name)}`);
+        continue;
+      }
+
+      const namedType = namedTypeOf(entity, field);
+      const type = `${field.isArray ? `[${namedType}!]` : namedType}${nonNull}`;
+      lines.push(`  ${field.name}: ${type}`);
+      inputs.push({ name: field.name, type, isOptionalOnCreate: isNullable || hasDefault(field) });
+    }
+    return { lines, inputs };
+  };
+
+  const renderEntity = (entity) => {
+    const { lines, inputs } = describeEntity(entity);
+    const blocks = [[...description(entity.description, ''), `type ${entity.name} {`, ...lines, '}'].join('\n')];
+    // Input types need at least one field
+    if (inputs.length > 0) {
+      blocks.push(
+        [
+          `input Create${entity.name}Input {`,
+          ...inputs.map(input => `  ${input.name}: ${input.isOptionalOnCreate ? input.type.replace(/!$/, '') : input.type}`),
+          '}'
+        ].join('\n'),
+        [
+          `input Update${entity.name}Input {`,
+          ...inputs.map(input => `  ${input.name}: ${input.type.replace(/!$/, '')}`),
+          '}'
+        ].join('\n')
+      );
+    }
+    return blocks.join('\n\n');
+  };
+
+  const renderConnection = (entityName) => [
+    [
+      `type ${entityName}Connection {`,
+      `  edges: [${entityName}Edge!]!`,
+      '  pageInfo: PageInfo!',
+      '}'
+    ].join('\n'),
+    [
+      `type ${entityName}Edge {`,
+      '  cursor: String!',
+      `  node: ${entityName}!`,
+      '}'
+    ].join('\n')
+  ].join('\n\n');
+
+  // Rendered first so the scalars, enums and connections they use are known
+  const renderedEntities = entities.map(renderEntity);
+
+  return [
+    `# GraphQL schema for "${dataModel.name}" (version ${dataModel.version})`,
+    ...Object.keys(CUSTOM_SCALARS).filter(name => scalars.has(name))
+      .map(name => `${JSON.stringify(CUSTOM_SCALARS[name])}\nscalar ${name}`),
+    ...[...enums].map(([name, values]) => [
+      `enum ${name} {`,
+      ...values.map(value => `  ${enumValueName(value)}`),
+      '}'
+    ].join('\n')),
+    ...renderedEntities,
+    ...(connected.size > 0 ? [PAGE_INFO] : []),
+    ...[...connected].map(renderConnection)
+  ].join('\n\n') + '\n';
+};
@@ -1,145 +1,690 @@
-const BUILT_IN_TYPES = [
+import { parseSchema } from './schemaParser.js';
+import { createDiagnostic, formatDiagnostic, compareDiagnostics } from './diagnostics.js';
+import { VALIDATION_MODIFIERS, parseValidationModifiers } from './fieldConstraints.js';
+import { RELATION_PAIRING_MODIFIERS, pairRelations } from './relationPairs.js';
+import { declarationKind, createInheritanceResolver } from './entityInheritance.js';
+import { SCHEMA_FILE_EXTENSION, parseSchemaFiles } from './schemaFiles.js';
+import { localNameOf } from './schemaNames.js';
+
+export const BUILT_IN_TYPES = [
   'string', 'number', 'boolean', 'datetime', 'ID',
   'int', 'float', 'decimal', 'date', 'time',
   'json', 'text', 'email', 'url', 'uuid',
   'bigint', 'binary', 'enum'
 ];
 
-const FIELD_MODIFIERS = ['unique', 'index', 'primary', 'nullable', 'default'];
+// What happens to referencing rows when the referenced row changes
+export const REFERENTIAL_ACTIONS = ['cascade', 'restrict', 'setNull', 'noAction'];
+export const REFERENTIAL_MODIFIERS = ['onDelete', 'onUpdate'];
+
+export const FIELD_MODIFIERS = [
+  'unique', 'index', 'primary', 'nullable', 'default',
+  ...VALIDATION_MODIFIERS,
+  ...REFERENTIAL_MODIFIERS,
+  ...RELATION_PAIRING_MODIFIERS
+];
+
+const isPositiveInteger = (arg) =>
+  arg.kind === 'number' && Number.isInteger(arg.value) && arg.value > 0;
+
+const parseLength = (args) => {
+  if (args.length !== 1 || !isPositiveInteger(args[0])) {
+    return 'expected a single positive length, e.g. (255)';
+  }
+  return { length: args[0].value };
+};
+
+const parseTimezone = (args) => {
+  if (args.length !== 1 || args[0].kind !== 'identifier' || args[0].value !== 'tz') {
+    return 'the only supported parameter is (tz)';
+  }
+  return { timezone: true };
+};
+
+const parsePrecision = (args) => {
+  const [precision, scale] = args;
+  if (args.length === 0 || args.length > 2 || !isPositiveInteger(precision) || precision.value > 1000) {
+    return 'expected a precision between 1 and 1000, e.g. (12,2)';
+  }
+  if (!scale) return { precision: precision.value };
+  if (scale.kind !== 'number' || !Number.isInteger(scale.value) || scale.value < 0 || scale.value > precision.value) {
+    return 'scale must be an integer between 0 and the precision';
+  }
+  return { precision: precision.value, scale: scale.value };
+};
 
-export const parseDataModelSchema = (schema) => {
+// Types that accept parameters, mapped to a function that turns the parsed
+// arguments into the `typeParams` object stored on the field, or returns an
+// error message.
+export const TYPE_PARAMETERS = {
+  string: parseLength,
+  binary: parseLength,
+  decimal: parsePrecision,
+  datetime: parseTimezone,
+  time: parseTimezone
+};
+
+// Serializes stored `typeParams` back to DSL, e.g. `(12,2)`.
+export const formatTypeParams = (typeParams) => {
+  if (!typeParams) return '';
+  if (typeParams.timezone) return '(tz)';
+  if (typeParams.length !== undefined) return `(${typeParams.length})`;
+  if (typeParams.precision !== undefined) {
+    return typeParams.scale !== undefined
+      ? `(${typeParams.precision},${typeParams.scale})`
+      : `(${typeParams.precision})`;
+  }
+  return '';
+};
+
+// Modifiers a type alias can carry; they apply to every field using the alias,
+// and a field can override them with its own
+export const ALIAS_MODIFIERS = ['default', 'nullable', ...VALIDATION_MODIFIERS];
+
+// Entity-level attributes such as `@@unique([tenantId, email])`
+export const ENTITY_ATTRIBUTES = ['unique', 'index', 'id'];
+
+// Parses a schema and validates it against the DSL's semantic rules.
+//
+// The result keeps the original `{ isValid, errors, entities, relations }`
+// shape that the actions and the editor rely on, and additionally exposes the
+// named `enums`, the type `aliases`, the abstract entities and mixins
+// (`templates`), the AST and the positioned `diagnostics` the error strings
+// were formatted from.
+//
+// `entities` only holds concrete entities, with inherited fields flattened in.
+// Templates are validated the same way but keep their relations to
+// themselves, since they never become tables.
+export const parseDataModelSchema = (schema) =>
+  analyzeSchema(parseSchema(schema), { sourceOf: () => schema });
+
+// Same as parseDataModelSchema for a schema split into files
+// ([{ name, content }]). Declarations carry the `file` they come from, and so
+// do the diagnostics, so each can be shown in its own file.
+export const parseDataModelFiles = (files) => {
+  const { ast, diagnostics, fileOf } = parseSchemaFiles(files);
+  const sources = new Map(files.map(({ name, content }) => [name, content]));
+  const result = analyzeSchema({ ast, diagnostics }, {
+    sourceOf: (declaration) => sources.get(declaration.file),
+    fileOf
+  });
+  return {
+    ...result,
+    files: ast.files.map(({ name, imports }) => ({ name, imports }))
+  };
+};
+
+const analyzeSchema = ({ ast, diagnostics }, { sourceOf, fileOf = () => undefined }) => {
   const entities = new Map();
+  const templates = new Map();
+  const enums = new Map();
+  const aliasNodes = new Map();
   const relations = new Map();
-  const errors = [];
-  let currentEntity = null;
-
-  // First pass: collect all entity names
-  const lines = schema.split('\n');
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || line.startsWith('//')) continue;
-
-    if (line.startsWith('entity')) {
-      const match = line.match(/entity\s+(\w+)\s*{/);
-      if (!match) {
-        errors.push(`Line ${i + 1}: Invalid entity declaration`);
-        continue;
+
+  const error = (code, message, range) => {
+    diagnostics.push(withFile(createDiagnostic('error', code, message, range), fileOf(range)));
+  };
+  const warning = (code, message, range) => {
+    diagnostics.push(withFile(createDiagnostic('warning', code, message, range), fileOf(range)));
+  };
+
+  // Imports only resolve between the files of a multi-file schema
+  for (const importDeclaration of ast.imports) {
+    error('unknown-import', `Unknown file "${importDeclaration.name}${SCHEMA_FILE_EXTENSION}"`, importDeclaration.nameRange);
+  }
+
+  // First pass: collect all entity, template, enum and type alias names
+  const entityNodes = [];
+  for (const declaration of ast.declarations) {
+    const isDeclared = entities.has(declaration.name) || templates.has(declaration.name) ||
+      enums.has(declaration.name) || aliasNodes.has(declaration.name);
+    if (isDeclared) {
+      error('duplicate-declaration', `"${declaration.name}" is already declared`, declaration.nameRange);
+      continue;
+    }
+    if (BUILT_IN_TYPES.includes(localNameOf(declaration.name))) {
+      error('reserved-name', `"${localNameOf(declaration.name)}" is a built-in type and cannot be redeclared`, declaration.nameRange);
+      continue;
+    }
+
+    if (declaration.type === 'Enum') {
+      const values = parseEnumDeclaration(declaration, error);
+      if (values) enums.set(declaration.name, { values, ...(declaration.file ? { file: declaration.file } : {}) });
+      continue;
+    }
+    if (declaration.type === 'TypeAlias') {
+      aliasNodes.set(declaration.name, declaration);
+      continue;
+    }
+    const kind = declarationKind(declaration);
+    const entityConfig = {
+      fields: {},
+      constraints: [],
+      ...(declaration.description ? { description: declaration.description } : {}),
+      ...(declaration.file ? { file: declaration.file } : {}),
+      ...(declaration.extends ? { baseEntity: declaration.extends.name } : {}),
+      ...(declaration.uses?.length ? { mixins: declaration.uses.map(mixin => mixin.name) } : {})
+    };
+    if (kind === 'entity') {
+      entities.set(declaration.name, entityConfig);
+    } else {
+      templates.set(declaration.name, { kind, ...entityConfig, relations: {} });
+    }
+    entityNodes.push(declaration);
+  }
+
+  // Relation fields, as `{ key, typeRef, field, isTemplate }`, for the third pass
+  const references = [];
+
+  // Validates one field's type and modifiers and returns its configuration,
+  // or null when the field is invalid. `owner` ({ entityName, isTemplate }) is
+  // null for type aliases, which are checked like a field but have no entity.
+  const processField = (field, owner) => {
+    let { typeRef, modifiers } = field;
+    const fieldName = field.name;
+
+    // Fields typed with an alias take the alias's type and modifiers
+    let typeAlias = null;
+    if (typeRef.path.length === 1 && aliasNodes.has(typeRef.path[0])) {
+      typeAlias = typeRef.path[0];
+      if (!resolveAlias(typeAlias)) return null;
+      if (typeRef.args) {
+        error('unexpected-type-parameters', `Type "${typeAlias}" does not take parameters`, typeRef.range);
+        return null;
       }
-      currentEntity = match[1];
-      entities.set(currentEntity, { fields: {} });
-    }
-  }
-
-  // Second pass: process fields and relations
-  currentEntity = null;
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || line.startsWith('//')) continue;
-
-    if (line.startsWith('entity')) {
-      const match = line.match(/entity\s+(\w+)\s*{/);
-      currentEntity = match[1];
-    } else if (line.includes(':') && currentEntity) {
-      // Split line into field definition parts, handling possible modifiers
-      const [fieldDef, ...modifiers] = line.split('@').map(s => s.trim());
-      const [fieldName, fieldType] = fieldDef.split(':').map(s => s.trim());
-      
-      // Validate field name
-      if (!fieldName.match(/^\w+$/)) {
-        errors.push(`Line ${i + 1}: Invalid field name "${fieldName}"`);
-        continue;
+      const resolved = aliasTypes.get(typeAlias);
+      typeRef = {
+        ...resolved.typeRef,
+        isArray: field.typeRef.isArray,
+        raw: resolved.typeRef.raw + (field.typeRef.isArray ? '[]' : '')
+      };
+      modifiers = mergeModifiers(resolved.modifiers, modifiers);
+    }
+
+    // Parse field modifiers
+    const fieldConfig = {
+      type: typeRef.raw,
+      isArray: typeRef.isArray,
+      isUnique: false,
+      isIndex: false,
+      isPrimary: false,
+      isNullable: true,
+      defaultValue: undefined,
+      ...(typeAlias ? { typeAlias } : {}),
+      ...(owner && field.description ? { description: field.description } : {}),
+      ...(field.inheritedFrom ? { inheritedFrom: field.inheritedFrom } : {})
+    };
+
+    // Process modifiers; validation modifiers are checked once the type is known
+    const validationModifiers = [];
+    const referentialModifiers = [];
+    modifiers.forEach(modifier => {
+      const mod = modifier.name;
+      if (!FIELD_MODIFIERS.includes(mod)) {
+        error('unknown-modifier', `Unknown modifier "${mod}"`, modifier.nameRange);
+        return;
+      }
+      if (VALIDATION_MODIFIERS.includes(mod)) {
+        validationModifiers.push(modifier);
+        return;
+      }
+      if (REFERENTIAL_MODIFIERS.includes(mod) || RELATION_PAIRING_MODIFIERS.includes(mod)) {
+        referentialModifiers.push(modifier);
+        return;
       }
 
-      // Parse field modifiers
-      const fieldConfig = {
-        type: fieldType,
-        isArray: fieldType.endsWith('[]'),
-        isUnique: false,
-        isIndex: false,
-        isPrimary: false,
-        isNullable: true,
-        defaultValue: undefined
-      };
+      switch (mod) {
+        case 'unique':
+          fieldConfig.isUnique = true;
+          break;
+        case 'index':
+          fieldConfig.isIndex = true;
+          break;
+        case 'primary':
+          fieldConfig.isPrimary = true;
+          fieldConfig.isNullable = false;
+          break;
+        case 'nullable':
+          fieldConfig.isNullable = modifier.raw === 'true';
+          break;
+        case 'default':
+          fieldConfig.defaultValue = modifier.raw ?? undefined;
+          break;
+      }
+    });
 
-      // Process modifiers
-      modifiers.forEach(modifier => {
-        // Extract modifier name and any parameters
-        const modifierMatch = modifier.match(/(\w+)(?:\((.*)\))?/);
-        if (!modifierMatch) {
-          errors.push(`Line ${i + 1}: Invalid modifier format "${modifier}"`);
-          return;
-        }
-        
-        const [, mod, value] = modifierMatch;
-        if (!FIELD_MODIFIERS.includes(mod)) {
-          errors.push(`Line ${i + 1}: Unknown modifier "${mod}"`);
-          return;
-        }
-        
-        switch (mod) {
-          case 'unique':
-            fieldConfig.isUnique = true;
-            break;
-          case 'index':
-            fieldConfig.isIndex = true;
-            break;
-          case 'primary':
-            fieldConfig.isPrimary = true;
-            fieldConfig.isNullable = false;
-            break;
-          case 'nullable':
-            fieldConfig.isNullable = value === 'true';
-            break;
-          case 'default':
-            fieldConfig.defaultValue = value;
-            break;
-        }
+    // Field references (`Entity.field`) have exactly two path segments
+    const [entityType, referencedField] = typeRef.path;
+    if (typeRef.path.length > 2) {
+      error('invalid-type-reference', `Invalid type reference "${typeRef.path.join('.')}"`, typeRef.range);
+      return null;
+    }
+
+    // Inline enums are written as `enum(active,archived,draft)`
+    const isEnumType = entityType === 'enum' && typeRef.path.length === 1;
+    if (isEnumType && (!typeRef.args || typeRef.args.length === 0)) {
+      error('invalid-enum', 'Enum fields must list their values, e.g. enum(active,archived)', typeRef.range);
+      return null;
+    }
+
+    // Validate the type
+    const isBuiltInType = BUILT_IN_TYPES.includes(entityType);
+    const isEntityType = entities.has(entityType);
+    const isNamedEnum = enums.has(entityType);
+
+    if (templates.has(entityType)) {
+      error(
+        'invalid-type-reference',
+        `"${entityType}" is ${templates.get(entityType).kind === 'mixin' ? 'a mixin' : 'an abstract entity'} and cannot be used as a type`,
+        typeRef.pathRanges[0]
+      );
+      return null;
+    }
+    if (isEntityType && !owner) {
+      error(
+        'invalid-type-alias',
+        `Type alias "${fieldName}" cannot refer to entity "${entityType}"; declare a relation field instead`,
+        typeRef.pathRanges[0]
+      );
+      return null;
+    }
+    if (!isBuiltInType && !isEntityType && !isNamedEnum) {
+      error('unknown-type', `Unknown type "${entityType}"`, typeRef.pathRanges[0]);
+      return null;
+    }
+    if (isNamedEnum && referencedField) {
+      error('invalid-type-reference', `Enum "${entityType}" has no fields to reference`, typeRef.pathRanges[1]);
+      return null;
+    }
+
+    // Validate type parameters such as `string(255)` or `decimal(12,2)`
+    if (typeRef.args && !isEnumType) {
+      const parseParams = TYPE_PARAMETERS[entityType];
+      if (!parseParams || referencedField) {
+        error('unexpected-type-parameters', `Type "${typeRef.path.join('.')}" does not take parameters`, typeRef.range);
+        return null;
+      }
+      const result = parseParams(typeRef.args);
+      if (typeof result === 'string') {
+        error('invalid-type-parameters', `Invalid parameters for "${entityType}": ${result}`, typeRef.range);
+        return null;
+      }
+      fieldConfig.typeParams = result;
+    }
+
+    // Parse enum values if type is enum
+    if (isEnumType) {
+      fieldConfig.enumValues = typeRef.args.map(arg => arg.raw);
+    }
+
+    // Named enums are shared, so fields only point at them by name
+    if (isNamedEnum) {
+      fieldConfig.enumName = entityType;
+    }
+
+    const constraints = parseValidationModifiers(
+      validationModifiers,
+      isBuiltInType && !isEnumType ? entityType : null,
+      error
+    );
+    if (constraints) {
+      fieldConfig.constraints = constraints;
+    }
+
+    if (!isEntityType) {
+      referentialModifiers.forEach(modifier => {
+        error('invalid-modifier-type', `@${modifier.name} is only allowed on relation fields`, modifier.nameRange);
       });
+    }
+
+    if (!owner) return fieldConfig;
+    const { entityName: currentEntity, isTemplate } = owner;
 
-      // Handle array type notation and field references
-      const baseType = fieldConfig.type.replace('[]', '');
-      const [entityType, referencedField] = baseType.split('.');
+    // Track relations for entity types
+    if (isEntityType) {
+      relations.set(`${currentEntity}.${fieldName}`, {
+        fromEntity: currentEntity,
+        toEntity: entityType,
+        fieldName,
+        referencedField: referencedField || 'id',
+        cardinality: fieldConfig.isArray ? '1:n' : '1:1',
+        isNullable: fieldConfig.isNullable,
+        ...parseReferentialActions(
+          referentialModifiers.filter(modifier => REFERENTIAL_MODIFIERS.includes(modifier.name)),
+          fieldConfig,
+          error
+        )
+      });
+      references.push({ key: `${currentEntity}.${fieldName}`, typeRef, field, isTemplate });
+    }
+    return fieldConfig;
+  };
 
-      // Extract the base type for enums (e.g., "enum" from "enum(active,archived,draft)")
-      const enumMatch = baseType.match(/^enum\((.*)\)$/);
-      const isEnumType = enumMatch !== null;
-      const baseEntityType = isEnumType ? 'enum' : entityType;
+  // Type aliases resolve to a built-in type or enum plus modifiers. They are
+  // validated like a field, so each alias is also checked when it is unused.
+  const aliases = new Map();
+  const aliasTypes = new Map();
+  const resolvingAliases = new Set();
+  const resolveAlias = (name) => {
+    if (aliases.has(name)) return aliases.get(name);
+    const node = aliasNodes.get(name);
+    if (resolvingAliases.has(name)) {
+      error('circular-type-alias', `Type alias "${name}" refers to itself`, node.typeRef.range);
+      return null;
+    }
+    resolvingAliases.add(name);
 
-      // Validate the type
-      const isBuiltInType = BUILT_IN_TYPES.includes(baseEntityType);
-      const isEntityType = entities.has(baseEntityType);
+    const modifiers = node.modifiers.filter(modifier => {
+      if (ALIAS_MODIFIERS.includes(modifier.name)) return true;
+      error(
+        'invalid-modifier',
+        `@${modifier.name} cannot be used on a type alias; add it to the fields instead`,
+        modifier.nameRange
+      );
+      return false;
+    });
 
-      if (!isBuiltInType && !isEntityType) {
-        errors.push(`Line ${i + 1}: Unknown type "${entityType}"`);
-        continue;
+    let resolved = null;
+    const [target] = node.typeRef.path;
+    if (node.typeRef.isArray) {
+      error('invalid-type-alias', `Type alias "${name}" cannot be a list; write ${name}[] on the field instead`, node.typeRef.range);
+    } else if (node.typeRef.path.length === 1 && aliasNodes.has(target)) {
+      const base = resolveAlias(target) && aliasTypes.get(target);
+      if (node.typeRef.args) {
+        error('unexpected-type-parameters', `Type "${target}" does not take parameters`, node.typeRef.range);
+      } else if (base) {
+        resolved = { typeRef: base.typeRef, modifiers: mergeModifiers(base.modifiers, modifiers) };
       }
+    } else {
+      resolved = { typeRef: node.typeRef, modifiers };
+    }
+    resolvingAliases.delete(name);
+
+    const fieldConfig = resolved && processField({ ...node, type: 'Field', ...resolved }, null);
+    if (!fieldConfig) {
+      aliases.set(name, null);
+      return null;
+    }
+
+    const { type, typeParams, enumValues, enumName, constraints, isNullable, defaultValue } = fieldConfig;
+    const alias = {
+      type,
+      ...(typeParams ? { typeParams } : {}),
+      ...(enumValues ? { enumValues } : {}),
+      ...(enumName ? { enumName } : {}),
+      ...(constraints ? { constraints } : {}),
+      isNullable,
+      defaultValue,
+      // The source text after `=`, written back as-is by getDataModelSchema
+      definition: sourceOf(node).slice(node.typeRef.range.start.offset, node.range.end.offset),
+      ...(node.file ? { file: node.file } : {})
+    };
+    aliases.set(name, alias);
+    aliasTypes.set(name, resolved);
+    return alias;
+  };
+  for (const name of aliasNodes.keys()) {
+    resolveAlias(name);
+  }
 
-      // Parse enum values if type is enum
-      if (isEnumType) {
-        fieldConfig.enumValues = enumMatch[1].split(',').map(v => v.trim());
+  // Second pass: process fields and relations, with inherited members flattened in
+  const flattenMembers = createInheritanceResolver(entityNodes, error);
+  for (const declaration of entityNodes) {
+    const entityNode = { ...declaration, members: flattenMembers(declaration) };
+    const currentEntity = entityNode.name;
+    const isTemplate = templates.has(currentEntity);
+    const entity = isTemplate ? templates.get(currentEntity) : entities.get(currentEntity);
+
+    const fields = entityNode.members.filter(member => member.type === 'Field');
+    for (const field of fields) {
+      if (Object.prototype.hasOwnProperty.call(entity.fields, field.name)) {
+        error('duplicate-field', `Duplicate field "${field.name}" in entity "${currentEntity}"`, field.nameRange);
+        continue;
       }
 
-      // Add field to entity
-      entities.get(currentEntity).fields[fieldName] = fieldConfig;
-
-      // Track relations for entity types
-      if (!isBuiltInType && !isEnumType) {
-        relations.set(`${currentEntity}.${fieldName}`, {
-          fromEntity: currentEntity,
-          toEntity: entityType,
-          fieldName,
-          referencedField: referencedField || 'id',
-          cardinality: fieldConfig.isArray ? '1:n' : '1:1',
-          isNullable: fieldConfig.isNullable
+      const fieldConfig = processField(field, { entityName: currentEntity, isTemplate });
+      if (fieldConfig) entity.fields[field.name] = fieldConfig;
+    }
+
+    // Entity-level attributes are checked once all fields are known
+    const attributes = entityNode.members.filter(member => member.type === 'EntityAttribute');
+    for (const attribute of attributes) {
+      const constraint = parseEntityAttribute(attribute, entityNode, error);
+      if (!constraint) continue;
+
+      if (attribute.inheritedFrom) constraint.inheritedFrom = attribute.inheritedFrom;
+      if (constraint.type === 'id') {
+        if (entity.constraints.some(existing => existing.type === 'id')) {
+          error('conflicting-primary-key', `Entity "${currentEntity}" has more than one @@id`, attribute.range);
+          continue;
+        }
+        // Composite primary key columns can never be null
+        constraint.fields.forEach(fieldName => {
+          if (entity.fields[fieldName]) entity.fields[fieldName].isNullable = false;
         });
       }
+      entity.constraints.push(constraint);
+    }
+  }
+
+  // Third pass: resolve referenced fields now that every entity is complete
+  for (const { key, typeRef } of references) {
+    const relation = relations.get(key);
+    if (!resolveReference(relation, typeRef, entities, relations, error, warning)) {
+      relations.delete(key);
     }
   }
 
+  // A reference and its back-reference (or two fields sharing `@relation(name)`)
+  // become one relation with both ends
+  pairRelations({
+    references: references.filter(reference => !reference.isTemplate),
+    entities,
+    enums,
+    relations,
+    error
+  });
+
+  // Relations declared by templates are copied into each inheriting entity
+  for (const { key, isTemplate } of references) {
+    if (!isTemplate || !relations.has(key)) continue;
+    const relation = relations.get(key);
+    templates.get(relation.fromEntity).relations[key] = relation;
+    relations.delete(key);
+  }
+
+  // Inherited members are validated once per inheriting entity, so the same
+  // problem can be found several times
+  const reported = new Set();
+  const uniqueDiagnostics = diagnostics.sort(compareDiagnostics).filter(diagnostic => {
+    const key = `${diagnostic.file}:${diagnostic.code}:${diagnostic.range.start.offset}:${diagnostic.message}`;
+    if (reported.has(key)) return false;
+    reported.add(key);
+    return true;
+  });
+  const errors = uniqueDiagnostics
+    .filter(diagnostic => diagnostic.severity === 'error')
+    .map(formatDiagnostic);
+  const warnings = uniqueDiagnostics
+    .filter(diagnostic => diagnostic.severity === 'warning')
+    .map(formatDiagnostic);
+
   return {
     isValid: errors.length === 0,
     errors,
+    warnings,
+    diagnostics: uniqueDiagnostics,
+    ast,
     entities: Object.fromEntries(entities),
+    templates: Object.fromEntries(templates),
+    enums: Object.fromEntries(enums),
+    aliases: Object.fromEntries([...aliases].filter(([, alias]) => alias)),
     relations: Object.fromEntries(relations)
   };
 };
+
+const withFile = (diagnostic, file) => (file ? { ...diagnostic, file } : diagnostic);
+
+// Combines an alias's modifiers with a field's; the field's win when both set
+// the same modifier.
+const mergeModifiers = (inherited, own) => [
+  ...inherited.filter(modifier => !own.some(ownModifier => ownModifier.name === modifier.name)),
+  ...own
+];
+
+// Validates `@onDelete(...)` and `@onUpdate(...)` on a relation field and
+// returns the actions that were set, e.g. `{ onDelete: 'cascade' }`.
+const parseReferentialActions = (modifiers, fieldConfig, error) => {
+  const actions = {};
+  for (const modifier of modifiers) {
+    const [action] = modifier.args || [];
+    if (!action || modifier.args.length !== 1 || !REFERENTIAL_ACTIONS.includes(action.raw)) {
+      error(
+        'invalid-modifier-arguments',
+        `@${modifier.name} expects one of: ${REFERENTIAL_ACTIONS.join(', ')}`,
+        modifier.range
+      );
+      continue;
+    }
+    if (actions[modifier.name]) {
+      error('duplicate-modifier', `Duplicate modifier "@${modifier.name}"`, modifier.nameRange);
+      continue;
+    }
+    if (action.raw === 'setNull' && !fieldConfig.isNullable) {
+      error(
+        'invalid-referential-action',
+        `@${modifier.name}(setNull) cannot be used on a field that is not nullable`,
+        action.range
+      );
+      continue;
+    }
+    actions[modifier.name] = action.raw;
+  }
+  return actions;
+};
+
+// Checks that the field a relation points at exists on the target entity and
+// identifies a single row. Returns false when the relation cannot be kept.
+const resolveReference = (relation, typeRef, entities, relations, error, warning) => {
+  const target = entities.get(relation.toEntity);
+  const targetField = target.fields[relation.referencedField];
+  const isExplicit = typeRef.path.length > 1;
+  const range = isExplicit ? typeRef.pathRanges[1] : typeRef.pathRanges[0];
+
+  if (!targetField) {
+    error(
+      'unknown-referenced-field',
+      isExplicit
+        ? `Field "${relation.referencedField}" does not exist on entity "${relation.toEntity}"`
+        : `Entity "${relation.toEntity}" has no "id" field; reference a field explicitly, e.g. ${relation.toEntity}.fieldName`,
+      range
+    );
+    return false;
+  }
+
+  const targetRelationKey = `${relation.toEntity}.${relation.referencedField}`;
+  if (relations.has(targetRelationKey)) {
+    error(
+      'invalid-referenced-field',
+      `"${targetRelationKey}" is itself a relation and cannot be referenced`,
+      range
+    );
+    return false;
+  }
+
+  const isSingleFieldKey = target.constraints.some(constraint =>
+    (constraint.type === 'unique' || constraint.type === 'id') &&
+    constraint.fields.length === 1 &&
+    constraint.fields[0] === relation.referencedField
+  );
+  if (!targetField.isUnique && !targetField.isPrimary && !isSingleFieldKey) {
+    warning(
+      'non-unique-reference',
+      `"${targetRelationKey}" is not @unique or @primary, so this reference may match several rows`,
+      range
+    );
+  }
+  return true;
+};
+
+// Validates `enum Name { ... }` and returns its values, or null when invalid.
+const parseEnumDeclaration = (declaration, error) => {
+  if (declaration.values.length === 0) {
+    error('invalid-enum', `Enum "${declaration.name}" must declare at least one value`, declaration.nameRange);
+    return null;
+  }
+
+  const values = [];
+  for (const value of declaration.values) {
+    if (values.includes(value.name)) {
+      error('duplicate-enum-value', `Duplicate value "${value.name}" in enum "${declaration.name}"`, value.range);
+      continue;
+    }
+    values.push(value.name);
+  }
+  return values;
+};
+
+// Validates `@@unique([a, b])`, `@@index([a, b])` and `@@id([a, b])` and
+// returns the constraint to store, or null when the attribute is invalid.
+const parseEntityAttribute = (attribute, entityNode, error) => {
+  const { name } = attribute;
+  if (!ENTITY_ATTRIBUTES.includes(name)) {
+    error('unknown-attribute', `Unknown entity attribute "@@${name}"`, attribute.nameRange);
+    return null;
+  }
+
+  const [fieldList] = attribute.args || [];
+  if (!fieldList || fieldList.kind !== 'list' || attribute.args.length > 1) {
+    error(
+      'invalid-attribute',
+      `@@${name} expects a list of fields, e.g. @@${name}([fieldA, fieldB])`,
+      attribute.range
+    );
+    return null;
+  }
+  if (fieldList.items.length === 0) {
+    error('invalid-attribute', `@@${name} needs at least one field`, fieldList.range);
+    return null;
+  }
+
+  const fieldNames = entityNode.members
+    .filter(member => member.type === 'Field')
+    .map(field => field.name);
+  const fields = [];
+  for (const item of fieldList.items) {
+    if (item.kind !== 'identifier') {
+      error('invalid-attribute', `Expected a field name but found "${item.raw}"`, item.range);
+      return null;
+    }
+    if (!fieldNames.includes(item.value)) {
+      error(
+        'unknown-field',
+        `Field "${item.value}" does not exist on entity "${entityNode.name}"`,
+        item.range
+      );
+      return null;
+    }
+    if (fields.includes(item.value)) {
+      error('duplicate-field', `Field "${item.value}" is listed more than once`, item.range);
+      return null;
+    }
+    fields.push(item.value);
+  }
+
+  if (name === 'id') {
+    const primaryField = entityNode.members.find(member =>
+      member.type === 'Field' && member.modifiers.some(modifier => modifier.name === 'primary')
+    );
+    if (primaryField) {
+      error(
+        'conflicting-primary-key',
+        `Entity "${entityNode.name}" cannot combine @@id with @primary on "${primaryField.name}"`,
+        attribute.range
+      );
+      return null;
+    }
+  }
+
+  return { type: name, fields };
+};
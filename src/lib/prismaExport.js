@@ -0,0 +1,313 @@
+// Prisma schema for a saved data model.
+//
+// generatePrismaSchema() works from the same stored rows as generateDdl(),
+// for the PostgreSQL provider. Prisma needs more than the DSL says, which is
+// added so the schema validates:
+//
+// - every relation has a field on both models; references without a
+//   back-reference get a list field named after the referencing field, e.g.
+//   `Post.author: User` adds `postAuthor Post[]` to User
+// - references are a relation field plus a scalar field holding the key,
+//   named like the SQL column, e.g. `authorId`
+// - relations are named when two models are related more than once, and
+//   self relations always
+// - inline enums become enums named after their field, e.g. `UserRole`
+// - referenced fields are @unique, and entities without a key get an `id`
+//
+// Validation modifiers have no Prisma equivalent and are left out.
+import { baseTypeOf, enumValuesOf } from './sqlDialects.js';
+import { capitalize, toCamelCase, holdsReference } from './schemaNames.js';
+
+const REFERENTIAL_ACTIONS = {
+  cascade: 'Cascade',
+  restrict: 'Restrict',
+  setNull: 'SetNull',
+  noAction: 'NoAction'
+};
+
+// Built-in types mapped to the Prisma type and native type attribute
+const scalarTypeOf = (field) => {
+  const { length, precision, scale, timezone } = field.typeParams || {};
+  switch (baseTypeOf(field)) {
+    case 'string':
+      return { type: 'String', nativeType: length ? `@db.VarChar(${length})` : null };
+    case 'text':
+      return { type: 'String', nativeType: '@db.Text' };
+    case 'number':
+    case 'float':
+      return { type: 'Float' };
+    case 'int':
+      return { type: 'Int' };
+    case 'bigint':
+      return { type: 'BigInt' };
+    case 'decimal':
+      return { type: 'Decimal', nativeType: precision !== undefined ? `@db.Decimal(${precision}, ${scale ?? 0})` : null };
+    case 'boolean':
+      return { type: 'Boolean' };
+    case 'datetime':
+      return { type: 'DateTime', nativeType: timezone ? '@db.Timestamptz(3)' : null };
+    case 'date':
+      return { type: 'DateTime', nativeType: '@db.Date' };
+    case 'time':
+      return { type: 'DateTime', nativeType: timezone ? '@db.Timetz(3)' : '@db.Time(3)' };
+    case 'json':
+      return { type: 'Json' };
+    case 'uuid':
+    case 'ID':
+      return { type: 'String', nativeType: '@db.Uuid' };
+    case 'binary':
+      return { type: 'Bytes' };
+    default:
+      return { type: 'String' };
+  }
+};
+
+// Enum values must be identifiers in Prisma; others are mapped to their
+// database value, e.g. `in_progress @map("in-progress")`
+const enumValueName = (value) => {
+  const name = value.replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[A-Za-z]/.test(name) ? name : `_${name}`;
+};
+
+const renderEnum = (name, values) => [
+  `enum ${name} {`,
+  ...values.map(value => (enumValueName(value) === value
+    ? `  ${value}`
+    : `  ${enumValueName(value)} @map(${JSON.stringify(value)})`)),
+  '}'
+].join('\n');
+
+// The Prisma @default of a scalar field, or null
+const defaultAttribute = (field, type) => {
+  const value = field.defaultValue;
+  if (value === null || value === undefined) {
+    return baseTypeOf(field) === 'ID' && field.isPrimary ? '@default(uuid())' : null;
+  }
+  if (field.isArray) return null;
+  if (value === 'now') return '@default(now())';
+  if (value === 'uuid') return '@default(uuid())';
+  if (value === 'autoincrement') return '@default(autoincrement())';
+  if (enumValuesOf(field)) return `@default(${enumValueName(value)})`;
+  if (/^"[\s\S]*"$/.test(value)) return `@default(${value})`;
+  if (['Int', 'BigInt', 'Float', 'Decimal', 'Boolean'].includes(type)) return `@default(${value})`;
+  return `@default(${JSON.stringify(value)})`;
+};
+
+// Lines of a model block, with names, types and attributes in columns the
+// way `prisma format` aligns them
+const renderModel = (model) => {
+  const nameWidth = Math.max(...model.fields.map(field => field.name.length));
+  const typeWidth = Math.max(...model.fields.map(field => field.type.length));
+  const lines = [];
+  if (model.description) lines.push(`/// ${model.description}`);
+  lines.push(`model ${model.name} {`);
+  for (const field of model.fields) {
+    if (field.description) lines.push(`  /// ${field.description}`);
+    const columns = [field.name.padEnd(nameWidth), field.type.padEnd(typeWidth), field.attributes.join(' ')];
+    lines.push(`  ${columns.join(' ')}`.trimEnd());
+  }
+  if (model.attributes.length > 0) lines.push('', ...model.attributes.map(attribute => `  ${attribute}`));
+  lines.push('}');
+  return lines.join('\n');
+};
+
+export const generatePrismaSchema = (dataModel) => {
+  const entities = dataModel.entities.filter(entity => entity.kind === 'entity');
+  const entityByName = new Map(entities.map(entity => [entity.name, entity]));
+  const relations = dataModel.relations.filter(relation => entityByName.has(relation.fromEntity.name));
+  const enums = new Map();
+  const models = new Map(entities.map(entity => [entity.name, {
+    name: entity.name,
+    description: entity.description,
+    fields: [],
+    attributes: [],
+    // Field names mapped to the scalar fields holding them, for @@id etc.
+    scalarOf: new Map()
+  }]));
+
+  // The many-to-many relation each join entity was created for
+  const joinFor = new Map(relations.filter(relation => relation.joinEntity).map(relation => [relation.joinEntity.name, relation]));
+
+  // A many-to-many relation with a join entity is two relations to the join
+  // model in Prisma, each listed by one of the many-to-many fields. For self
+  // relations the join entity's fields are named after the other side.
+  const joinRelationOf = new Map();
+  for (const relation of relations) {
+    const manyToMany = joinFor.get(relation.fromEntity.name);
+    if (!manyToMany) continue;
+    const pointsAtOwner = manyToMany.fromEntity.name === manyToMany.toEntity.name
+      ? relation.fromField.name === manyToMany.inverseField.name
+      : relation.toEntity.name === manyToMany.fromEntity.name;
+    joinRelationOf.set(pointsAtOwner ? manyToMany.fromFieldId : manyToMany.inverseFieldId, relation);
+  }
+
+  // Relations Prisma sees, for telling which pairs of models need names
+  const prismaRelations = relations.filter(relation => !relation.joinEntityId);
+  const pairKey = (a, b) => [a, b].sort().join('\n');
+  const pairCounts = new Map();
+  for (const relation of prismaRelations) {
+    const key = pairKey(relation.fromEntity.name, relation.toEntity.name);
+    pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+  }
+  const nameArgument = (relation) => {
+    const isAmbiguous = relation.fromEntity.name === relation.toEntity.name ||
+      pairCounts.get(pairKey(relation.fromEntity.name, relation.toEntity.name)) > 1;
+    return isAmbiguous ? JSON.stringify(relation.name) : null;
+  };
+  const relationAttribute = (relation, ...args) => {
+    const allArgs = [nameArgument(relation), ...args].filter(Boolean);
+    return allArgs.length > 0 ? `@relation(${allArgs.join(', ')})` : null;
+  };
+
+  // Referenced fields must be unique in Prisma
+  const referencedFieldIds = new Set(relations.map(relation => relation.toFieldId));
+  const primaryKeyOf = (entity) => entity.fields.find(field => field.isPrimary)?.name || 'id';
+
+  const typeOf = (entity, field) => {
+    const values = enumValuesOf(field);
+    if (!values) return scalarTypeOf(field);
+    const name = field.enum?.name || `${entity.name}${capitalize(field.name)}`;
+    enums.set(name, values);
+    return { type: name };
+  };
+
+  // The relation field and the scalar holding the key on the referencing side
+  const addReference = (model, { name, relation, referencedEntity, referencedField, isOptional, isUnique, isPrimary, description }) => {
+    const scalarName = `${name}${capitalize(referencedField.name)}`;
+    const { type, nativeType } = typeOf(referencedEntity, referencedField);
+    model.scalarOf.set(name, scalarName);
+    model.fields.push({
+      name,
+      type: `${referencedEntity.name}${isOptional ? '?' : ''}`,
+      attributes: [relationAttribute(
+        relation,
+        `fields: [${scalarName}]`,
+        `references: [${referencedField.name}]`,
+        relation.onDelete && `onDelete: ${REFERENTIAL_ACTIONS[relation.onDelete]}`,
+        relation.onUpdate && `onUpdate: ${REFERENTIAL_ACTIONS[relation.onUpdate]}`
+      )],
+      description
+    });
+    model.fields.push({
+      name: scalarName,
+      type: `${type}${isOptional ? '?' : ''}`,
+      attributes: [isPrimary && '@id', isUnique && '@unique', nativeType].filter(Boolean)
+    });
+  };
+
+  const addBackRelation = (model, name, relation, type) => {
+    model.fields.push({ name, type, attributes: [relationAttribute(relation)].filter(Boolean) });
+  };
+
+  // Own fields, in the order they were declared
+  for (const entity of entities) {
+    const model = models.get(entity.name);
+    for (const field of [...entity.fields].sort((a, b) => a.id - b.id)) {
+      const owned = relations.find(relation => relation.fromFieldId === field.id);
+      const inverse = relations.find(relation => relation.inverseFieldId === field.id);
+
+      if (joinRelationOf.has(field.id)) {
+        const joinRelation = joinRelationOf.get(field.id);
+        addBackRelation(model, field.name, joinRelation, `${joinRelation.fromEntity.name}[]`);
+        continue;
+      }
+      if (owned && holdsReference(owned)) {
+        addReference(model, {
+          name: field.name,
+          relation: owned,
+          referencedEntity: entityByName.get(owned.toEntity.name),
+          referencedField: owned.toField,
+          isOptional: !field.isRequired && !field.isPrimary,
+          // Both sides of a paired one-to-one relation are single rows
+          isUnique: field.isUnique || Boolean(owned.inverseFieldId && owned.cardinality === '1:1'),
+          isPrimary: field.isPrimary,
+          description: field.description
+        });
+        if (field.isIndex) model.attributes.push(`@@index([${model.scalarOf.get(field.name)}])`);
+        continue;
+      }
+      // Lists of an implicit many-to-many relation or of the rows holding an
+      // unpaired one-to-many reference
+      if (owned) {
+        addBackRelation(model, field.name, owned, `${owned.toEntity.name}[]`);
+        continue;
+      }
+      if (inverse) {
+        const isList = inverse.cardinality === 'n:1' || inverse.cardinality === 'n:n';
+        addBackRelation(model, field.name, inverse, `${inverse.fromEntity.name}${isList ? '[]' : '?'}`);
+        continue;
+      }
+
+      const { type, nativeType } = typeOf(entity, field);
+      const isUnique = (field.isUnique || referencedFieldIds.has(field.id)) && !field.isPrimary;
+      model.scalarOf.set(field.name, field.name);
+      model.fields.push({
+        name: field.name,
+        type: `${type}${field.isArray ? '[]' : !field.isRequired && !field.isPrimary ? '?' : ''}`,
+        attributes: [field.isPrimary && '@id', isUnique && '@unique', defaultAttribute(field, type), nativeType].filter(Boolean),
+        description: field.description
+      });
+      if (field.isIndex) model.attributes.push(`@@index([${field.name}])`);
+    }
+  }
+
+  // The other side of references that have none in the DSL
+  for (const relation of prismaRelations) {
+    const toModel = models.get(relation.toEntity.name);
+    const derivedName = `${toCamelCase(relation.fromEntity.name)}${capitalize(relation.fromField.name)}`;
+
+    if (holdsReference(relation) && !relation.inverseFieldId && !joinFor.has(relation.fromEntity.name)) {
+      addBackRelation(toModel, derivedName, relation, `${relation.fromEntity.name}[]`);
+    }
+
+    // An unpaired list is held by the rows it lists, like the SQL export's
+    // `userPostsId` column
+    if (relation.cardinality === '1:n' && !relation.inverseFieldId) {
+      const fromEntity = entityByName.get(relation.fromEntity.name);
+      const keyName = primaryKeyOf(fromEntity);
+      addReference(toModel, {
+        name: derivedName,
+        relation,
+        referencedEntity: fromEntity,
+        referencedField: fromEntity.fields.find(field => field.name === keyName) || { name: 'id', fieldType: 'ID' },
+        isOptional: true
+      });
+    }
+  }
+
+  // Entity attributes may name relation fields, which are their scalars here
+  for (const entity of entities) {
+    const model = models.get(entity.name);
+    for (const constraint of entity.constraints || []) {
+      const fields = constraint.fields.map(fieldName => model.scalarOf.get(fieldName) || fieldName).join(', ');
+      model.attributes.push(`@@${constraint.type}([${fields}])`);
+    }
+    const hasKey = model.fields.some(field => field.attributes.includes('@id')) ||
+      model.attributes.some(attribute => attribute.startsWith('@@id('));
+    if (!hasKey) {
+      model.fields.unshift({
+        name: 'id',
+        type: 'String',
+        attributes: ['@id', '@default(uuid())', '@db.Uuid'],
+        description: 'Added for the export; Prisma models need a primary key'
+      });
+    }
+  }
+
+  return [
+    `// Prisma schema for "${dataModel.name}" (version ${dataModel.version})`,
+    [
+      'datasource db {',
+      '  provider = "postgresql"',
+      '  url      = env("DATABASE_URL")',
+      '}'
+    ].join('\n'),
+    [
+      'generator client {',
+      '  provider = "prisma-client-js"',
+      '}'
+    ].join('\n'),
+    ...[...models.values()].map(renderModel),
+    ...[...enums].map(([name, values]) => renderEnum(name, values))
+  ].join('\n\n') + '\n';
+};
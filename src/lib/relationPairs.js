@@ -0,0 +1,235 @@
+// Pairs the two sides of a relation into a single relation with both ends.
+//
+// A reference and its back-reference (`Post.author: User` and
+// `User.posts: Post[]`), or two list fields pointing at each other
+// (`Post.tags: Tag[]` and `Tag.posts: Post[]`), are paired automatically when
+// that is unambiguous, or explicitly with a shared `@relation(name)`. A
+// many-to-many pair may ask for a join entity with `@joinEntity(Name)`, which
+// is synthesized with a composite key.
+import { toCamelCase, localNameOf } from './schemaNames.js';
+
+export const RELATION_PAIRING_MODIFIERS = ['relation', 'joinEntity'];
+
+const isList = (side) => side.relation.cardinality === '1:n';
+const describeSide = (side) => `${side.relation.fromEntity}.${side.relation.fieldName}`;
+
+// Reads `@relation(name)` / `@joinEntity(Name)` from a field node. Returns
+// undefined when absent and null when the modifier is malformed.
+const readNameModifier = (field, modifierName, error) => {
+  const modifier = field.modifiers.find(mod => mod.name === modifierName);
+  if (!modifier) return undefined;
+
+  const [arg] = modifier.args || [];
+  if (!arg || modifier.args.length !== 1 || (arg.kind !== 'identifier' && arg.kind !== 'string') || !/^\w+$/.test(arg.value)) {
+    error(
+      'invalid-modifier-arguments',
+      `@${modifierName} expects a name, e.g. @${modifierName}(${modifierName === 'relation' ? 'AuthoredPosts' : 'PostTag'})`,
+      modifier.range
+    );
+    return null;
+  }
+  return { name: arg.value, range: arg.range, modifier };
+};
+
+// Orders a pair so that `owner` is the side holding the reference: the single
+// field of a one-to-many pair, otherwise the field declared first.
+const createPair = (first, second, name) => {
+  const [owner, inverse] = isList(first) && !isList(second) ? [second, first] : [first, second];
+  let cardinality = '1:1';
+  if (isList(owner)) {
+    cardinality = 'n:n';
+  } else if (isList(inverse)) {
+    cardinality = 'n:1';
+  }
+  return { owner, inverse, name, cardinality };
+};
+
+// `references` lists every relation the parser kept, as `{ key, typeRef, field }`.
+// Paired relations are merged into the owner's entry in `relations`.
+export const pairRelations = ({ references, entities, enums, relations, error }) => {
+  const sides = references
+    .filter(({ key }) => relations.has(key))
+    .map(({ key, typeRef, field }) => ({
+      key,
+      typeRef,
+      field,
+      relation: relations.get(key),
+      relationName: readNameModifier(field, 'relation', error),
+      joinEntity: readNameModifier(field, 'joinEntity', error)
+    }));
+
+  const pairs = [];
+
+  // Explicit pairs share a relation name
+  const named = new Map();
+  for (const side of sides) {
+    if (!side.relationName) continue;
+    const group = named.get(side.relationName.name) || [];
+    group.push(side);
+    named.set(side.relationName.name, group);
+  }
+  for (const [name, group] of named) {
+    if (group.length !== 2) {
+      group.forEach(side => error(
+        'unpaired-relation',
+        group.length === 1
+          ? `@relation(${name}) has no matching field on entity "${side.relation.toEntity}"`
+          : `@relation(${name}) is used by more than two fields`,
+        side.relationName.range
+      ));
+      continue;
+    }
+    const [first, second] = group;
+    if (first.relation.fromEntity !== second.relation.toEntity ||
+        second.relation.fromEntity !== first.relation.toEntity) {
+      error(
+        'unpaired-relation',
+        `Fields paired by @relation(${name}) must point at each other`,
+        second.relationName.range
+      );
+      continue;
+    }
+    pairs.push(createPair(first, second, name));
+  }
+
+  // Implicit pairs: an unnamed back-reference pairs with the only unnamed
+  // field pointing the other way. Self relations always need a name.
+  const unnamed = sides.filter(side =>
+    side.relationName === undefined &&
+    side.relation.fromEntity !== side.relation.toEntity &&
+    (!isList(side) || side.typeRef.path.length === 1)
+  );
+  const between = (fromEntity, toEntity) => unnamed.filter(side =>
+    side.relation.fromEntity === fromEntity && side.relation.toEntity === toEntity
+  );
+  const visited = new Set();
+  for (const side of unnamed) {
+    const entityPair = [side.relation.fromEntity, side.relation.toEntity].sort().join('|');
+    if (visited.has(entityPair)) continue;
+    visited.add(entityPair);
+
+    const forward = between(side.relation.fromEntity, side.relation.toEntity);
+    const backward = between(side.relation.toEntity, side.relation.fromEntity);
+    const lists = [...forward, ...backward].filter(isList);
+    if (backward.length === 0 || lists.length === 0) continue;
+
+    if (forward.length === 1 && backward.length === 1) {
+      pairs.push(createPair(forward[0], backward[0], null));
+      continue;
+    }
+
+    lists.forEach(list => {
+      const candidates = (forward.includes(list) ? backward : forward).map(describeSide).join(', ');
+      error(
+        'ambiguous-relation',
+        `Cannot tell which of ${candidates} is the other side of "${describeSide(list)}"; name both sides with @relation(name)`,
+        list.typeRef.range
+      );
+    });
+  }
+
+  const manyToMany = new Set();
+  for (const { owner, inverse, name, cardinality } of pairs) {
+    // Referential actions belong to the side holding the reference
+    for (const actionName of ['onDelete', 'onUpdate']) {
+      if (!inverse.relation[actionName] || cardinality === 'n:n') continue;
+      const modifier = inverse.field.modifiers.find(mod => mod.name === actionName);
+      error(
+        'invalid-referential-action',
+        `@${actionName} belongs on "${describeSide(owner)}", the side that holds the reference`,
+        modifier.range
+      );
+    }
+
+    const joinEntity = cardinality === 'n:n'
+      ? resolveJoinEntity(owner, inverse, entities, enums, error)
+      : null;
+
+    relations.set(owner.key, {
+      ...owner.relation,
+      cardinality,
+      inverseField: inverse.relation.fieldName,
+      ...(name ? { relationName: name } : {}),
+      ...(joinEntity ? { joinEntity } : {})
+    });
+    relations.delete(inverse.key);
+
+    if (cardinality === 'n:n') {
+      manyToMany.add(owner).add(inverse);
+    }
+    if (joinEntity) {
+      synthesizeJoinEntity(joinEntity, owner.relation, inverse.relation, entities, relations);
+    }
+  }
+
+  // @joinEntity only makes sense on a many-to-many pair
+  for (const side of sides) {
+    if (side.joinEntity && !manyToMany.has(side)) {
+      error(
+        'invalid-join-entity',
+        '@joinEntity can only be used on a many-to-many relation',
+        side.joinEntity.range
+      );
+    }
+  }
+};
+
+const resolveJoinEntity = (first, second, entities, enums, error) => {
+  if (first.joinEntity && second.joinEntity) {
+    error('invalid-join-entity', 'Declare @joinEntity on only one side of the relation', second.joinEntity.range);
+    return null;
+  }
+  const joinEntity = first.joinEntity || second.joinEntity;
+  if (!joinEntity) return null;
+
+  if (entities.has(joinEntity.name) || enums.has(joinEntity.name)) {
+    error('duplicate-declaration', `"${joinEntity.name}" is already declared`, joinEntity.range);
+    return null;
+  }
+  return joinEntity.name;
+};
+
+// Adds the join entity with one required reference to each side and a
+// composite primary key over both references.
+const synthesizeJoinEntity = (joinEntity, firstRelation, secondRelation, entities, relations) => {
+  let firstField = toCamelCase(localNameOf(firstRelation.fromEntity));
+  let secondField = toCamelCase(localNameOf(secondRelation.fromEntity));
+  if (firstField === secondField) {
+    // Self relations are told apart by the names of the paired fields
+    firstField = secondRelation.fieldName;
+    secondField = firstRelation.fieldName;
+  }
+
+  const referenceField = (type) => ({
+    type,
+    isArray: false,
+    isUnique: false,
+    isIndex: false,
+    isPrimary: false,
+    isNullable: false,
+    defaultValue: undefined
+  });
+
+  entities.set(joinEntity, {
+    fields: {
+      [firstField]: referenceField(firstRelation.fromEntity),
+      [secondField]: referenceField(secondRelation.fromEntity)
+    },
+    constraints: [{ type: 'id', fields: [firstField, secondField] }],
+    joinFor: `${firstRelation.fromEntity}.${firstRelation.fieldName}`,
+    // Lives in the same file as the relation that asked for it
+    ...(entities.get(firstRelation.fromEntity)?.file ? { file: entities.get(firstRelation.fromEntity).file } : {})
+  });
+
+  for (const [fieldName, relation] of [[firstField, firstRelation], [secondField, secondRelation]]) {
+    relations.set(`${joinEntity}.${fieldName}`, {
+      fromEntity: joinEntity,
+      toEntity: relation.fromEntity,
+      fieldName,
+      referencedField: relation === firstRelation ? secondRelation.referencedField : firstRelation.referencedField,
+      cardinality: '1:1',
+      isNullable: false,
+      onDelete: 'cascade'
+    });
+  }
+};
@@ -0,0 +1,172 @@
+// Completion for the schema editor.
+//
+// getCompletions() looks at the text before the cursor to tell what is being
+// typed, a field type, `Entity.` followed by a field, a modifier after `@` or
+// a value inside `@default(...)`, and suggests names from the result of
+// parseDataModelSchema or parseDataModelFiles. That result is built even for
+// schemas with errors, so completion keeps working while a line is half
+// written. Items are plain objects, so any editor can show them:
+//
+//   { label, kind, insertText, isSnippet, detail }
+//
+// Snippets use the `${1:placeholder}` / `${1|a,b|}` syntax shared by Monaco
+// and the Language Server Protocol.
+import { BUILT_IN_TYPES, FIELD_MODIFIERS, ENTITY_ATTRIBUTES, REFERENTIAL_ACTIONS } from './modelParser.js';
+import { namespaceOf, writtenName, keyOfWrittenName } from './schemaFiles.js';
+import { localNameOf } from './schemaNames.js';
+
+// What each modifier inserts after `@`; modifiers missing here take no arguments
+const MODIFIER_SNIPPETS = {
+  nullable: 'nullable(${1|true,false|})',
+  default: 'default(${1})',
+  min: 'min(${1:0})',
+  max: 'max(${1:100})',
+  length: 'length(${1:1}, ${2:255})',
+  pattern: 'pattern("${1:regex}")',
+  check: 'check(${1:expression})',
+  onDelete: `onDelete(\${1|${REFERENTIAL_ACTIONS.join(',')}|})`,
+  onUpdate: `onUpdate(\${1|${REFERENTIAL_ACTIONS.join(',')}|})`,
+  relation: 'relation(${1:Name})',
+  joinEntity: 'joinEntity(${1:Name})'
+};
+
+const MODIFIER_DETAILS = {
+  primary: 'Primary key',
+  unique: 'Unique values',
+  index: 'Indexed for lookups',
+  nullable: 'Whether the field may be empty',
+  default: 'Default value',
+  min: 'Smallest allowed number',
+  max: 'Largest allowed number',
+  length: 'Allowed text length',
+  pattern: 'Regular expression the value must match',
+  check: 'Check constraint',
+  onDelete: 'What happens when the referenced row is deleted',
+  onUpdate: 'What happens when the referenced key changes',
+  relation: 'Names the relation to pair both sides',
+  joinEntity: 'Join entity of a many-to-many relation'
+};
+
+const DEFAULT_KEYWORDS = {
+  boolean: ['true', 'false'],
+  datetime: ['now'],
+  date: ['now'],
+  time: ['now'],
+  uuid: ['uuid']
+};
+
+const item = (label, kind, detail, insertText = label, isSnippet = false) => ({
+  label,
+  kind,
+  insertText,
+  isSnippet,
+  detail
+});
+
+const typeItems = (schema, fileName, { includeEntities = true } = {}) => [
+  ...BUILT_IN_TYPES
+    .filter(type => type !== 'enum')
+    .map(type => item(type, 'type', 'Built-in type')),
+  item('enum', 'type', 'Inline enum', 'enum(${1:value})', true),
+  ...(includeEntities
+    ? Object.entries(schema?.entities || {})
+      .filter(([, entity]) => !entity.joinFor)
+      .map(([name, entity]) => item(writtenName(name, entity.file, fileName), 'entity', entity.description || 'Entity'))
+    : []),
+  ...Object.entries(schema?.enums || {})
+    .map(([name, declaration]) => item(writtenName(name, declaration.file, fileName), 'enum', `enum { ${declaration.values.join(', ')} }`)),
+  ...Object.entries(schema?.aliases || {})
+    .map(([name, alias]) => item(writtenName(name, alias.file, fileName), 'alias', `type ${localNameOf(name)} = ${alias.definition}`))
+];
+
+// Fields of `Entity.` with keys first, since references usually point at them
+const fieldItems = (entity) => Object.entries(entity.fields)
+  .sort(([, a], [, b]) => Number(b.isPrimary || b.isUnique) - Number(a.isPrimary || a.isUnique))
+  .map(([name, field]) => item(name, 'field', `${field.type}${field.isPrimary ? ' @primary' : field.isUnique ? ' @unique' : ''}`));
+
+// The declarations of another file, after `identity.`
+const namespaceItems = (schema, namespace) => [
+  ...Object.entries(schema.entities).filter(([, entity]) => !entity.joinFor).map(([name, entity]) => [name, entity, 'entity']),
+  ...Object.entries(schema.templates || {}).map(([name, template]) => [name, template, 'template']),
+  ...Object.entries(schema.enums).map(([name, declaration]) => [name, declaration, 'enum']),
+  ...Object.entries(schema.aliases).map(([name, alias]) => [name, alias, 'alias'])
+]
+  .filter(([, declaration]) => declaration.file && namespaceOf(declaration.file) === namespace)
+  .map(([name, , kind]) => item(localNameOf(name), kind, `Declared in ${namespace}`));
+
+// Completes `qualifier.` in a type: the fields of an entity, or the
+// declarations of another file
+const memberItems = (schema, qualifier, fileName) => {
+  const namespaces = new Set((schema?.files || []).map(file => namespaceOf(file.name)));
+  if (namespaces.has(qualifier)) return namespaceItems(schema, qualifier);
+
+  const entity = schema?.entities?.[keyOfWrittenName(schema?.entities, qualifier, fileName)];
+  return entity ? fieldItems(entity) : [];
+};
+
+// Suggestions inside `@default(` for a field or alias of type `typeRaw`,
+// written in `fileName`
+const defaultValueItems = (schema, typeRaw, fileName) => {
+  const type = typeRaw.replace(/\[\]$/, '');
+  const inlineEnum = type.match(/^enum\((.*)\)$/);
+  if (inlineEnum) {
+    return inlineEnum[1].split(',').map(value => value.trim()).filter(Boolean).map(value => item(value, 'value', 'Enum value'));
+  }
+
+  const alias = schema?.aliases?.[keyOfWrittenName(schema?.aliases, type, fileName)];
+  const enumName = alias ? alias.enumName : keyOfWrittenName(schema?.enums, type, fileName);
+  const values = alias?.enumValues || schema?.enums?.[enumName]?.values;
+  if (values) return values.map(value => item(value, 'value', `${enumName ? localNameOf(enumName) : type} value`));
+
+  const baseType = alias ? alias.type.split('(')[0] : type.split('(')[0];
+  return (DEFAULT_KEYWORDS[baseType] || []).map(value => item(value, 'value', baseType));
+};
+
+// `line` is the text of the cursor's line up to the cursor. `schema` is the
+// last result of parseDataModelSchema or parseDataModelFiles and `fileName`
+// the file being edited, so names from other files are suggested qualified.
+export const getCompletions = (line, schema, fileName = null) => {
+  // Inside `@default(`; the type is the one written earlier on the line
+  if (/@default\([^)]*$/.test(line)) {
+    const typePattern = '((?:[^\\s@(]|\\([^)]*\\))+)';
+    const typeMatch = line.match(new RegExp(`^\\s*\\w+\\s*:\\s*${typePattern}`)) ||
+      line.match(new RegExp(`^\\s*type\\s+\\w+\\s*=\\s*${typePattern}`));
+    return typeMatch ? defaultValueItems(schema, typeMatch[1], fileName) : [];
+  }
+
+  if (/@@\w*$/.test(line)) {
+    return ENTITY_ATTRIBUTES.map(name => item(name, 'attribute', `@@${name}([fields])`, `${name}([\${1}])`, true));
+  }
+
+  if (/(^|[^@\w])@\w*$/.test(line)) {
+    // Modifiers already on the line are not suggested again
+    const used = new Set([...line.replace(/@\w*$/, '').matchAll(/@(\w+)/g)].map(match => match[1]));
+    return FIELD_MODIFIERS
+      .filter(name => !used.has(name))
+      .map(name => item(
+        name,
+        'modifier',
+        MODIFIER_DETAILS[name],
+        MODIFIER_SNIPPETS[name] || name,
+        Boolean(MODIFIER_SNIPPETS[name])
+      ));
+  }
+
+  const inheritance = line.match(/\b(extends|uses)\s+(?:[\w.]+\s*,\s*)*[\w.]*$/);
+  if (inheritance && /^\s*(abstract\s+)?(entity|mixin)\b/.test(line)) {
+    const kind = inheritance[1] === 'extends' ? 'abstract' : 'mixin';
+    return Object.entries(schema?.templates || {})
+      .filter(([, template]) => template.kind === kind)
+      .map(([name, template]) => item(writtenName(name, template.file, fileName), 'template', kind === 'mixin' ? 'Mixin' : 'Abstract entity'));
+  }
+
+  const fieldType = line.match(/^\s*\w+\s*:\s*([\w.]*)$/);
+  const aliasType = line.match(/^\s*type\s+\w+\s*=\s*([\w.]*)$/);
+  const typed = (fieldType || aliasType)?.[1];
+  if (typed === undefined) return [];
+  if (typed.includes('.')) {
+    return memberItems(schema, typed.slice(0, typed.lastIndexOf('.')), fileName);
+  }
+  // Type aliases cannot refer to entities
+  return typeItems(schema, fileName, { includeEntities: !aliasType });
+};
@@ -0,0 +1,193 @@
+// Multi-file schemas.
+//
+// A data model can be split into named files such as `billing.dm` and
+// `identity.dm`. Each file sees its own declarations by name; declarations
+// from other files are used through `import "identity"` and qualified names
+// like `identity.User`. Once references are checked the files are merged into
+// one AST and validated as a single schema. Files may declare the same name:
+// in the merged model a declaration is keyed by its name when only its file
+// declares it, and by its qualified name otherwise, so `identity.User` and
+// `billing.User` can both exist.
+import { parseSchema } from './schemaParser.js';
+import { createDiagnostic } from './diagnostics.js';
+import { localNameOf } from './schemaNames.js';
+
+export const SCHEMA_FILE_EXTENSION = '.dm';
+
+// `identity.dm` is imported as "identity"
+export const namespaceOf = (fileName) => fileName.slice(0, -SCHEMA_FILE_EXTENSION.length);
+
+export const isValidFileName = (fileName) =>
+  typeof fileName === 'string' && /^[A-Za-z_]\w*\.dm$/.test(fileName);
+
+// How the declaration keyed `key` in `declarationFile` is written in
+// `fileName`: by its own name in the same file, qualified in the others
+export const writtenName = (key, declarationFile, fileName) => {
+  const name = localNameOf(key);
+  return !fileName || !declarationFile || declarationFile === fileName ? name : `${namespaceOf(declarationFile)}.${name}`;
+};
+
+// The key of the declaration that `name`, as written in `fileName`, refers
+// to among `declarations` ({ [key]: { file } }), or null. A file may also
+// qualify its own declarations.
+export const keyOfWrittenName = (declarations, name, fileName) =>
+  Object.keys(declarations || {}).find(key => {
+    const { file } = declarations[key];
+    return writtenName(key, file, fileName) === name || (file && `${namespaceOf(file)}.${localNameOf(key)}` === name);
+  }) ?? null;
+
+// Indexes the declarations of parsed files ([{ namespace, ast }]) by name.
+// `keyOf(namespace, name)` is the key of a declaration in the merged model.
+export const indexDeclarations = (parsedFiles) => {
+  const namespacesByName = new Map();
+  for (const { namespace, ast } of parsedFiles) {
+    for (const { name } of ast.declarations) {
+      if (!namespacesByName.has(name)) namespacesByName.set(name, new Set());
+      namespacesByName.get(name).add(namespace);
+    }
+  }
+  const namespacesOf = (name) => [...(namespacesByName.get(name) || [])];
+  return {
+    namespacesOf,
+    declares: (namespace, name) => namespacesByName.get(name)?.has(namespace) ?? false,
+    keyOf: (namespace, name) => (namespacesOf(name).length > 1 ? `${namespace}.${name}` : name)
+  };
+};
+
+// Records which file every range in a parsed file belongs to, so diagnostics
+// found after the files are merged can be traced back to their file.
+const collectRanges = (node, fileName, rangeFiles) => {
+  if (!node || typeof node !== 'object') return;
+  if (node.start && node.end) {
+    rangeFiles.set(node, fileName);
+    return;
+  }
+  Object.values(node).forEach(value => collectRanges(value, fileName, rangeFiles));
+};
+
+// Parses `files` ([{ name, content }]) and resolves imports and qualified
+// names. Returns the merged AST, with declarations and references named by
+// their key and a `file` on every declaration, the diagnostics found so far
+// and `fileOf(range)` for tagging later diagnostics.
+export const parseSchemaFiles = (files) => {
+  const diagnostics = [];
+  const rangeFiles = new WeakMap();
+
+  const parsedFiles = files.map(({ name, content }) => {
+    const { ast, diagnostics: fileDiagnostics } = parseSchema(content);
+    collectRanges(ast, name, rangeFiles);
+    fileDiagnostics.forEach(diagnostic => diagnostics.push({ ...diagnostic, file: name }));
+    return { name, namespace: namespaceOf(name), ast };
+  });
+
+  const error = (file, code, message, range) => {
+    diagnostics.push({ ...createDiagnostic('error', code, message, range), file });
+  };
+  const warning = (file, code, message, range) => {
+    diagnostics.push({ ...createDiagnostic('warning', code, message, range), file });
+  };
+
+  // Duplicates within a file are reported later
+  const { namespacesOf, declares, keyOf } = indexDeclarations(parsedFiles);
+  const namespaces = new Set(parsedFiles.map(file => file.namespace));
+
+  for (const file of parsedFiles) {
+    const imported = new Set();
+    for (const importDeclaration of file.ast.imports) {
+      const { name, nameRange } = importDeclaration;
+      if (name === file.namespace) {
+        error(file.name, 'invalid-import', `"${file.name}" cannot import itself`, nameRange);
+      } else if (!namespaces.has(name)) {
+        error(file.name, 'unknown-import', `Unknown file "${name}${SCHEMA_FILE_EXTENSION}"`, nameRange);
+      } else if (imported.has(name)) {
+        warning(file.name, 'duplicate-import', `"${name}" is already imported`, nameRange);
+      } else {
+        imported.add(name);
+      }
+    }
+
+    const declaredElsewhere = (name) => namespacesOf(name)
+      .map(namespace => `"${namespace}${SCHEMA_FILE_EXTENSION}"`)
+      .join(' and ');
+
+    // Returns the path with its first part replaced by the key of the
+    // declaration it refers to and a valid namespace qualifier removed,
+    // reporting references to other files that are unqualified or not imported
+    const resolvePath = (path, pathRanges) => {
+      const [first, second] = path;
+      if (path.length > 1 && namespaces.has(first) && declares(first, second)) {
+        if (first !== file.namespace && !imported.has(first)) {
+          error(file.name, 'missing-import', `Add import "${first}" to use ${first}.${second}`, pathRanges[0]);
+        }
+        return { path: [keyOf(first, second), ...path.slice(2)], pathRanges: pathRanges.slice(1) };
+      }
+      // Wrong references below resolve to the first file declaring the name,
+      // so each mistake is reported once
+      if (path.length > 1 && namespaces.has(first)) {
+        // Names declared nowhere are reported as unknown types once merged
+        const [namespace] = namespacesOf(second);
+        if (!namespace) return { path: path.slice(1), pathRanges: pathRanges.slice(1) };
+        error(file.name, 'unknown-type', `"${second}" is declared in ${declaredElsewhere(second)}, not "${first}${SCHEMA_FILE_EXTENSION}"`, pathRanges[1]);
+        return { path: [keyOf(namespace, second), ...path.slice(2)], pathRanges: pathRanges.slice(1) };
+      }
+
+      if (declares(file.namespace, first)) {
+        return { path: [keyOf(file.namespace, first), ...path.slice(1)], pathRanges };
+      }
+      const [namespace, ...others] = namespacesOf(first);
+      if (!namespace) return { path, pathRanges };
+      if (others.length > 0) {
+        error(file.name, 'unqualified-reference', `"${first}" is declared in ${declaredElsewhere(first)}; refer to it by a qualified name such as ${namespace}.${first}`, pathRanges[0]);
+      } else {
+        const hint = imported.has(namespace) ? '' : `import "${namespace}" and `;
+        error(file.name, 'unqualified-reference', `"${first}" is declared in "${namespace}${SCHEMA_FILE_EXTENSION}"; ${hint}refer to it as ${namespace}.${first}`, pathRanges[0]);
+      }
+      return { path: [keyOf(namespace, first), ...path.slice(1)], pathRanges };
+    };
+
+    const resolveTypeRef = (typeRef) => {
+      const { path, pathRanges } = resolvePath(typeRef.path, typeRef.pathRanges);
+      if (path === typeRef.path) return typeRef;
+      return {
+        ...typeRef,
+        path,
+        pathRanges,
+        // Keeps the type parameters and `[]` written after the path
+        raw: path.join('.') + typeRef.raw.slice(typeRef.path.join('.').length)
+      };
+    };
+
+    const resolveReference = (reference) => {
+      const { path, pathRanges } = resolvePath(reference.path, reference.pathRanges);
+      return path === reference.path ? reference : { ...reference, name: path.join('.'), path, pathRanges };
+    };
+
+    file.declarations = file.ast.declarations.map(declaration => {
+      const resolved = { ...declaration, name: keyOf(file.namespace, declaration.name), file: file.name };
+      if (declaration.type === 'TypeAlias') {
+        resolved.typeRef = resolveTypeRef(declaration.typeRef);
+      }
+      if (declaration.members) {
+        resolved.members = declaration.members.map(member =>
+          member.type === 'Field' ? { ...member, typeRef: resolveTypeRef(member.typeRef) } : member
+        );
+      }
+      if (declaration.extends) resolved.extends = resolveReference(declaration.extends);
+      if (declaration.uses) resolved.uses = declaration.uses.map(resolveReference);
+      return resolved;
+    });
+    file.imports = [...imported];
+  }
+
+  return {
+    ast: {
+      type: 'Schema',
+      imports: [],
+      declarations: parsedFiles.flatMap(file => file.declarations),
+      comments: [],
+      files: parsedFiles.map(({ name, imports, ast }) => ({ name, imports, ast }))
+    },
+    diagnostics,
+    fileOf: (range) => rangeFiles.get(range)
+  };
+};
@@ -0,0 +1,299 @@
+// Canonical pretty-printer for the data model DSL.
+//
+// printSchema() writes a schema AST back to text: one blank line between
+// declarations, two-space indentation, field names, types, modifiers and
+// trailing comments aligned in columns, modifiers in a fixed order and
+// entity-level attributes after the fields. Comments are attached to the
+// nodes around them first, so they move with their field or declaration.
+//
+// The same printer serves the editor's "Format Document" command and the
+// server, which builds the AST from database rows with the create* helpers.
+import { parseSchema } from './schemaParser.js';
+import { VALIDATION_MODIFIERS } from './fieldConstraints.js';
+import { RELATION_PAIRING_MODIFIERS } from './relationPairs.js';
+import { REFERENTIAL_MODIFIERS } from './modelParser.js';
+
+const MODIFIER_ORDER = [
+  'primary', 'unique', 'index', 'nullable', 'default',
+  ...VALIDATION_MODIFIERS,
+  ...RELATION_PAIRING_MODIFIERS,
+  ...REFERENTIAL_MODIFIERS
+];
+
+const INDENT = '  ';
+
+// Formats source text. Returns null when it has syntax errors, since a broken
+// AST cannot be printed without losing text.
+export const formatSchema = (source) => {
+  const { ast, diagnostics } = parseSchema(source);
+  if (diagnostics.some(diagnostic => diagnostic.severity === 'error')) return null;
+  attachComments(ast);
+  return printSchema(ast);
+};
+
+// AST builders for schemas that do not come from source text
+
+export const createImport = (name) => ({ type: 'Import', name });
+
+export const createEnum = (name, values, { description } = {}) => ({
+  type: 'Enum',
+  name,
+  values: values.map(value => ({ type: 'EnumValue', name: value })),
+  leadingComments: docComments(description)
+});
+
+// `definition` is the alias's source text after `=`
+export const createTypeAlias = (name, definition) => {
+  const { ast } = parseSchema(`type ${name} = ${definition}`);
+  return ast.declarations[0];
+};
+
+export const createEntity = ({ name, kind = 'entity', baseEntity, mixins = [], description, members }) => ({
+  type: kind === 'mixin' ? 'Mixin' : 'Entity',
+  name,
+  isAbstract: kind === 'abstract',
+  extends: baseEntity ? { name: baseEntity } : null,
+  uses: mixins.map(mixin => ({ name: mixin })),
+  members,
+  leadingComments: docComments(description)
+});
+
+// `modifiers` are written as in the DSL, e.g. ['@primary', '@default(now)']
+export const createField = ({ name, type, modifiers = [], description }) => ({
+  type: 'Field',
+  name,
+  typeRef: { type: 'TypeRef', raw: type },
+  modifiers: modifiers.map(modifier => {
+    const [, modifierName, raw] = modifier.match(/^@(\w+)(?:\(([\s\S]*)\))?$/);
+    return { type: 'Modifier', name: modifierName, args: raw === undefined ? null : [], raw: raw ?? null };
+  }),
+  leadingComments: docComments(description)
+});
+
+// e.g. createAttribute('unique', ['tenantId', 'email']) for @@unique([tenantId, email])
+export const createAttribute = (name, fields) => ({
+  type: 'EntityAttribute',
+  name,
+  args: [],
+  raw: `[${fields.join(', ')}]`
+});
+
+// The basic field modifiers, shared by everything that serializes fields.
+// Fields are nullable unless marked otherwise, so only required ones get
+// @nullable; primary keys are required already.
+export const basicFieldModifiers = ({ isPrimary, isUnique, isIndex, isNullable, defaultValue }) => [
+  ...(isPrimary ? ['@primary'] : []),
+  ...(isUnique ? ['@unique'] : []),
+  ...(isIndex ? ['@index'] : []),
+  ...(!isNullable && !isPrimary ? ['@nullable(false)'] : []),
+  ...(defaultValue !== undefined && defaultValue !== null && defaultValue !== '' ? [`@default(${defaultValue})`] : [])
+];
+
+const docComments = (description) =>
+  (description ? description.split('\n').map(line => ({ raw: `/// ${line}`.trimEnd() })) : []);
+
+// Attaches the comments of a parsed schema to its nodes as `leadingComments`
+// (own-line comments above a node), `trailingComment` (a comment after a node
+// on its last line), `headerComment` (after the opening brace) and
+// `danglingComments` (before a closing brace or the end of the file). Nodes
+// that follow a blank line get `blankLineBefore`. Comments inside a field
+// that spans several lines become leading comments of the field.
+export const attachComments = (ast) => {
+  const nodes = [...ast.imports, ...ast.declarations]
+    .sort((a, b) => a.range.start.offset - b.range.start.offset);
+  attachToSiblings(ast, nodes, ast.comments, 0);
+};
+
+const childrenOf = (node) => node.members || node.values || null;
+
+const attachToSiblings = (container, nodes, comments, headerLine) => {
+  let remaining = comments;
+  let previous = null;
+  let previousLine = headerLine;
+
+  for (const node of nodes) {
+    const before = remaining.filter(comment => comment.range.end.offset <= node.range.start.offset);
+    const inside = remaining.filter(comment =>
+      comment.range.start.offset >= node.range.start.offset && comment.range.end.offset <= node.range.end.offset
+    );
+    remaining = remaining.filter(comment => !before.includes(comment) && !inside.includes(comment));
+
+    node.leadingComments = [];
+    for (const comment of before) {
+      if (!comment.ownLine && previous && comment.range.start.line === previous.range.end.line) {
+        previous.trailingComment = comment.raw;
+      } else if (!comment.ownLine && !previous && comment.range.start.line === headerLine) {
+        container.headerComment = comment.raw;
+      } else {
+        node.leadingComments.push({ raw: comment.raw, blankLineBefore: comment.range.start.line - previousLine > 1 });
+        previousLine = comment.range.end.line;
+      }
+    }
+    node.blankLineBefore = node.leadingComments.length > 0
+      ? node.leadingComments[0].blankLineBefore
+      : node.range.start.line - previousLine > 1;
+    if (node.leadingComments.length > 0) {
+      node.leadingComments[0].blankLineBefore = false;
+      // e.g. a file header comment set apart from the first declaration
+      node.leadingComments[node.leadingComments.length - 1].blankLineAfter = node.range.start.line - previousLine > 1;
+    }
+
+    const children = childrenOf(node);
+    if (children) {
+      attachToSiblings(node, children, inside, node.range.start.line);
+    } else {
+      // Comments between the lines of a field that spans several lines; the
+      // field is printed on one line, so they move above it
+      node.leadingComments.push(...inside.map(comment => ({ raw: comment.raw })));
+    }
+
+    previous = node;
+    previousLine = node.range.end.line;
+  }
+
+  container.danglingComments = [];
+  for (const comment of remaining) {
+    if (!comment.ownLine && previous && comment.range.start.line === previous.range.end.line) {
+      previous.trailingComment = comment.raw;
+    } else if (!comment.ownLine && !previous && comment.range.start.line === headerLine) {
+      container.headerComment = comment.raw;
+    } else {
+      container.danglingComments.push({ raw: comment.raw, blankLineBefore: comment.range.start.line - previousLine > 1 });
+      previousLine = comment.range.end.line;
+    }
+  }
+};
+
+const sortModifiers = (modifiers) => [...modifiers].sort((a, b) => {
+  const rank = (modifier) => {
+    const index = MODIFIER_ORDER.indexOf(modifier.name);
+    return index === -1 ? MODIFIER_ORDER.length : index;
+  };
+  return rank(a) - rank(b);
+});
+
+const printModifier = (modifier, prefix = '@') =>
+  `${prefix}${modifier.name}${modifier.args ? `(${modifier.raw})` : ''}`;
+
+const printModifiers = (modifiers) => sortModifiers(modifiers).map(modifier => printModifier(modifier)).join(' ');
+
+const printComments = (comments = [], indent) => comments.flatMap(comment => [
+  ...(comment.blankLineBefore ? [''] : []),
+  indent + comment.raw,
+  ...(comment.blankLineAfter ? [''] : [])
+]);
+
+const withTrailing = (line, node) => (node.trailingComment ? `${line} ${node.trailingComment}` : line);
+
+// Pads every column but the last of each row to the widest cell of the group
+const alignRows = (rows) => {
+  const widths = [];
+  rows.forEach(row => row.forEach((cell, index) => {
+    if (index < row.length - 1 && cell) widths[index] = Math.max(widths[index] || 0, cell.length);
+  }));
+  return rows.map(row => row
+    .map((cell, index) => (index < row.length - 1 ? cell.padEnd(widths[index]) : cell))
+    .join(' ')
+    .trimEnd());
+};
+
+const printFields = (fields) => {
+  const lines = [];
+  let group = [];
+  const flush = () => {
+    const rows = group.map(field => [
+      `${field.name}:`,
+      field.typeRef.raw,
+      printModifiers(field.modifiers),
+      field.trailingComment || ''
+    ]);
+    // Modifiers only need padding when some field in the group has a comment
+    const hasComments = group.some(field => field.trailingComment);
+    const aligned = alignRows(rows.map(row => (hasComments ? row : row.slice(0, 3))));
+    group.forEach((field, index) => {
+      lines.push(...printComments(field.leadingComments, INDENT), INDENT + aligned[index]);
+    });
+    group = [];
+  };
+
+  fields.forEach(field => {
+    if (field.blankLineBefore && (group.length > 0 || lines.length > 0)) {
+      flush();
+      lines.push('');
+    }
+    group.push(field);
+  });
+  flush();
+  return lines;
+};
+
+const printBlock = (header, node, bodyLines) => [
+  withTrailing(`${header} {`, { trailingComment: node.headerComment }),
+  ...bodyLines,
+  ...printComments(node.danglingComments, INDENT),
+  withTrailing('}', node)
+];
+
+const printEntity = (entity) => {
+  let header = entity.type === 'Mixin' ? `mixin ${entity.name}` : `${entity.isAbstract ? 'abstract ' : ''}entity ${entity.name}`;
+  if (entity.extends) header += ` extends ${entity.extends.name}`;
+  if (entity.uses?.length) header += ` uses ${entity.uses.map(mixin => mixin.name).join(', ')}`;
+
+  const fields = entity.members.filter(member => member.type === 'Field');
+  const attributes = entity.members.filter(member => member.type === 'EntityAttribute');
+  const bodyLines = printFields(fields);
+  attributes.forEach(attribute => {
+    if (attribute.blankLineBefore && bodyLines.length > 0) bodyLines.push('');
+    bodyLines.push(
+      ...printComments(attribute.leadingComments, INDENT),
+      INDENT + withTrailing(printModifier(attribute, '@@'), attribute)
+    );
+  });
+  return printBlock(header, entity, bodyLines);
+};
+
+const printEnum = (enumDeclaration) => printBlock(
+  `enum ${enumDeclaration.name}`,
+  enumDeclaration,
+  enumDeclaration.values.flatMap((value, index) => [
+    ...(value.blankLineBefore && index > 0 ? [''] : []),
+    ...printComments(value.leadingComments, INDENT),
+    INDENT + withTrailing(value.name, value)
+  ])
+);
+
+const printDeclaration = (declaration) => {
+  switch (declaration.type) {
+    case 'Import':
+      return [withTrailing(`import "${declaration.name}"`, declaration)];
+    case 'TypeAlias': {
+      const modifiers = printModifiers(declaration.modifiers);
+      return [withTrailing(`type ${declaration.name} = ${declaration.typeRef.raw}${modifiers ? ` ${modifiers}` : ''}`, declaration)];
+    }
+    case 'Enum':
+      return printEnum(declaration);
+    default:
+      return printEntity(declaration);
+  }
+};
+
+// Imports and type aliases may be kept together without blank lines
+const isOneLiner = (declaration) => declaration.type === 'Import' || declaration.type === 'TypeAlias';
+
+export const printSchema = (ast) => {
+  const declarations = [...(ast.imports || []), ...ast.declarations];
+  const lines = [];
+  declarations.forEach((declaration, index) => {
+    const previous = declarations[index - 1];
+    if (previous) {
+      const keepTogether = isOneLiner(previous) && previous.type === declaration.type && !declaration.blankLineBefore;
+      if (!keepTogether) lines.push('');
+    }
+    lines.push(...printComments(declaration.leadingComments, ''), ...printDeclaration(declaration));
+  });
+  if (ast.danglingComments?.length) {
+    if (lines.length > 0) lines.push('');
+    lines.push(...printComments(ast.danglingComments, '').filter((line, index) => index > 0 || line !== ''));
+  }
+  return lines.join('\n') + '\n';
+};
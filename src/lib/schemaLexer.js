@@ -0,0 +1,159 @@
+// Tokenizer for the data model DSL.
+//
+// Newlines are not significant to the grammar, but every token records whether
+// a line break preceded it so the parser can resynchronize after an error.
+// Comments are kept out of the token stream and returned separately so that
+// tools which need them (doc comments, the formatter) can still find them.
+import { createDiagnostic } from './diagnostics.js';
+
+const PUNCTUATION = ['{', '}', '(', ')', '[', ']', ':', ',', '.', '=', '@'];
+
+const isIdentifierStart = (char) => /[A-Za-z_]/.test(char);
+const isIdentifierPart = (char) => /[A-Za-z0-9_]/.test(char);
+const isDigit = (char) => /[0-9]/.test(char);
+
+export const createRange = (start, end) => ({
+  start: { ...start },
+  end: { ...end }
+});
+
+export const tokenize = (source) => {
+  const tokens = [];
+  const comments = [];
+  const diagnostics = [];
+
+  let offset = 0;
+  let line = 1;
+  let column = 1;
+  let newlineBefore = true;
+
+  const position = () => ({ line, column, offset });
+
+  const advance = () => {
+    const char = source[offset];
+    offset++;
+    if (char === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    return char;
+  };
+
+  const pushToken = (type, value, start) => {
+    tokens.push({
+      type,
+      value,
+      range: createRange(start, position()),
+      newlineBefore
+    });
+    newlineBefore = false;
+  };
+
+  while (offset < source.length) {
+    const char = source[offset];
+    const start = position();
+
+    if (char === '\n') {
+      advance();
+      newlineBefore = true;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      advance();
+      continue;
+    }
+
+    // Line comments; `///` marks a doc comment for the declaration below it
+    if (char === '/' && source[offset + 1] === '/') {
+      const isDoc = source[offset + 2] === '/' && source[offset + 3] !== '/';
+      while (offset < source.length && source[offset] !== '\n') advance();
+      const raw = source.slice(start.offset, offset);
+      comments.push({
+        kind: isDoc ? 'doc' : 'line',
+        text: raw.replace(isDoc ? /^\/\/\/\s?/ : /^\/\/\s?/, '').trimEnd(),
+        raw,
+        range: createRange(start, position()),
+        ownLine: newlineBefore
+      });
+      continue;
+    }
+
+    if (isIdentifierStart(char)) {
+      while (offset < source.length && isIdentifierPart(source[offset])) advance();
+      pushToken('identifier', source.slice(start.offset, offset), start);
+      continue;
+    }
+
+    if (isDigit(char)) {
+      while (offset < source.length && isDigit(source[offset])) advance();
+      if (source[offset] === '.' && isDigit(source[offset + 1] || '')) {
+        advance();
+        while (offset < source.length && isDigit(source[offset])) advance();
+      }
+      pushToken('number', source.slice(start.offset, offset), start);
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      const quote = advance();
+      let value = '';
+      let terminated = false;
+      while (offset < source.length && source[offset] !== '\n') {
+        const next = advance();
+        if (next === quote) {
+          terminated = true;
+          break;
+        }
+        if (next === '\\' && offset < source.length && source[offset] !== '\n') {
+          // Only quotes and backslashes are unescaped, so regular expressions
+          // like "^\d+$" keep their backslashes
+          const escaped = advance();
+          value += escaped === quote || escaped === '\\' ? escaped : `\\${escaped}`;
+        } else {
+          value += next;
+        }
+      }
+      if (!terminated) {
+        diagnostics.push(createDiagnostic(
+          'error',
+          'unterminated-string',
+          'Unterminated string literal',
+          createRange(start, position())
+        ));
+      }
+      pushToken('string', value, start);
+      continue;
+    }
+
+    if (char === '@' && source[offset + 1] === '@') {
+      advance();
+      advance();
+      pushToken('punctuation', '@@', start);
+      continue;
+    }
+
+    if (PUNCTUATION.includes(char)) {
+      advance();
+      pushToken('punctuation', char, start);
+      continue;
+    }
+
+    // Anything else (operators inside @check(...), stray characters) is kept as
+    // a symbol token; the parser decides whether it is allowed where it appears.
+    advance();
+    pushToken('symbol', char, start);
+  }
+
+  const end = position();
+  tokens.push({
+    type: 'eof',
+    value: '',
+    range: createRange(end, end),
+    newlineBefore: true
+  });
+
+  return { tokens, comments, diagnostics };
+};
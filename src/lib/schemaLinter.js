@@ -0,0 +1,294 @@
+// Lint rules for schemas that already parse and validate.
+//
+// Each rule in LINT_RULES looks at the validated model and reports problems
+// that are legal DSL but usually mistakes, such as an entity without a primary
+// key. Rules report at their default severity unless a data model's lint
+// config sets another one or turns them 'off':
+//
+//   { rules: { 'naming-convention': 'off' }, blockSaveOn: 'warning' }
+//
+// `blockSaveOn` is the lowest severity that keeps a schema from being saved,
+// or 'never'.
+import { createDiagnostic, compareDiagnostics } from './diagnostics.js';
+import { holdsReference, localNameOf } from './schemaNames.js';
+
+export const LINT_SEVERITIES = ['off', 'info', 'warning', 'error'];
+export const BLOCK_SAVE_LEVELS = ['never', 'info', 'warning', 'error'];
+
+export const DEFAULT_LINT_CONFIG = { rules: {}, blockSaveOn: 'error' };
+
+const PASCAL_CASE = /^[A-Z][A-Za-z0-9]*$/;
+const CAMEL_CASE = /^[a-z][A-Za-z0-9]*$/;
+
+// `Post[]`, `User.email` and `string(255)` all have the base type before the
+// first `.`, `(` or `[`
+const baseType = (type) => type.split(/[.([]/)[0];
+
+// The entity a field type refers to, if any. Entities of multi-file schemas
+// may be keyed by a qualified name, as in `billing.User.email`.
+const referencedEntity = (schema, type) => {
+  const path = type.split(/[([]/)[0];
+  return [path, path.slice(0, path.lastIndexOf('.'))].find(name => schema.entities[name]) ?? null;
+};
+
+const declarationsOf = (ast, ...types) => ast.declarations.filter(declaration => types.includes(declaration.type));
+
+const ownFields = (declaration) => declaration.members.filter(member => member.type === 'Field');
+
+// The validated configuration of a field declared on an entity, abstract
+// entity or mixin
+const fieldConfigOf = (schema, declaration, field) =>
+  (schema.entities[declaration.name] || schema.templates[declaration.name])?.fields[field.name];
+
+const isInteger = (value) => /^-?\d+$/.test(value);
+const isNumber = (value) => /^-?\d+(\.\d+)?$/.test(value);
+const isQuoted = (value) => /^"[^"]*"$/.test(value);
+
+// What a default value must look like for each built-in type; types missing
+// here accept any value
+const DEFAULT_VALUE_CHECKS = {
+  int: { accepts: (value) => isInteger(value) || value === 'autoincrement', expected: 'an integer' },
+  bigint: { accepts: (value) => isInteger(value) || value === 'autoincrement', expected: 'an integer' },
+  number: { accepts: isNumber, expected: 'a number' },
+  float: { accepts: isNumber, expected: 'a number' },
+  decimal: { accepts: isNumber, expected: 'a number' },
+  boolean: { accepts: (value) => value === 'true' || value === 'false', expected: 'true or false' },
+  datetime: { accepts: (value) => value === 'now' || isQuoted(value), expected: 'now or a quoted date' },
+  date: { accepts: (value) => value === 'now' || isQuoted(value), expected: 'now or a quoted date' },
+  time: { accepts: (value) => value === 'now' || isQuoted(value), expected: 'now or a quoted time' },
+  uuid: { accepts: (value) => value === 'uuid' || isQuoted(value), expected: 'uuid or a quoted UUID' }
+};
+
+// Returns why `value` is not a valid default for a field or alias
+// configuration, or null when it is
+const checkDefaultValue = (schema, config, value) => {
+  const enumValues = config.enumValues || schema.enums[config.enumName]?.values;
+  if (enumValues) {
+    return enumValues.includes(value) ? null : `expected one of: ${enumValues.join(', ')}`;
+  }
+  if (config.isArray) return null;
+  const check = DEFAULT_VALUE_CHECKS[baseType(config.type)];
+  return !check || check.accepts(value) ? null : `expected ${check.expected}`;
+};
+
+// Finds a path of required references from `from` back to `to`, as a list
+// of relations, or null
+const findRequiredPath = (edges, from, to) => {
+  const queue = [[from, []]];
+  const visited = new Set([from]);
+  while (queue.length > 0) {
+    const [entityName, path] = queue.shift();
+    for (const edge of edges.filter(candidate => candidate.fromEntity === entityName)) {
+      if (edge.toEntity === to) return [...path, edge];
+      if (visited.has(edge.toEntity)) continue;
+      visited.add(edge.toEntity);
+      queue.push([edge.toEntity, [...path, edge]]);
+    }
+  }
+  return null;
+};
+
+// Rule ids mapped to their description, default severity and a `check`
+// function that calls `report(message, range, declaration)` for each problem.
+export const LINT_RULES = {
+  'require-primary-key': {
+    description: 'Entities should have a @primary field or an @@id',
+    severity: 'warning',
+    check: (schema, report) => {
+      for (const declaration of declarationsOf(schema.ast, 'Entity')) {
+        const entity = schema.entities[declaration.name];
+        if (!entity) continue;
+        const hasPrimaryKey = Object.values(entity.fields).some(field => field.isPrimary) ||
+          entity.constraints.some(constraint => constraint.type === 'id');
+        if (!hasPrimaryKey) {
+          report(`Entity "${declaration.name}" has no primary key; add e.g. id: ID @primary`, declaration.nameRange, declaration);
+        }
+      }
+    }
+  },
+
+  'index-foreign-keys': {
+    description: 'Fields holding a reference to another entity should be indexed',
+    severity: 'warning',
+    check: (schema, report) => {
+      for (const declaration of declarationsOf(schema.ast, 'Entity')) {
+        const entity = schema.entities[declaration.name];
+        if (!entity) continue;
+        // A composite index or key covers the field it starts with
+        const leadingFields = new Set(entity.constraints.map(constraint => constraint.fields[0]));
+        for (const field of ownFields(declaration)) {
+          const relation = schema.relations[`${declaration.name}.${field.name}`];
+          const fieldConfig = entity.fields[field.name];
+          if (!relation || !holdsReference(relation) || !fieldConfig) continue;
+          if (fieldConfig.isIndex || fieldConfig.isUnique || fieldConfig.isPrimary || leadingFields.has(field.name)) continue;
+          report(`Reference "${declaration.name}.${field.name}" is not indexed; add @index`, field.nameRange, declaration);
+        }
+      }
+    }
+  },
+
+  'naming-convention': {
+    description: 'Declarations are PascalCase and fields are camelCase',
+    severity: 'warning',
+    check: (schema, report) => {
+      for (const declaration of schema.ast.declarations) {
+        if (!PASCAL_CASE.test(localNameOf(declaration.name))) {
+          report(`"${localNameOf(declaration.name)}" should be PascalCase`, declaration.nameRange, declaration);
+        }
+        for (const field of declaration.members ? ownFields(declaration) : []) {
+          if (!CAMEL_CASE.test(field.name)) {
+            report(`Field "${field.name}" should be camelCase`, field.nameRange, declaration);
+          }
+        }
+      }
+    }
+  },
+
+  'single-value-enum': {
+    description: 'Enums should have more than one value',
+    severity: 'warning',
+    check: (schema, report) => {
+      for (const declaration of declarationsOf(schema.ast, 'Enum')) {
+        if (declaration.values.length === 1) {
+          report(`Enum "${declaration.name}" has a single value; consider a boolean or a constant`, declaration.nameRange, declaration);
+        }
+      }
+      for (const declaration of declarationsOf(schema.ast, 'Entity', 'Mixin')) {
+        for (const field of ownFields(declaration)) {
+          if (fieldConfigOf(schema, declaration, field)?.enumValues?.length === 1) {
+            report(`Field "${field.name}" is an enum with a single value`, field.typeRef.range, declaration);
+          }
+        }
+      }
+    }
+  },
+
+  'default-type-mismatch': {
+    description: '@default values should match the type of their field',
+    severity: 'warning',
+    check: (schema, report) => {
+      const checkModifier = (config, modifier, declaration) => {
+        if (!config || !modifier?.raw) return;
+        const problem = checkDefaultValue(schema, config, modifier.raw);
+        if (problem) report(`@default(${modifier.raw}) does not match the type: ${problem}`, modifier.range, declaration);
+      };
+      const defaultModifier = (node) => node.modifiers.find(modifier => modifier.name === 'default');
+
+      for (const declaration of declarationsOf(schema.ast, 'Entity', 'Mixin')) {
+        for (const field of ownFields(declaration)) {
+          checkModifier(fieldConfigOf(schema, declaration, field), defaultModifier(field), declaration);
+        }
+      }
+      for (const declaration of declarationsOf(schema.ast, 'TypeAlias')) {
+        checkModifier(schema.aliases[declaration.name], defaultModifier(declaration), declaration);
+      }
+    }
+  },
+
+  'orphan-entity': {
+    description: 'Entities should be related to at least one other entity',
+    severity: 'info',
+    check: (schema, report) => {
+      const entityNames = Object.keys(schema.entities);
+      if (entityNames.length < 2) return;
+
+      // Inherited relation fields are flattened into `fields`, so this also
+      // covers relations declared by abstract entities and mixins
+      const connected = new Set();
+      for (const [entityName, entity] of Object.entries(schema.entities)) {
+        for (const field of Object.values(entity.fields)) {
+          const target = referencedEntity(schema, field.type);
+          if (!target) continue;
+          connected.add(entityName).add(target);
+        }
+      }
+      for (const declaration of declarationsOf(schema.ast, 'Entity')) {
+        if (schema.entities[declaration.name] && !connected.has(declaration.name)) {
+          report(`Entity "${declaration.name}" is not related to any other entity`, declaration.nameRange, declaration);
+        }
+      }
+    }
+  },
+
+  'required-relation-cycle': {
+    description: 'Required references should not form a cycle, since no row of the cycle could be inserted first',
+    severity: 'warning',
+    check: (schema, report) => {
+      const edges = Object.values(schema.relations)
+        .filter(relation => holdsReference(relation) && !relation.isNullable);
+      const reported = new Set();
+
+      for (const declaration of declarationsOf(schema.ast, 'Entity')) {
+        for (const field of ownFields(declaration)) {
+          const edge = edges.find(candidate => candidate.fromEntity === declaration.name && candidate.fieldName === field.name);
+          if (!edge || reported.has(edge)) continue;
+          const path = edge.toEntity === edge.fromEntity ? [] : findRequiredPath(edges, edge.toEntity, edge.fromEntity);
+          if (!path) continue;
+
+          const cycle = [edge, ...path];
+          cycle.forEach(member => reported.add(member));
+          const description = cycle.map(member => `${member.fromEntity}.${member.fieldName}`).join(' → ');
+          report(
+            `Required references form a cycle (${description} → ${edge.fromEntity}); make one of them @nullable(true)`,
+            field.nameRange,
+            declaration
+          );
+        }
+      }
+    }
+  }
+};
+
+// The severity a rule reports at under `lintConfig`
+export const ruleSeverity = (lintConfig, ruleId) =>
+  lintConfig?.rules?.[ruleId] ?? LINT_RULES[ruleId].severity;
+
+// Runs the enabled rules over the result of parseDataModelSchema or
+// parseDataModelFiles and returns their diagnostics. Schemas with errors are
+// not linted.
+export const lintSchema = (schema, lintConfig = DEFAULT_LINT_CONFIG) => {
+  if (!schema?.isValid) return [];
+
+  const diagnostics = [];
+  for (const [ruleId, rule] of Object.entries(LINT_RULES)) {
+    const severity = ruleSeverity(lintConfig, ruleId);
+    if (severity === 'off') continue;
+    rule.check(schema, (message, range, declaration) => {
+      const diagnostic = createDiagnostic(severity, ruleId, message, range);
+      diagnostics.push(declaration?.file ? { ...diagnostic, file: declaration.file } : diagnostic);
+    });
+  }
+  return diagnostics.sort(compareDiagnostics);
+};
+
+// Returns why `lintConfig` is not a valid lint config, or null when it is.
+// Both keys are optional; rules missing from `rules` keep their default
+// severity.
+export const lintConfigProblem = (lintConfig) => {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(lintConfig)) return 'Lint config must be an object';
+
+  const unknownKey = Object.keys(lintConfig).find(key => !['rules', 'blockSaveOn'].includes(key));
+  if (unknownKey) return `Unknown lint config key "${unknownKey}"`;
+
+  const { rules = {}, blockSaveOn = DEFAULT_LINT_CONFIG.blockSaveOn } = lintConfig;
+  if (!isObject(rules)) return 'Lint config rules must be an object';
+  for (const [ruleId, severity] of Object.entries(rules)) {
+    if (!LINT_RULES[ruleId]) return `Unknown lint rule "${ruleId}"`;
+    if (!LINT_SEVERITIES.includes(severity)) {
+      return `Invalid severity "${severity}" for lint rule "${ruleId}", expected one of: ${LINT_SEVERITIES.join(', ')}`;
+    }
+  }
+  if (!BLOCK_SAVE_LEVELS.includes(blockSaveOn)) {
+    return `Invalid blockSaveOn "${blockSaveOn}", expected one of: ${BLOCK_SAVE_LEVELS.join(', ')}`;
+  }
+  return null;
+};
+
+// The lint diagnostics that keep a schema from being saved under `lintConfig`
+export const blockingDiagnostics = (diagnostics, lintConfig) => {
+  const blockSaveOn = lintConfig?.blockSaveOn ?? DEFAULT_LINT_CONFIG.blockSaveOn;
+  if (blockSaveOn === 'never') return [];
+  const threshold = LINT_SEVERITIES.indexOf(blockSaveOn);
+  return diagnostics.filter(diagnostic => LINT_SEVERITIES.indexOf(diagnostic.severity) >= threshold);
+};
@@ -0,0 +1,50 @@
+// Helpers shared by the relation pairing, the linter and the exporters.
+
+// Names derived from declarations, e.g. `UserRole` for the inline enum of
+// `User.role` and `postAuthor` for the back-reference of `Post.author`
+export const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+export const toCamelCase = (name) => name.charAt(0).toLowerCase() + name.slice(1);
+
+// Sides of a relation that hold the reference to the other entity
+export const holdsReference = (relation) => relation.cardinality === '1:1' || relation.cardinality === 'n:1';
+
+// Declarations of multi-file schemas are keyed by a qualified name such as
+// `identity.User` when several files declare the same name; this is the name
+// the declaration was written with, e.g. `User`
+export const localNameOf = (key) => key.slice(key.lastIndexOf('.') + 1);
+
+// Exports have no files to qualify names with, so a declaration keyed
+// `billing.User` is exported as `BillingUser`; other names are kept
+export const exportedName = (key) => key.split('.').map(capitalize).join('');
+
+// A data model loaded for an export, with its entities and enums renamed to
+// their exported names. Relations named after their entities are renamed
+// with them.
+export const withExportedNames = (dataModel) => {
+  const renameEnum = (modelEnum) => modelEnum && { ...modelEnum, name: exportedName(modelEnum.name) };
+  const renameField = (field) => field && { ...field, enum: renameEnum(field.enum) };
+  const renameEntity = (entity) => entity && {
+    ...entity,
+    name: exportedName(entity.name),
+    ...(entity.fields ? { fields: entity.fields.map(renameField) } : {})
+  };
+  const relationName = (relation) => {
+    const { fromEntity, fromField, toEntity } = relation;
+    return relation.name === `${fromEntity.name}_${fromField.name}_${toEntity.name}`
+      ? `${exportedName(fromEntity.name)}_${fromField.name}_${exportedName(toEntity.name)}`
+      : relation.name;
+  };
+
+  return {
+    ...dataModel,
+    entities: dataModel.entities.map(renameEntity),
+    relations: dataModel.relations.map(relation => ({
+      ...relation,
+      name: relationName(relation),
+      fromEntity: renameEntity(relation.fromEntity),
+      toEntity: renameEntity(relation.toEntity),
+      toField: renameField(relation.toField),
+      joinEntity: renameEntity(relation.joinEntity)
+    }))
+  };
+};
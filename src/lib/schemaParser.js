@@ -0,0 +1,561 @@
+// Recursive-descent parser for the data model DSL.
+//
+// parseSchema() turns source text into an AST in which every node carries a
+// `range` ({ start, end } with line, column and offset). It only checks syntax;
+// type resolution and the other semantic checks live in modelParser.js.
+import { tokenize, createRange } from './schemaLexer.js';
+import { createDiagnostic } from './diagnostics.js';
+
+const TOP_LEVEL_KEYWORDS = ['entity', 'enum', 'abstract', 'mixin', 'type', 'import'];
+
+const OPENING_BRACKETS = ['(', '['];
+const CLOSING_BRACKETS = [')', ']'];
+
+const describeToken = (token) =>
+  token.type === 'eof' ? 'end of file' : `"${token.value}"`;
+
+export const parseSchema = (source) => {
+  const { tokens, comments, diagnostics } = tokenize(source);
+  let index = 0;
+
+  const peek = (ahead = 0) => tokens[Math.min(index + ahead, tokens.length - 1)];
+  const next = () => {
+    const token = tokens[index];
+    if (index < tokens.length - 1) index++;
+    return token;
+  };
+  const previous = () => tokens[Math.max(index - 1, 0)];
+
+  const is = (token, value) =>
+    (token.type === 'punctuation' || token.type === 'symbol') && token.value === value;
+  const isKeyword = (token, keyword) =>
+    token.type === 'identifier' && token.value === keyword;
+
+  const error = (code, message, range) => {
+    diagnostics.push(createDiagnostic('error', code, message, range));
+  };
+
+  const rangeFrom = (startToken, endToken = previous()) =>
+    createRange(startToken.range.start, endToken.range.end);
+
+  // `///` comments on the lines directly above a declaration or field form its
+  // description, one line of text per comment.
+  const docComments = new Map(comments
+    .filter(comment => comment.kind === 'doc' && comment.ownLine)
+    .map(comment => [comment.range.start.line, comment]));
+  const descriptionFor = (token) => {
+    const lines = [];
+    for (let line = token.range.start.line - 1; docComments.has(line); line--) {
+      lines.unshift(docComments.get(line).text);
+    }
+    return lines.length > 0 ? lines.join('\n') : null;
+  };
+
+  // Skip to the next token that starts a line (or closes the current block)
+  // so a single malformed member does not cascade into more errors.
+  const synchronizeMember = () => {
+    if (!is(peek(), '}') && peek().type !== 'eof') next();
+    while (!peek().newlineBefore && !is(peek(), '}') && peek().type !== 'eof') {
+      next();
+    }
+  };
+
+  // A top-level keyword at the start of a line followed by a name, e.g.
+  // `entity User`, `type Money` or `import "identity"`; fields such as
+  // `type: string` don't count.
+  const startsDeclaration = (token) =>
+    token.type === 'identifier' &&
+    token.newlineBefore &&
+    TOP_LEVEL_KEYWORDS.includes(token.value) &&
+    (peek(1).type === 'identifier' || (token.value === 'import' && peek(1).type === 'string'));
+
+  const synchronizeTopLevel = () => {
+    while (peek().type !== 'eof') {
+      if (startsDeclaration(peek())) return;
+      next();
+    }
+  };
+
+  const buildArgument = (argTokens) => {
+    const first = argTokens[0];
+    const last = argTokens[argTokens.length - 1];
+    const range = rangeFrom(first, last);
+    const raw = source.slice(first.range.start.offset, last.range.end.offset);
+
+    if (argTokens.length === 1 && first.type === 'string') {
+      return { type: 'Argument', kind: 'string', value: first.value, raw, range };
+    }
+    if (argTokens.length === 1 && first.type === 'number') {
+      return { type: 'Argument', kind: 'number', value: Number(first.value), raw, range };
+    }
+    if (argTokens.length === 2 && is(first, '-') && last.type === 'number') {
+      return { type: 'Argument', kind: 'number', value: -Number(last.value), raw, range };
+    }
+    if (argTokens.length === 1 && first.type === 'identifier') {
+      return { type: 'Argument', kind: 'identifier', value: first.value, raw, range };
+    }
+    if (is(first, '[') && is(last, ']')) {
+      return {
+        type: 'Argument',
+        kind: 'list',
+        value: raw,
+        items: splitArguments(argTokens.slice(1, -1)).map(buildArgument),
+        raw,
+        range
+      };
+    }
+    return { type: 'Argument', kind: 'expression', value: raw, raw, range };
+  };
+
+  // Splits a token run on top-level commas; empty segments are reported.
+  const splitArguments = (argTokens) => {
+    const groups = [];
+    let current = [];
+    let depth = 0;
+    for (const token of argTokens) {
+      if (OPENING_BRACKETS.includes(token.value) && token.type === 'punctuation') depth++;
+      if (CLOSING_BRACKETS.includes(token.value) && token.type === 'punctuation') depth--;
+      if (depth === 0 && is(token, ',')) {
+        if (current.length === 0) {
+          error('empty-argument', 'Empty argument', token.range);
+        } else {
+          groups.push(current);
+        }
+        current = [];
+        continue;
+      }
+      current.push(token);
+    }
+    if (current.length > 0) groups.push(current);
+    return groups;
+  };
+
+  // Parses `( ... )` after the opening parenthesis has been consumed. Argument
+  // text may contain anything (e.g. `@default(a@b.com)`), so arguments are kept
+  // as raw source slices alongside a best-effort typed value.
+  const parseArguments = (openToken) => {
+    const argTokens = [];
+    let depth = 0;
+    let closeToken = null;
+
+    for (;;) {
+      const token = peek();
+      if (token.type === 'eof' || (depth === 0 && (is(token, '}') || is(token, '{')))) {
+        error('unclosed-paren', 'Expected ")" to close "("', openToken.range);
+        break;
+      }
+      if (depth === 0 && is(token, ')')) {
+        closeToken = next();
+        break;
+      }
+      if (token.type === 'punctuation' && OPENING_BRACKETS.includes(token.value)) depth++;
+      if (token.type === 'punctuation' && CLOSING_BRACKETS.includes(token.value)) depth--;
+      argTokens.push(next());
+    }
+
+    const rawEnd = closeToken ? closeToken.range.start.offset : previous().range.end.offset;
+    return {
+      args: splitArguments(argTokens).map(buildArgument),
+      raw: source.slice(openToken.range.end.offset, Math.max(rawEnd, openToken.range.end.offset)).trim()
+    };
+  };
+
+  const parseTypeRef = () => {
+    const startToken = peek();
+    if (startToken.type !== 'identifier') {
+      error('expected-type', `Expected a type but found ${describeToken(startToken)}`, startToken.range);
+      return null;
+    }
+
+    const path = [next().value];
+    const pathRanges = [startToken.range];
+    while (is(peek(), '.') && peek(1).type === 'identifier') {
+      next();
+      const segment = next();
+      path.push(segment.value);
+      pathRanges.push(segment.range);
+    }
+
+    let args = null;
+    if (is(peek(), '(')) {
+      ({ args } = parseArguments(next()));
+    }
+
+    let isArray = false;
+    if (is(peek(), '[')) {
+      const open = next();
+      if (is(peek(), ']')) {
+        next();
+        isArray = true;
+      } else {
+        error('expected-bracket', 'Expected "]" after "["', open.range);
+      }
+    }
+
+    const raw = path.join('.') +
+      (args ? `(${args.map(arg => arg.raw).join(',')})` : '') +
+      (isArray ? '[]' : '');
+
+    return {
+      type: 'TypeRef',
+      path,
+      pathRanges,
+      args,
+      isArray,
+      raw,
+      range: rangeFrom(startToken)
+    };
+  };
+
+  // Parses `@name(...)` on a field, or `@@name(...)` on an entity when called
+  // with type 'EntityAttribute'.
+  const parseModifier = (type = 'Modifier') => {
+    const at = next();
+    const nameToken = peek();
+    if (nameToken.type !== 'identifier') {
+      error('invalid-modifier', `Expected a modifier name after "${at.value}"`, at.range);
+      return null;
+    }
+    next();
+
+    let args = null;
+    let raw = null;
+    if (is(peek(), '(')) {
+      ({ args, raw } = parseArguments(next()));
+    }
+
+    return {
+      type,
+      name: nameToken.value,
+      nameRange: nameToken.range,
+      args,
+      raw,
+      range: rangeFrom(at)
+    };
+  };
+
+  const parseField = () => {
+    const nameToken = next();
+    if (!is(peek(), ':')) {
+      error(
+        'expected-colon',
+        `Expected ":" after field name "${nameToken.value}"`,
+        nameToken.range
+      );
+      synchronizeMember();
+      return null;
+    }
+    next();
+
+    const typeRef = parseTypeRef();
+    if (!typeRef) {
+      synchronizeMember();
+      return null;
+    }
+
+    const modifiers = [];
+    while (is(peek(), '@')) {
+      const modifier = parseModifier();
+      if (modifier) modifiers.push(modifier);
+    }
+
+    return {
+      type: 'Field',
+      name: nameToken.value,
+      nameRange: nameToken.range,
+      typeRef,
+      modifiers,
+      description: descriptionFor(nameToken),
+      range: rangeFrom(nameToken)
+    };
+  };
+
+  // Parses `extends Base` and `uses MixinA, MixinB` between an entity's name
+  // and its opening brace. Names may be qualified with the file they come
+  // from, e.g. `uses shared.Timestamps`. Returns null when the clause is
+  // malformed.
+  const parseInheritance = () => {
+    const reference = () => {
+      const startToken = peek();
+      if (startToken.type !== 'identifier') return null;
+      const path = [next().value];
+      const pathRanges = [startToken.range];
+      while (is(peek(), '.') && peek(1).type === 'identifier') {
+        next();
+        const segment = next();
+        path.push(segment.value);
+        pathRanges.push(segment.range);
+      }
+      return { name: path.join('.'), path, pathRanges, range: rangeFrom(startToken) };
+    };
+
+    let base = null;
+    const uses = [];
+    if (isKeyword(peek(), 'extends')) {
+      next();
+      base = reference();
+      if (!base) return null;
+    }
+    if (isKeyword(peek(), 'uses')) {
+      next();
+      for (;;) {
+        const mixin = reference();
+        if (!mixin) return null;
+        uses.push(mixin);
+        if (!is(peek(), ',')) break;
+        next();
+      }
+    }
+    return { base, uses };
+  };
+
+  // Parses the `{ ... }` body shared by entities, abstract entities and mixins
+  // after the opening brace has been consumed.
+  const parseMembers = (open, nameToken, kind) => {
+    const members = [];
+    let closed = false;
+    while (peek().type !== 'eof') {
+      const token = peek();
+      if (is(token, '}')) {
+        next();
+        closed = true;
+        break;
+      }
+      if (startsDeclaration(token)) break;
+      if (token.type === 'identifier') {
+        const field = parseField();
+        if (field) members.push(field);
+        continue;
+      }
+      if (is(token, '@@')) {
+        const attribute = parseModifier('EntityAttribute');
+        if (attribute) {
+          members.push(attribute);
+        } else {
+          synchronizeMember();
+        }
+        continue;
+      }
+      error('unexpected-token', `Unexpected ${describeToken(token)}`, token.range);
+      synchronizeMember();
+    }
+
+    if (!closed) {
+      error(`unclosed-${kind}`, `Missing "}" to close ${kind} "${nameToken.value}"`, open.range);
+    }
+    return members;
+  };
+
+  // Parses `entity Name { ... }`, optionally prefixed with `abstract` and
+  // followed by `extends Base` and `uses MixinA, MixinB`.
+  const parseEntity = () => {
+    const startToken = peek();
+    const isAbstract = isKeyword(startToken, 'abstract');
+    if (isAbstract) next();
+
+    const keyword = next();
+    const nameToken = peek();
+    let inheritance = null;
+    if (isKeyword(keyword, 'entity') && nameToken.type === 'identifier') {
+      next();
+      inheritance = parseInheritance();
+    }
+    if (!inheritance || !is(peek(), '{')) {
+      error('invalid-entity', 'Invalid entity declaration', rangeFrom(startToken, nameToken.type === 'identifier' ? nameToken : keyword));
+      synchronizeTopLevel();
+      return null;
+    }
+    const open = next();
+    const members = parseMembers(open, nameToken, 'entity');
+
+    return {
+      type: 'Entity',
+      name: nameToken.value,
+      nameRange: nameToken.range,
+      isAbstract,
+      extends: inheritance.base,
+      uses: inheritance.uses,
+      members,
+      description: descriptionFor(startToken),
+      range: rangeFrom(startToken)
+    };
+  };
+
+  // Parses `mixin Name { ... }`, a set of fields and attributes that entities
+  // include with `uses Name`.
+  const parseMixin = () => {
+    const keyword = next();
+    const nameToken = peek();
+    if (nameToken.type !== 'identifier' || !is(peek(1), '{')) {
+      error('invalid-mixin', 'Invalid mixin declaration', rangeFrom(keyword, nameToken.type === 'identifier' ? nameToken : keyword));
+      next();
+      synchronizeTopLevel();
+      return null;
+    }
+    next();
+    const open = next();
+    const members = parseMembers(open, nameToken, 'mixin');
+
+    return {
+      type: 'Mixin',
+      name: nameToken.value,
+      nameRange: nameToken.range,
+      members,
+      description: descriptionFor(keyword),
+      range: rangeFrom(keyword)
+    };
+  };
+
+  // Parses `enum Name { valueA valueB }`; commas between values are optional.
+  const parseEnum = () => {
+    const keyword = next();
+    const nameToken = peek();
+    if (nameToken.type !== 'identifier' || !is(peek(1), '{')) {
+      error('invalid-enum', 'Invalid enum declaration', rangeFrom(keyword, nameToken.type === 'identifier' ? nameToken : keyword));
+      next();
+      synchronizeTopLevel();
+      return null;
+    }
+    next();
+    const open = next();
+
+    const values = [];
+    let closed = false;
+    while (peek().type !== 'eof') {
+      const token = peek();
+      if (is(token, '}')) {
+        next();
+        closed = true;
+        break;
+      }
+      if (startsDeclaration(token)) break;
+      if (is(token, ',')) {
+        next();
+        continue;
+      }
+      if (token.type === 'identifier') {
+        next();
+        values.push({ type: 'EnumValue', name: token.value, range: token.range });
+        continue;
+      }
+      error('invalid-enum-value', `Expected an enum value but found ${describeToken(token)}`, token.range);
+      next();
+    }
+
+    if (!closed) {
+      error('unclosed-enum', `Missing "}" to close enum "${nameToken.value}"`, open.range);
+    }
+
+    return {
+      type: 'Enum',
+      name: nameToken.value,
+      nameRange: nameToken.range,
+      values,
+      description: descriptionFor(keyword),
+      range: rangeFrom(keyword)
+    };
+  };
+
+  // Parses `type Money = decimal(12,2) @min(0)`.
+  const parseTypeAlias = () => {
+    const keyword = next();
+    const nameToken = peek();
+    if (nameToken.type !== 'identifier' || !is(peek(1), '=')) {
+      error('invalid-type-alias', 'Invalid type alias, expected e.g. type Money = decimal(12,2)', rangeFrom(keyword, nameToken.type === 'identifier' ? nameToken : keyword));
+      next();
+      synchronizeTopLevel();
+      return null;
+    }
+    next();
+    next();
+
+    const typeRef = parseTypeRef();
+    if (!typeRef) {
+      synchronizeTopLevel();
+      return null;
+    }
+
+    const modifiers = [];
+    while (is(peek(), '@')) {
+      const modifier = parseModifier();
+      if (modifier) modifiers.push(modifier);
+    }
+
+    return {
+      type: 'TypeAlias',
+      name: nameToken.value,
+      nameRange: nameToken.range,
+      typeRef,
+      modifiers,
+      description: descriptionFor(keyword),
+      range: rangeFrom(keyword)
+    };
+  };
+
+  // Parses `import "identity"`, which makes the declarations of identity.dm
+  // available as `identity.Name`.
+  const parseImport = () => {
+    const keyword = next();
+    const nameToken = peek();
+    if (nameToken.type !== 'string' || !/^[A-Za-z_]\w*$/.test(nameToken.value)) {
+      error('invalid-import', 'Invalid import, expected e.g. import "identity"', rangeFrom(keyword, nameToken.type === 'string' ? nameToken : keyword));
+      if (nameToken.type === 'string') next();
+      synchronizeTopLevel();
+      return null;
+    }
+    next();
+
+    return {
+      type: 'Import',
+      name: nameToken.value,
+      nameRange: nameToken.range,
+      range: rangeFrom(keyword)
+    };
+  };
+
+  const declarations = [];
+  const imports = [];
+  while (peek().type !== 'eof') {
+    const token = peek();
+    if (isKeyword(token, 'import')) {
+      const importDeclaration = parseImport();
+      if (importDeclaration) imports.push(importDeclaration);
+      continue;
+    }
+    if (isKeyword(token, 'entity') || isKeyword(token, 'abstract')) {
+      const entity = parseEntity();
+      if (entity) declarations.push(entity);
+      continue;
+    }
+    if (isKeyword(token, 'enum')) {
+      const enumDeclaration = parseEnum();
+      if (enumDeclaration) declarations.push(enumDeclaration);
+      continue;
+    }
+    if (isKeyword(token, 'mixin')) {
+      const mixin = parseMixin();
+      if (mixin) declarations.push(mixin);
+      continue;
+    }
+    if (isKeyword(token, 'type')) {
+      const typeAlias = parseTypeAlias();
+      if (typeAlias) declarations.push(typeAlias);
+      continue;
+    }
+    error('unexpected-token', `Unexpected ${describeToken(token)}, expected an entity, enum, mixin, type or import declaration`, token.range);
+    next();
+    synchronizeTopLevel();
+  }
+
+  const start = { line: 1, column: 1, offset: 0 };
+  return {
+    ast: {
+      type: 'Schema',
+      imports,
+      declarations,
+      comments,
+      range: createRange(start, peek().range.end)
+    },
+    diagnostics
+  };
+};
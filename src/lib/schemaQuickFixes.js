@@ -0,0 +1,228 @@
+// Code actions for the schema editor.
+//
+// getCodeActions() turns parser and lint diagnostics into quick fixes, such
+// as "did you mean" for misspelled types and modifiers, and offers
+// refactorings for the code under the cursor. Actions are plain objects with
+// text edits over the same 1-based line/column ranges as diagnostics, so any
+// editor can apply them:
+//
+//   { title, kind: 'quickfix', diagnostics, edits: [{ range, text }], isPreferred }
+import { parseSchema } from './schemaParser.js';
+import { BUILT_IN_TYPES, FIELD_MODIFIERS, ENTITY_ATTRIBUTES } from './modelParser.js';
+import { writtenName } from './schemaFiles.js';
+import { printSchema, createEntity, createEnum, createField } from './schemaFormatter.js';
+
+// The names a field can be typed with, as written in `fileName`: built-in
+// types and the declared entities, enums and type aliases, qualified when
+// they are declared in another file. `schema` is the result of
+// parseDataModelSchema or parseDataModelFiles.
+export const typeNamesOf = (schema, fileName) => {
+  const declared = [
+    ...Object.entries(schema?.entities || {}).filter(([, entity]) => !entity.joinFor),
+    ...Object.entries(schema?.enums || {}),
+    ...Object.entries(schema?.aliases || {})
+  ];
+  return [
+    ...BUILT_IN_TYPES,
+    ...declared.map(([name, declaration]) => writtenName(name, declaration.file, fileName))
+  ];
+};
+
+// Levenshtein distance, case-insensitive
+const editDistance = (a, b) => {
+  const source = a.toLowerCase();
+  const target = b.toLowerCase();
+  let previous = Array.from({ length: target.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= source.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= target.length; j++) {
+      const substitution = previous[j - 1] + (source[i - 1] === target[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[target.length];
+};
+
+// Up to three candidates close enough to `name` to be what was meant
+const closestNames = (name, candidates) => {
+  const maxDistance = Math.max(1, Math.floor(name.length / 3));
+  return [...new Set(candidates)]
+    .filter(candidate => candidate !== name)
+    .map(candidate => ({ candidate, distance: editDistance(name, candidate) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ candidate }) => candidate);
+};
+
+const offsetAt = (source, { line, column }) => {
+  let offset = 0;
+  for (let current = 1; current < line; current++) {
+    offset = source.indexOf('\n', offset) + 1;
+  }
+  return offset + column - 1;
+};
+
+const positionAt = (source, offset) => {
+  const lines = source.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+};
+
+const comparePositions = (a, b) => a.line - b.line || a.column - b.column;
+const samePosition = (a, b) => comparePositions(a, b) === 0;
+const intersects = (a, b) => comparePositions(a.start, b.end) <= 0 && comparePositions(b.start, a.end) <= 0;
+
+const textAt = (source, range) => source.slice(offsetAt(source, range.start), offsetAt(source, range.end));
+const replaceRange = (range, text) => ({ range: { start: range.start, end: range.end }, text });
+const insertAt = (position, text) => replaceRange({ start: position, end: position }, text);
+
+// Appends a declaration at the end of the file, separated by a blank line
+const appendDeclaration = (source, declaration) => {
+  const text = printSchema({ declarations: [declaration] });
+  const separator = source.trim() === '' ? '' : (source.endsWith('\n') ? '\n' : '\n\n');
+  return insertAt(positionAt(source, source.length), separator + text);
+};
+
+const entityDeclarations = (ast) =>
+  ast.declarations.filter(declaration => declaration.type === 'Entity' || declaration.type === 'Mixin');
+
+const fields = (declaration) => declaration.members.filter(member => member.type === 'Field');
+
+const findDeclaration = (ast, range) =>
+  ast.declarations.find(declaration => samePosition(declaration.nameRange.start, range.start));
+
+const findField = (ast, range) => {
+  for (const declaration of entityDeclarations(ast)) {
+    const field = fields(declaration).find(member => samePosition(member.nameRange.start, range.start));
+    if (field) return field;
+  }
+  return null;
+};
+
+const quickFix = (title, diagnostic, edits, isPreferred = false) => ({
+  title,
+  kind: 'quickfix',
+  diagnostics: [diagnostic],
+  edits,
+  isPreferred
+});
+
+const didYouMean = (diagnostic, name, candidates, prefix = '') => {
+  const suggestions = closestNames(name, candidates);
+  return suggestions.map(suggestion => quickFix(
+    `Change to "${prefix}${suggestion}"`,
+    diagnostic,
+    [replaceRange(diagnostic.range, suggestion)],
+    suggestions.length === 1
+  ));
+};
+
+// Adds `id: ID @primary` as the first field, or marks an existing `id`
+// field as the primary key
+const addPrimaryKey = (source, diagnostic, declaration) => {
+  const idField = fields(declaration).find(field => field.name === 'id');
+  if (idField) {
+    return quickFix('Mark "id" as @primary', diagnostic, [insertAt(idField.typeRef.range.end, ' @primary')], true);
+  }
+
+  const openOffset = source.indexOf('{', declaration.nameRange.end.offset);
+  if (openOffset === -1) return null;
+  const lineEnd = source.indexOf('\n', openOffset) === -1 ? source.length : source.indexOf('\n', openOffset);
+  // Keep a comment after the brace where it is; one-line entities are opened up
+  const restOfLine = source.slice(openOffset + 1, lineEnd);
+  const edit = /^\s*(\/\/.*)?$/.test(restOfLine)
+    ? insertAt(positionAt(source, lineEnd), '\n  id: ID @primary')
+    : insertAt(positionAt(source, openOffset + 1), '\n  id: ID @primary\n ');
+  return quickFix('Add "id: ID @primary" field', diagnostic, [edit], true);
+};
+
+// A PascalCase name for the enum extracted from `field`, prefixed with the
+// entity name when the field's own name is taken
+const enumNameFor = (field, declaration, takenNames) => {
+  const fieldName = field.name.charAt(0).toUpperCase() + field.name.slice(1);
+  const candidates = [fieldName, `${declaration.name}${fieldName}`];
+  const free = candidates.find(candidate => !takenNames.has(candidate));
+  if (free) return free;
+  let suffix = 2;
+  while (takenNames.has(`${candidates[1]}${suffix}`)) suffix++;
+  return `${candidates[1]}${suffix}`;
+};
+
+const fixesFor = (source, ast, diagnostic, typeNames) => {
+  switch (diagnostic.code) {
+    case 'unknown-type': {
+      // Types declared in another file are reported as unknown-type too, but
+      // their fix is to use the right file name
+      if (!/^Unknown type/.test(diagnostic.message)) return [];
+      const name = textAt(source, diagnostic.range);
+      const fixes = didYouMean(diagnostic, name, typeNames);
+      // Lowercase names are more likely misspelled built-in types
+      const isEntityName = /^[A-Z]\w*$/.test(name) || (/^[A-Za-z_]\w*$/.test(name) && fixes.length === 0);
+      if (isEntityName && !BUILT_IN_TYPES.includes(name)) {
+        const entity = createEntity({
+          name,
+          members: [createField({ name: 'id', type: 'ID', modifiers: ['@primary'] })]
+        });
+        fixes.push(quickFix(`Create missing entity "${name}"`, diagnostic, [appendDeclaration(source, entity)]));
+      }
+      return fixes;
+    }
+    case 'unknown-modifier':
+      return didYouMean(diagnostic, textAt(source, diagnostic.range), FIELD_MODIFIERS, '@');
+    case 'unknown-attribute':
+      return didYouMean(diagnostic, textAt(source, diagnostic.range), ENTITY_ATTRIBUTES, '@@');
+    case 'require-primary-key': {
+      const declaration = findDeclaration(ast, diagnostic.range);
+      const fix = declaration && declaration.members && addPrimaryKey(source, diagnostic, declaration);
+      return fix ? [fix] : [];
+    }
+    case 'index-foreign-keys': {
+      const field = findField(ast, diagnostic.range);
+      return field
+        ? [quickFix(`Add @index to "${field.name}"`, diagnostic, [insertAt(field.typeRef.range.end, ' @index')], true)]
+        : [];
+    }
+    default:
+      return [];
+  }
+};
+
+// Inline enums such as `status: enum(active,archived)` touching `range`
+// can be moved into a named enum declared at the end of the file
+const refactoringsFor = (source, ast, range) => {
+  const takenNames = new Set(ast.declarations.map(declaration => declaration.name));
+  const actions = [];
+  for (const declaration of entityDeclarations(ast)) {
+    for (const field of fields(declaration)) {
+      const { typeRef } = field;
+      const isInlineEnum = typeRef.path.length === 1 && typeRef.path[0] === 'enum' && typeRef.args?.length > 0;
+      if (!isInlineEnum || !intersects(field.range, range)) continue;
+
+      const enumName = enumNameFor(field, declaration, takenNames);
+      actions.push({
+        title: `Convert to named enum "${enumName}"`,
+        kind: 'refactor.rewrite',
+        diagnostics: [],
+        edits: [
+          replaceRange(typeRef.range, enumName + (typeRef.isArray ? '[]' : '')),
+          appendDeclaration(source, createEnum(enumName, typeRef.args.map(arg => arg.raw)))
+        ],
+        isPreferred: false
+      });
+    }
+  }
+  return actions;
+};
+
+// Returns the code actions for `source`: quick fixes for `diagnostics` (the
+// parser and lint diagnostics of this file at the cursor) and refactorings
+// for the code within `range`. `typeNames` are the names "did you mean"
+// suggests for unknown types, see typeNamesOf().
+export const getCodeActions = (source, { diagnostics = [], range = null, typeNames = BUILT_IN_TYPES } = {}) => {
+  const { ast } = parseSchema(source);
+  return [
+    ...diagnostics.flatMap(diagnostic => fixesFor(source, ast, diagnostic, typeNames)),
+    ...(range ? refactoringsFor(source, ast, range) : [])
+  ];
+};
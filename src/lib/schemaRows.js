@@ -0,0 +1,422 @@
+// The stored rows of a saved schema.
+//
+// writeSchemaRows() replaces the rows of a data model with those of a parsed
+// schema, and savedSchemaText() reads its DSL back from rows loaded with
+// SAVED_SCHEMA_INCLUDE. The text is stored as written next to the rows, so it
+// comes back unchanged; models saved before it was stored are printed from
+// their rows instead.
+import { formatTypeParams } from './modelParser.js';
+import { namespaceOf } from './schemaFiles.js';
+import { localNameOf } from './schemaNames.js';
+import {
+  printSchema,
+  createImport,
+  createEnum,
+  createTypeAlias,
+  createEntity,
+  createField,
+  createAttribute,
+  basicFieldModifiers
+} from './schemaFormatter.js';
+import { formatValidationModifiers } from './fieldConstraints.js';
+
+// Thrown when the parsed schema and the rows written for it disagree; callers
+// report it as a bad request
+const invalidSchemaError = (message) => Object.assign(new Error(message), { isInvalidSchema: true });
+
+// Writes the rows of `parsedSchema` for a data model within the transaction
+// `tx`, deleting the previous ones. `schema` or `files` is the text it was
+// parsed from.
+export const writeSchemaRows = async (tx, dataModelId, parsedSchema, { schema, files }) => {
+  // Delete existing relations and fields first
+  await tx.Relation.deleteMany({
+    where: { dataModelId }
+  });
+  await tx.Field.deleteMany({
+    where: { entity: { dataModelId } }
+  });
+  await tx.ModelEntity.deleteMany({
+    where: { dataModelId }
+  });
+  await tx.ModelEnum.deleteMany({
+    where: { dataModelId }
+  });
+  await tx.ModelTypeAlias.deleteMany({
+    where: { dataModelId }
+  });
+  await tx.SchemaFile.deleteMany({
+    where: { dataModelId }
+  });
+
+  // Keep the text as written, so comments, blank lines and field order
+  // survive the round trip through the normalized rows
+  await tx.dataModel.update({
+    where: { id: dataModelId },
+    data: { schemaSource: files ? null : schema }
+  });
+
+  // Create schema files so declarations can link to the file they come from
+  const schemaFileMap = new Map();
+  for (const [position, schemaFile] of (parsedSchema.files || []).entries()) {
+    const createdFile = await tx.SchemaFile.create({
+      data: {
+        name: schemaFile.name,
+        content: files.find(file => file.name === schemaFile.name).content,
+        imports: schemaFile.imports,
+        position,
+        dataModelId,
+      }
+    });
+    schemaFileMap.set(schemaFile.name, createdFile);
+  }
+  const schemaFileId = (declaration) =>
+    declaration.file ? schemaFileMap.get(declaration.file).id : null;
+
+  // Create named enums so fields can link to them
+  const enumMap = new Map();
+  for (const [enumName, enumData] of Object.entries(parsedSchema.enums)) {
+    const createdEnum = await tx.ModelEnum.create({
+      data: {
+        name: enumName,
+        values: enumData.values,
+        schemaFileId: schemaFileId(enumData),
+        dataModelId,
+      }
+    });
+    enumMap.set(enumName, createdEnum);
+  }
+
+  // Create type aliases so fields can link to them
+  const aliasMap = new Map();
+  for (const [aliasName, aliasData] of Object.entries(parsedSchema.aliases)) {
+    const createdAlias = await tx.ModelTypeAlias.create({
+      data: {
+        name: aliasName,
+        definition: aliasData.definition,
+        baseType: aliasData.type.replace(/\(.*\)$/, ''),
+        typeParams: aliasData.typeParams || undefined,
+        constraints: aliasData.constraints || undefined,
+        defaultValue: aliasData.defaultValue,
+        schemaFileId: schemaFileId(aliasData),
+        dataModelId,
+      }
+    });
+    aliasMap.set(aliasName, createdAlias);
+  }
+
+  // Create abstract entities and mixins first, then entities, with their fields
+  const entityFieldMap = new Map();
+  const declaredEntities = [
+    ...Object.entries(parsedSchema.templates),
+    ...Object.entries(parsedSchema.entities)
+  ];
+  for (const [entityName, entityData] of declaredEntities) {
+    const createdEntity = await tx.ModelEntity.create({
+      data: {
+        name: entityName,
+        description: entityData.description,
+        schemaFileId: schemaFileId(entityData),
+        dataModelId,
+        constraints: entityData.constraints?.length ? entityData.constraints : undefined,
+        kind: entityData.kind || 'entity',
+        baseEntity: entityData.baseEntity,
+        mixins: entityData.mixins || undefined,
+      }
+    });
+
+    // Create fields and store them in the map
+    const fieldMap = new Map();
+    for (const [fieldName, fieldType] of Object.entries(entityData.fields)) {            
+      // Remove array notation and type parameters, and get base type
+      let processedFieldType;
+      if (typeof fieldType === 'string') {
+        processedFieldType = fieldType.replace('[]', '').replace(/\(.*\)$/, '');
+      } else if (fieldType && typeof fieldType === 'object' && fieldType.type) {
+        processedFieldType = fieldType.type.replace('[]', '').replace(/\(.*\)$/, '');
+      } else {
+        console.error('Invalid field type:', fieldType);
+        throw invalidSchemaError(`Invalid field type for ${fieldName}`);
+      }
+
+      const createdField = await tx.Field.create({
+        data: {
+          name: fieldName,
+          fieldType: processedFieldType,
+          description: fieldType.description,
+          typeParams: fieldType.typeParams || undefined,
+          isArray: fieldType.isArray,
+          isRequired: !fieldType.isNullable,
+          isUnique: fieldType.isUnique,
+          isIndex: fieldType.isIndex,
+          isPrimary: fieldType.isPrimary,
+          defaultValue: fieldType.defaultValue,
+          enumValues: fieldType.enumValues ? JSON.stringify(fieldType.enumValues) : null,
+          enumId: fieldType.enumName ? enumMap.get(fieldType.enumName).id : null,
+          typeAliasId: fieldType.typeAlias ? aliasMap.get(fieldType.typeAlias).id : null,
+          constraints: fieldType.constraints || undefined,
+          inheritedFrom: fieldType.inheritedFrom,
+          entityId: createdEntity.id
+        }
+      });
+      fieldMap.set(fieldName, createdField);
+    }
+    entityFieldMap.set(entityName, { entity: createdEntity, fields: fieldMap });
+  }
+
+  // Create relations with field references, including those declared by templates
+  const templateRelations = Object.values(parsedSchema.templates)
+    .flatMap(template => Object.entries(template.relations));
+  for (const [relationKey, relation] of [...Object.entries(parsedSchema.relations), ...templateRelations]) {
+    const fromEntityData = entityFieldMap.get(relation.fromEntity);
+    const toEntityData = entityFieldMap.get(relation.toEntity);
+    
+    if (!fromEntityData || !toEntityData) {
+      console.error('Missing entity data:', { fromEntity: relation.fromEntity, toEntity: relation.toEntity });
+      continue;
+    }
+
+    const fromField = fromEntityData.fields.get(relation.fieldName);
+    const toField = relation.referencedField 
+      ? toEntityData.fields.get(relation.referencedField)
+      : toEntityData.fields.get('id');
+
+    if (!fromField || !toField) {
+      console.error('Missing field data:', { 
+        fromField: relation.fieldName, 
+        toField: relation.referencedField || 'id',
+        fromEntityFields: Array.from(fromEntityData.fields.keys()),
+        toEntityFields: Array.from(toEntityData.fields.keys())
+      });
+      // The parser resolves references, so this means the schema and the
+      // saved rows disagree; refuse to save rather than drop the relation.
+      throw invalidSchemaError(`Cannot resolve relation ${relationKey}`);
+    }
+
+    // Paired relations also remember the back-reference and the join entity
+    const inverseField = relation.inverseField
+      ? toEntityData.fields.get(relation.inverseField)
+      : null;
+    const joinEntityData = relation.joinEntity
+      ? entityFieldMap.get(relation.joinEntity)
+      : null;
+
+    await tx.Relation.create({
+      data: {
+        name: relation.relationName || `${relation.fromEntity}_${relation.fieldName}_${relation.toEntity}`,
+        relationType: 'FOREIGN_KEY',
+        fromEntityId: fromEntityData.entity.id,
+        toEntityId: toEntityData.entity.id,
+        fromFieldId: fromField.id,
+        toFieldId: toField.id,
+        cardinality: relation.cardinality,
+        inverseFieldId: inverseField ? inverseField.id : null,
+        joinEntityId: joinEntityData ? joinEntityData.entity.id : null,
+        onDelete: relation.onDelete,
+        onUpdate: relation.onUpdate,
+        dataModelId
+      }
+    });
+  }
+};
+
+// What getDataModelSchema loads for savedSchemaText()
+export const SAVED_SCHEMA_INCLUDE = {
+  schemaFiles: true,
+  enums: true,
+  typeAliases: true,
+  entities: {
+    include: {
+      fields: {
+        include: {
+          typeAlias: true,
+          fromRelations: true,
+          toRelations: true,
+          inverseRelations: true
+        }
+      },
+      fromRelations: {
+        include: {
+          fromField: true,
+          toField: true,
+          toEntity: true,
+          inverseField: true,
+          joinEntity: true
+        }
+      },
+      toRelations: {
+        include: {
+          fromField: true,
+          toField: true,
+          fromEntity: true,
+          inverseField: true
+        }
+      },
+      joinForRelations: true
+    }
+  }
+};
+
+// The DSL of a data model loaded with SAVED_SCHEMA_INCLUDE, as one `schema`
+// text and as `files` ([{ name, content }], empty when not split into files)
+export const savedSchemaText = (dataModel) => {
+  // Return the DSL as it was saved, one text per schema file. Models saved
+  // before the text was stored are converted back from their rows.
+  const files = [...dataModel.schemaFiles]
+    .sort((a, b) => a.position - b.position)
+    .map(schemaFile => ({ name: schemaFile.name, content: schemaFile.content ?? printSavedSchema(dataModel, schemaFile) }));
+  const schema = files.length > 0
+    ? files.map(file => `// ${file.name}\n${file.content}`).join('\n\n')
+    : dataModel.schemaSource ?? printSavedSchema(dataModel);
+
+  return { schema, files };
+};
+
+// Writes the declarations of one schema file back to DSL, or of the whole
+// model when it is not split into files. Declarations from other files are
+// referred to by their qualified name, e.g. `identity.User`, and names that
+// several files declare are saved qualified, so their files write them
+// without the qualifier.
+const printSavedSchema = (dataModel, schemaFile = null) => {
+  const inFile = (declaration) => (declaration.schemaFileId ?? null) === (schemaFile?.id ?? null);
+
+  const fileNames = new Map(dataModel.schemaFiles.map(file => [file.id, file.name]));
+  const declarationFiles = new Map(
+    [...dataModel.enums, ...dataModel.typeAliases, ...dataModel.entities]
+      .map(declaration => [declaration.name, declaration.schemaFileId])
+  );
+  // Dotted types such as `User.email` are qualified by the declaration they
+  // start with, which may be saved as `billing.User` already
+  const qualify = (name) => {
+    const declared = [...declarationFiles.keys()]
+      .filter(key => name === key || name.startsWith(`${key}.`))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!declared) return name;
+    const fileId = declarationFiles.get(declared);
+    const rest = name.slice(declared.length);
+    if (!schemaFile || !fileId || fileId === schemaFile.id) return localNameOf(declared) + rest;
+    return `${namespaceOf(fileNames.get(fileId))}.${localNameOf(declared)}${rest}`;
+  };
+
+  return printSchema({
+    imports: (schemaFile?.imports || []).map(createImport),
+    declarations: [
+      ...dataModel.enums.filter(inFile).map(modelEnum => createEnum(localNameOf(modelEnum.name), modelEnum.values)),
+      ...dataModel.typeAliases.filter(inFile).map(typeAlias => createTypeAlias(localNameOf(typeAlias.name), typeAlias.definition)),
+      // Join entities are synthesized from @joinEntity on the n:n relation
+      ...dataModel.entities
+        .filter(entity => inFile(entity) && entity.joinForRelations.length === 0)
+        .map(entity => buildEntity(entity, qualify))
+    ]
+  }).trim();
+};
+
+// Builds the AST of one entity. Inherited fields, relations and constraints
+// are written by their abstract entity or mixin. Fields keep the order they
+// were declared in, which is the order they were created in.
+const buildEntity = (entity, qualify) => {
+  const fields = [];
+
+  // Add regular fields
+  for (const field of entity.fields) {
+    // Skip fields that are part of relations as they'll be handled separately
+    const isRelationField = field.fromRelations?.length > 0 || field.inverseRelations?.length > 0;
+    if (isRelationField || field.inheritedFrom) continue;
+
+    // Handle enum type; aliased fields only write what differs from the alias
+    let type;
+    if (field.typeAlias) {
+      type = qualify(field.typeAlias.name);
+    } else if (field.enumValues) {
+      type = `enum(${JSON.parse(field.enumValues).join(',')})`;
+    } else {
+      type = qualify(field.fieldType) + formatTypeParams(field.typeParams);
+    }
+    if (field.isArray) type += '[]';
+
+    const modifiers = [
+      ...basicFieldModifiers({
+        ...field,
+        isNullable: !field.isRequired,
+        defaultValue: field.defaultValue !== field.typeAlias?.defaultValue ? field.defaultValue : undefined
+      }),
+      ...formatValidationModifiers(
+        field.typeAlias ? constraintsOverriding(field.constraints, field.typeAlias.constraints) : field.constraints
+      )
+    ];
+    fields.push({ id: field.id, node: createField({ name: field.name, type, modifiers, description: field.description }) });
+  }
+
+  // Add relation fields
+  for (const relation of entity.fromRelations) {
+    if (relation.fromField.inheritedFrom) continue;
+
+    const baseType = relation.toEntity.name;
+    const referencedField = relation.toField.name !== 'id' 
+      ? `.${relation.toField.name}` 
+      : '';
+    const isList = relation.cardinality === '1:n' || relation.cardinality === 'n:n';
+    const fieldType = qualify(baseType) + referencedField + (isList ? '[]' : '');
+
+    const modifiers = [];
+    if (hasCustomName(relation, entity.name, baseType)) modifiers.push(`@relation(${relation.name})`);
+    if (relation.joinEntity) modifiers.push(`@joinEntity(${relation.joinEntity.name})`);
+    if (relation.onDelete) modifiers.push(`@onDelete(${relation.onDelete})`);
+    if (relation.onUpdate) modifiers.push(`@onUpdate(${relation.onUpdate})`);
+
+    fields.push({ id: relation.fromField.id, node: buildRelationField(relation.fromField, fieldType, modifiers) });
+  }
+
+  // Add back-references of paired relations declared on other entities
+  for (const relation of entity.toRelations) {
+    if (!relation.inverseField || relation.inverseField.inheritedFrom) continue;
+
+    const modifiers = hasCustomName(relation, relation.fromEntity.name, entity.name) ? [`@relation(${relation.name})`] : [];
+    const inverseType = qualify(relation.fromEntity.name) + (relation.cardinality.startsWith('n') ? '[]' : '');
+    fields.push({ id: relation.inverseField.id, node: buildRelationField(relation.inverseField, inverseType, modifiers) });
+  }
+
+  // Add entity-level constraints
+  const attributes = (entity.constraints || [])
+    .filter(constraint => !constraint.inheritedFrom)
+    .map(constraint => createAttribute(constraint.type, constraint.fields));
+
+  return createEntity({
+    name: localNameOf(entity.name),
+    kind: entity.kind,
+    baseEntity: entity.baseEntity && qualify(entity.baseEntity),
+    mixins: (entity.mixins || []).map(qualify),
+    description: entity.description,
+    members: [...fields.sort((a, b) => a.id - b.id).map(({ node }) => node), ...attributes]
+  });
+};
+
+// The constraints a field sets on top of those it gets from its type alias.
+// `@length` is written as a whole when either bound differs.
+const constraintsOverriding = (constraints, aliasConstraints) => {
+  if (!constraints || !aliasConstraints) return constraints;
+
+  const overriding = {};
+  for (const [key, value] of Object.entries(constraints)) {
+    if (value !== aliasConstraints[key]) overriding[key] = value;
+  }
+  if (overriding.minLength !== undefined || overriding.maxLength !== undefined) {
+    overriding.minLength = constraints.minLength;
+    overriding.maxLength = constraints.maxLength;
+  }
+  return overriding;
+};
+
+// Relations are named `From_field_To` unless the schema named them with @relation
+const hasCustomName = (relation, fromEntityName, toEntityName) =>
+  relation.name !== `${fromEntityName}_${relation.fromField.name}_${toEntityName}`;
+
+const buildRelationField = (field, fieldType, relationModifiers) => createField({
+  name: field.name,
+  type: fieldType,
+  modifiers: [
+    ...basicFieldModifiers({ ...field, isNullable: !field.isRequired }),
+    ...formatValidationModifiers(field.constraints),
+    ...relationModifiers
+  ],
+  description: field.description
+});
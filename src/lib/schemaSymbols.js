@@ -0,0 +1,262 @@
+// Symbol table for navigating and refactoring schemas.
+//
+// buildSymbolTable() indexes every declaration and field of a schema,
+// possibly split into files, together with every place it is referred to:
+// field types (`Order`, `Order[]`, `Order.id`, `billing.Order`), type
+// aliases, `extends` / `uses` and the field lists of `@@unique([...])`-style
+// attributes. Hover, go-to-definition, find-references and rename are all
+// answered from it. Declarations are keyed like in the merged model, by
+// their name or, when several files declare it, by their qualified name
+// (`billing.User`). Fields are keyed `Entity.field` by the declaration that
+// declares them, so `Customer.id` refers to `Base.id` when `id` is inherited.
+//
+// Positions and ranges use the 1-based lines and columns of diagnostics.
+import { parseSchema } from './schemaParser.js';
+import { BUILT_IN_TYPES } from './modelParser.js';
+import { namespaceOf, indexDeclarations } from './schemaFiles.js';
+
+const IDENTIFIER = /^[A-Za-z_]\w*$/;
+
+const symbolKind = (declaration) => {
+  switch (declaration.type) {
+    case 'Entity':
+      return declaration.isAbstract ? 'abstract' : 'entity';
+    case 'Mixin':
+      return 'mixin';
+    case 'Enum':
+      return 'enum';
+    default:
+      return 'alias';
+  }
+};
+
+const fieldsOf = (declaration) => (declaration.members || []).filter(member => member.type === 'Field');
+
+const comparePositions = (a, b) => a.line - b.line || a.column - b.column;
+const contains = (range, position) =>
+  comparePositions(range.start, position) <= 0 && comparePositions(position, range.end) <= 0;
+
+// `files` is [{ name, content }]; a schema that is not split into files is a
+// single file, whose name may be null.
+export const buildSymbolTable = (files) => {
+  const parsed = files.map(({ name, content }) => ({
+    file: name,
+    namespace: name ? namespaceOf(name) : null,
+    content,
+    ast: parseSchema(content).ast
+  }));
+  const namespaces = new Set(parsed.filter(({ file }) => file).map(({ namespace }) => namespace));
+  const { namespacesOf, declares, keyOf } = indexDeclarations(parsed);
+  const symbols = new Map();
+  const references = [];
+
+  // Duplicate names are reported by the parser; the first declaration wins
+  for (const { file, namespace, ast } of parsed) {
+    for (const declaration of ast.declarations) {
+      const declarationKey = keyOf(namespace, declaration.name);
+      if (symbols.has(declarationKey)) continue;
+      symbols.set(declarationKey, {
+        key: declarationKey,
+        kind: symbolKind(declaration),
+        name: declaration.name,
+        file,
+        namespace,
+        range: declaration.nameRange,
+        node: declaration
+      });
+      for (const field of fieldsOf(declaration)) {
+        const key = `${declarationKey}.${field.name}`;
+        if (symbols.has(key)) continue;
+        symbols.set(key, { key, kind: 'field', name: field.name, file, range: field.nameRange, node: field, parent: declarationKey });
+      }
+    }
+  }
+
+  const declarationSymbol = (name) => {
+    const symbol = symbols.get(name);
+    return symbol && symbol.kind !== 'field' ? symbol : null;
+  };
+
+  // The key of the declaration a path written in the file `namespace`
+  // starts with, and the path without the file qualifier of `billing.Order`
+  const resolvePath = (namespace, path, pathRanges) => {
+    if (path.length > 1 && namespaces.has(path[0]) && declares(path[0], path[1])) {
+      return { key: keyOf(path[0], path[1]), path: path.slice(1), pathRanges: pathRanges.slice(1) };
+    }
+    const [declaring] = declares(namespace, path[0]) ? [namespace] : namespacesOf(path[0]);
+    return { key: declaring === undefined ? path[0] : keyOf(declaring, path[0]), path, pathRanges };
+  };
+
+  // The key of the field `fieldName` as seen from `declarationName`, found
+  // on the declaration itself or the abstract entities and mixins it inherits
+  const fieldKey = (declarationKey, fieldName, visited = new Set()) => {
+    const symbol = declarationSymbol(declarationKey);
+    if (!symbol || visited.has(declarationKey)) return null;
+    visited.add(declarationKey);
+    if (fieldsOf(symbol.node).some(field => field.name === fieldName)) return `${declarationKey}.${fieldName}`;
+    const parents = [symbol.node.extends, ...(symbol.node.uses || [])].filter(Boolean);
+    for (const parent of parents) {
+      const { key: parentKey } = resolvePath(symbol.namespace, parent.path, parent.pathRanges);
+      const key = fieldKey(parentKey, fieldName, visited);
+      if (key) return key;
+    }
+    return null;
+  };
+
+  const addPath = (file, namespace, reference) => {
+    const { key: declarationKey, path, pathRanges } = resolvePath(namespace, reference.path, reference.pathRanges);
+    if (!declarationSymbol(declarationKey)) return;
+    references.push({ key: declarationKey, file, range: pathRanges[0] });
+    const key = path[1] && fieldKey(declarationKey, path[1]);
+    if (key) references.push({ key, file, range: pathRanges[1] });
+  };
+
+  for (const { file, namespace, ast } of parsed) {
+    for (const declaration of ast.declarations) {
+      if (declaration.typeRef) addPath(file, namespace, declaration.typeRef);
+      [declaration.extends, ...(declaration.uses || [])].filter(Boolean).forEach(reference => addPath(file, namespace, reference));
+
+      for (const member of declaration.members || []) {
+        if (member.type === 'Field') {
+          addPath(file, namespace, member.typeRef);
+          continue;
+        }
+        const [fieldList] = member.args || [];
+        if (fieldList?.kind !== 'list') continue;
+        for (const item of fieldList.items.filter(listItem => listItem.kind === 'identifier')) {
+          const key = fieldKey(keyOf(namespace, declaration.name), item.value);
+          if (key) references.push({ key, file, range: item.range });
+        }
+      }
+    }
+  }
+
+  return { files: parsed, symbols, references, fieldKey };
+};
+
+// The symbol declared or referred to at `position` in `file`, as
+// `{ symbol, range }`, or null
+export const symbolAt = (table, file, position) => {
+  for (const symbol of table.symbols.values()) {
+    if (symbol.file === file && contains(symbol.range, position)) return { symbol, range: symbol.range };
+  }
+  const reference = table.references.find(candidate => candidate.file === file && contains(candidate.range, position));
+  return reference ? { symbol: table.symbols.get(reference.key), range: reference.range } : null;
+};
+
+// Every place the symbol with `key` appears, as [{ file, range }], its
+// declaration first
+export const findReferences = (table, key, { includeDeclaration = true } = {}) => {
+  const symbol = table.symbols.get(key);
+  if (!symbol) return [];
+  return [
+    ...(includeDeclaration ? [{ file: symbol.file, range: symbol.range }] : []),
+    ...table.references
+      .filter(reference => reference.key === key)
+      .map(({ file, range }) => ({ file, range }))
+  ];
+};
+
+// Why `symbol` cannot be renamed to `newName`, or null when it can
+const renameError = (table, symbol, newName) => {
+  if (!IDENTIFIER.test(newName)) return `"${newName}" is not a valid name`;
+  if (symbol.kind !== 'field') {
+    if (BUILT_IN_TYPES.includes(newName)) return `"${newName}" is a built-in type`;
+    // Other files may declare the same name
+    const isDeclared = [...table.symbols.values()]
+      .some(candidate => candidate.kind !== 'field' && candidate.file === symbol.file && candidate.name === newName);
+    return isDeclared ? `"${newName}" is already declared` : null;
+  }
+
+  // Every declaration that has the field, itself or by inheritance, must not
+  // have one with the new name already
+  for (const candidate of table.symbols.values()) {
+    if (candidate.kind === 'field') continue;
+    if (table.fieldKey(candidate.key, symbol.name) !== symbol.key) continue;
+    if (table.fieldKey(candidate.key, newName)) return `"${candidate.name}" already has a field "${newName}"`;
+  }
+  return null;
+};
+
+// Renames the symbol at `position` in `file` and every reference to it.
+// Returns { edits: [{ file, range, text }] } or { error }.
+export const renameSymbol = (table, file, position, newName) => {
+  const found = symbolAt(table, file, position);
+  if (!found) return { error: 'Only entities, enums, type aliases and fields can be renamed' };
+  if (newName === found.symbol.name) return { edits: [] };
+
+  const error = renameError(table, found.symbol, newName);
+  if (error) return { error };
+  return {
+    edits: findReferences(table, found.symbol.key).map(({ file: referenceFile, range }) => ({
+      file: referenceFile,
+      range,
+      text: newName
+    }))
+  };
+};
+
+const sourceOf = (table, symbol, node = symbol.node) => {
+  const { content } = table.files.find(({ file }) => file === symbol.file);
+  return content.slice(node.range.start.offset, node.range.end.offset);
+};
+
+const codeBlock = (text) => `\`\`\`datamodel\n${text}\n\`\`\``;
+
+// Relations of an entity as markdown list items, from the validated schema
+const relationLines = (schema, entityName) => Object.values(schema?.relations || {}).flatMap(relation => {
+  const lines = [];
+  if (relation.fromEntity === entityName) {
+    const target = relation.referencedField === 'id' ? relation.toEntity : `${relation.toEntity}.${relation.referencedField}`;
+    lines.push(`- \`${relation.fieldName}\` → ${target} (${relation.cardinality})`);
+  }
+  if (relation.toEntity === entityName) {
+    const side = relation.inverseField ? `\`${relation.inverseField}\` ← ` : 'referenced by ';
+    lines.push(`- ${side}${relation.fromEntity}.${relation.fieldName} (${relation.cardinality.split(':').reverse().join(':')})`);
+  }
+  return lines;
+});
+
+// Markdown describing the symbol at `position`, as { range, contents }, or
+// null. `schema`, the result of parseDataModelSchema or parseDataModelFiles,
+// adds inherited fields and relations to entities when given.
+export const hoverAt = (table, file, position, schema = null) => {
+  const found = symbolAt(table, file, position);
+  if (!found) return null;
+  const { symbol } = found;
+  const sections = [];
+
+  if (symbol.kind === 'field') {
+    const parent = table.symbols.get(symbol.parent);
+    sections.push(codeBlock(`${parent.kind === 'mixin' ? 'mixin' : 'entity'} ${parent.name}\n  ${sourceOf(table, symbol)}`));
+  } else {
+    sections.push(codeBlock(sourceOf(table, symbol)));
+  }
+  if (symbol.node.description) sections.push(symbol.node.description);
+
+  const entity = schema?.entities?.[symbol.key] || schema?.templates?.[symbol.key];
+  if (symbol.kind !== 'field' && entity) {
+    const inherited = Object.entries(entity.fields).filter(([, field]) => field.inheritedFrom);
+    if (inherited.length > 0) {
+      sections.push(`Inherited: ${inherited.map(([name, field]) => `\`${name}\` from ${field.inheritedFrom}`).join(', ')}`);
+    }
+    const relations = relationLines(schema, symbol.key);
+    if (relations.length > 0) sections.push(`Relations:\n${relations.join('\n')}`);
+  }
+
+  return { range: found.range, contents: sections.join('\n\n') };
+};
+
+const offsetAt = (content, { line, column }) => {
+  let offset = 0;
+  for (let current = 1; current < line; current++) {
+    offset = content.indexOf('\n', offset) + 1;
+  }
+  return offset + column - 1;
+};
+
+// Applies `edits` ([{ range, text }]) that do not overlap to `content`
+export const applyEdits = (content, edits) => [...edits]
+  .map(edit => ({ ...edit, start: offsetAt(content, edit.range.start), end: offsetAt(content, edit.range.end) }))
+  .sort((a, b) => b.start - a.start)
+  .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), content);
@@ -0,0 +1,193 @@
+// SQL dialects for generateDdl().
+//
+// sqlExport.js describes the tables of a data model once; a dialect only says
+// how each piece is written for its database. A dialect is a plain object:
+//
+//   label                  name shown in the editor
+//   quoteIdentifier(name)  and quoteLiteral(value)
+//   columnType(field, keyColumns)
+//                          column type of a stored Field, arrays included;
+//                          keyColumns is the size of the widest key or index
+//                          the column is part of, 0 when it is not indexed
+//   identity               clause of `int @default(autoincrement)` columns
+//   defaultValue(field)    SQL for the field's @default, or null
+//   enumCheck(column, values, isArray), textLength(column),
+//   matches(column, pattern)
+//                          CHECK conditions; null when the type already
+//                          enforces it or the database cannot express it
+//   identityIsPrimaryKey   the identity clause declares the primary key
+//   inlineForeignKeys      foreign keys go inside CREATE TABLE instead of
+//                          ALTER TABLE statements after every table
+//   tableOptions, preamble
+//
+// To add a target, add an object here; the model is walked by sqlExport.js.
+import { NUMERIC_TYPES } from './fieldConstraints.js';
+
+// `Field.fieldType` has no type parameters, but may name a named enum
+export const baseTypeOf = (field) => field.fieldType.split('(')[0];
+
+export const enumValuesOf = (field) =>
+  field.enum?.values || (field.enumValues ? JSON.parse(field.enumValues) : null);
+
+const quoteWith = (quote) => (name) => `${quote}${name.split(quote).join(quote + quote)}${quote}`;
+const quoteLiteral = (value) => `'${String(value).replace(/'/g, '\'\'')}'`;
+
+// Reads a field's @default, leaving what only some databases can generate
+// (`now`, `uuid`) to `generated(keyword, baseType)`. Values of booleans and
+// numbers are written as-is, anything else as a quoted literal.
+const defaultValueWith = (quote, generated, formatBoolean = (value) => value) => (field) => {
+  const baseType = baseTypeOf(field);
+  const value = field.defaultValue;
+  if (value === null || value === undefined) {
+    return baseType === 'ID' && field.isPrimary ? generated('uuid', baseType) : null;
+  }
+  if (value === 'now' || value === 'uuid') return generated(value, baseType);
+  if (/^"[\s\S]*"$/.test(value)) return quote(value.slice(1, -1));
+  if (enumValuesOf(field)) return quote(value);
+  if (baseType === 'boolean') return formatBoolean(value);
+  return NUMERIC_TYPES.includes(baseType) ? value : quote(value);
+};
+
+const CURRENT = { date: 'CURRENT_DATE', time: 'CURRENT_TIME' };
+
+const postgres = {
+  label: 'PostgreSQL',
+  quoteIdentifier: quoteWith('"'),
+  quoteLiteral,
+  columnType: (field) => {
+    const { length, precision, scale, timezone } = field.typeParams || {};
+    const types = {
+      string: length ? `varchar(${length})` : 'text',
+      number: 'double precision',
+      float: 'double precision',
+      int: 'integer',
+      bigint: 'bigint',
+      decimal: precision === undefined ? 'numeric' : `numeric(${precision}${scale !== undefined ? `, ${scale}` : ''})`,
+      boolean: 'boolean',
+      datetime: timezone ? 'timestamptz' : 'timestamp',
+      date: 'date',
+      time: timezone ? 'timetz' : 'time',
+      json: 'jsonb',
+      uuid: 'uuid',
+      ID: 'uuid',
+      binary: 'bytea'
+    };
+    const type = (!enumValuesOf(field) && types[baseTypeOf(field)]) || 'text';
+    return field.isArray ? `${type}[]` : type;
+  },
+  identity: 'GENERATED BY DEFAULT AS IDENTITY',
+  defaultValue: defaultValueWith(quoteLiteral, (keyword, baseType) =>
+    (keyword === 'now' ? CURRENT[baseType] || 'CURRENT_TIMESTAMP' : 'gen_random_uuid()')),
+  enumCheck: (column, values, isArray) => {
+    const list = values.map(quoteLiteral).join(', ');
+    return isArray ? `${column} <@ ARRAY[${list}]::text[]` : `${column} IN (${list})`;
+  },
+  textLength: (column) => `char_length(${column})`,
+  matches: (column, pattern) => `${column} ~ ${quoteLiteral(pattern)}`,
+  identityIsPrimaryKey: false,
+  inlineForeignKeys: false,
+  tableOptions: '',
+  preamble: []
+};
+
+// Backslashes are escapes in MySQL string literals
+const quoteMysqlLiteral = (value) => quoteLiteral(String(value).replace(/\\/g, '\\\\'));
+
+// MySQL only accepts literal defaults on TEXT, BLOB and JSON columns as
+// expressions in parentheses
+const isMysqlExpressionOnly = (type) => /^(TEXT|BLOB|JSON)/.test(type);
+
+// InnoDB keys hold at most 3072 bytes, which is 768 characters of utf8mb4
+const MYSQL_KEY_CHARACTERS = 768;
+
+const mysql = {
+  label: 'MySQL 8',
+  quoteIdentifier: quoteWith('`'),
+  quoteLiteral: quoteMysqlLiteral,
+  // Arrays have no column type and are stored as JSON; strings without a
+  // length get one so they can be indexed. TEXT cannot be indexed without a
+  // prefix, so indexed text and urls become a VARCHAR short enough for
+  // every column of the key to fit.
+  columnType: (field, keyColumns = 0) => {
+    if (field.isArray) return 'JSON';
+    const values = enumValuesOf(field);
+    if (values) return `ENUM(${values.map(quoteMysqlLiteral).join(', ')})`;
+    const { length, precision, scale, timezone } = field.typeParams || {};
+    const keyLength = keyColumns > 0 ? Math.floor(MYSQL_KEY_CHARACTERS / keyColumns) : null;
+    const types = {
+      string: `VARCHAR(${length || 255})`,
+      email: 'VARCHAR(255)',
+      url: `VARCHAR(${keyLength ? Math.min(keyLength, 2048) : 2048})`,
+      text: keyLength ? `VARCHAR(${keyLength})` : 'TEXT',
+      number: 'DOUBLE',
+      float: 'DOUBLE',
+      int: 'INT',
+      bigint: 'BIGINT',
+      decimal: precision === undefined ? 'DECIMAL(65, 30)' : `DECIMAL(${precision}${scale !== undefined ? `, ${scale}` : ''})`,
+      boolean: 'BOOLEAN',
+      datetime: timezone ? 'TIMESTAMP(3)' : 'DATETIME(3)',
+      date: 'DATE',
+      time: 'TIME(3)',
+      json: 'JSON',
+      uuid: 'CHAR(36)',
+      ID: 'CHAR(36)',
+      binary: length ? `VARBINARY(${length})` : 'BLOB'
+    };
+    return types[baseTypeOf(field)] || 'TEXT';
+  },
+  identity: 'AUTO_INCREMENT',
+  defaultValue: (field) => {
+    const value = defaultValueWith(quoteMysqlLiteral, (keyword, baseType) => {
+      if (keyword === 'uuid') return '(UUID())';
+      return CURRENT[baseType] ? `(${CURRENT[baseType]})` : 'CURRENT_TIMESTAMP(3)';
+    })(field);
+    return value && value.startsWith('\'') && isMysqlExpressionOnly(mysql.columnType(field)) ? `(${value})` : value;
+  },
+  enumCheck: () => null,
+  textLength: (column) => `CHAR_LENGTH(${column})`,
+  matches: (column, pattern) => `REGEXP_LIKE(${column}, ${quoteMysqlLiteral(pattern)})`,
+  identityIsPrimaryKey: false,
+  inlineForeignKeys: false,
+  tableOptions: ' ENGINE=InnoDB DEFAULT CHARSET=utf8mb4',
+  preamble: []
+};
+
+// SQLite columns have a type affinity rather than a type: dates and times
+// are ISO-8601 text, booleans 0 and 1, and arrays JSON text
+const SQLITE_AFFINITIES = {
+  int: 'INTEGER',
+  bigint: 'INTEGER',
+  boolean: 'INTEGER',
+  number: 'REAL',
+  float: 'REAL',
+  decimal: 'NUMERIC',
+  binary: 'BLOB'
+};
+
+const sqlite = {
+  label: 'SQLite',
+  quoteIdentifier: quoteWith('"'),
+  quoteLiteral,
+  columnType: (field) =>
+    (field.isArray || enumValuesOf(field) ? 'TEXT' : SQLITE_AFFINITIES[baseTypeOf(field)] || 'TEXT'),
+  // Only an INTEGER PRIMARY KEY column can be AUTOINCREMENT
+  identity: 'PRIMARY KEY AUTOINCREMENT',
+  // SQLite cannot generate UUIDs; random hex ids stand in for them
+  defaultValue: defaultValueWith(
+    quoteLiteral,
+    (keyword, baseType) => (keyword === 'now' ? CURRENT[baseType] || 'CURRENT_TIMESTAMP' : '(lower(hex(randomblob(16))))'),
+    (value) => (value === 'true' ? '1' : '0')
+  ),
+  enumCheck: (column, values, isArray) =>
+    (isArray ? null : `${column} IN (${values.map(quoteLiteral).join(', ')})`),
+  textLength: (column) => `length(${column})`,
+  // REGEXP needs an extension that is not loaded by default
+  matches: () => null,
+  identityIsPrimaryKey: true,
+  inlineForeignKeys: true,
+  tableOptions: '',
+  // Foreign keys are only enforced with this set on each connection
+  preamble: ['PRAGMA foreign_keys = ON;']
+};
+
+export const SQL_DIALECTS = { postgres, mysql, sqlite };
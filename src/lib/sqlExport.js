@@ -0,0 +1,299 @@
+// SQL DDL for a saved data model.
+//
+// generateDdl() works from the stored rows (ModelEntity, Field, ModelEnum
+// and Relation) rather than the DSL text, so it exports what was last saved.
+// Every entity becomes a table; abstract entities and mixins only contribute
+// the fields that were flattened into their entities. A reference becomes a
+// column named after the field and the referenced field, e.g. `authorId`.
+// Many-to-many relations without a @joinEntity get a join table named after
+// the relation.
+//
+// The tables are described once, independently of the database, and written
+// by one of the SQL_DIALECTS.
+import { SQL_DIALECTS, baseTypeOf, enumValuesOf } from './sqlDialects.js';
+import { capitalize, toCamelCase, holdsReference } from './schemaNames.js';
+
+const REFERENTIAL_ACTIONS = {
+  cascade: 'CASCADE',
+  restrict: 'RESTRICT',
+  setNull: 'SET NULL',
+  noAction: 'NO ACTION'
+};
+
+const isAutoincrement = (field) =>
+  ['int', 'bigint'].includes(baseTypeOf(field)) && field.defaultValue === 'autoincrement';
+
+// The conditions of a field's CHECK constraint, from its enum values and
+// validation modifiers; each dialect writes the ones it can express
+const fieldConditions = (field) => {
+  const conditions = [];
+  const values = enumValuesOf(field);
+  if (values) conditions.push({ kind: 'enum', values, isArray: field.isArray });
+
+  const constraints = field.constraints || {};
+  if (!field.isArray) {
+    if (constraints.min !== undefined) conditions.push({ kind: 'min', value: constraints.min });
+    if (constraints.max !== undefined) conditions.push({ kind: 'max', value: constraints.max });
+    if (constraints.maxLength !== undefined) {
+      conditions.push({ kind: 'length', min: constraints.minLength, max: constraints.maxLength });
+    }
+    if (constraints.pattern !== undefined) conditions.push({ kind: 'pattern', pattern: constraints.pattern });
+  }
+  if (constraints.check !== undefined) conditions.push({ kind: 'expression', expression: constraints.check });
+  return conditions;
+};
+
+const createTable = (name) => ({
+  name,
+  columns: [],
+  // Field names mapped to column names, for references and constraints
+  columnOf: new Map(),
+  primaryKey: [],
+  uniques: [],
+  indexes: [],
+  checks: []
+});
+
+const primaryKeyOf = (entity) => entity.fields.find(field => field.isPrimary)?.name || 'id';
+
+// The field a reference to `entity` points at; entities without an `id` are
+// referred to by an ID
+const keyField = (entity, name) => entity.fields.find(field => field.name === name) || { fieldType: 'ID' };
+
+// Describes the tables, indexes and foreign keys of `dataModel`, which has
+// `entities` with their `fields` (and each field's `enum`) and `relations`
+// with their entities and fields. Columns keep the Field they take their
+// type from, and CHECK constraints their conditions, for the dialect.
+const describeSchema = (dataModel) => {
+  const entities = dataModel.entities.filter(entity => entity.kind === 'entity');
+  const tables = new Map(entities.map(entity => [entity.name, createTable(entity.name)]));
+  // Relations declared by abstract entities and mixins are also stored for
+  // each entity that inherits them
+  const relations = dataModel.relations.filter(relation => tables.has(relation.fromEntity.name));
+  const foreignKeys = [];
+
+  const references = new Map(relations.filter(holdsReference).map(relation => [relation.fromFieldId, relation]));
+  const relationFieldIds = new Set(relations.flatMap(relation => [relation.fromFieldId, relation.inverseFieldId]));
+  const entityByName = new Map(entities.map(entity => [entity.name, entity]));
+
+  const addForeignKey = (table, column, relation, referencedTable, referencedColumn) => foreignKeys.push({
+    table: table.name,
+    columns: [column],
+    referencedTable,
+    referencedColumns: [referencedColumn],
+    onDelete: relation.onDelete,
+    onUpdate: relation.onUpdate
+  });
+
+  for (const entity of entities) {
+    const table = tables.get(entity.name);
+    const fields = [...entity.fields].sort((a, b) => a.id - b.id);
+
+    for (const field of fields) {
+      const relation = references.get(field.id);
+      if (relation) {
+        // The column takes the type of the referenced column, without its
+        // default or identity
+        const column = `${field.name}${capitalize(relation.toField.name)}`;
+        table.columnOf.set(field.name, column);
+        table.columns.push({ name: column, field: relation.toField, isReference: true, isNullable: !field.isRequired && !field.isPrimary });
+        if (field.isPrimary) table.primaryKey.push(column);
+        // Both sides of a paired one-to-one relation are single rows
+        if (field.isUnique || (relation.inverseFieldId && relation.cardinality === '1:1')) table.uniques.push([column]);
+        if (field.isIndex) table.indexes.push([column]);
+        addForeignKey(table, column, relation, relation.toEntity.name, relation.toField.name);
+        continue;
+      }
+      if (relationFieldIds.has(field.id)) continue;
+
+      table.columnOf.set(field.name, field.name);
+      table.columns.push({
+        name: field.name,
+        field,
+        isNullable: !field.isRequired && !field.isPrimary,
+        isIdentity: isAutoincrement(field)
+      });
+      if (field.isPrimary) table.primaryKey.push(field.name);
+      if (field.isUnique && !field.isPrimary) table.uniques.push([field.name]);
+      if (field.isIndex) table.indexes.push([field.name]);
+    }
+
+    // Checks are added once every column is known, since `@check` may refer
+    // to any field of the entity
+    for (const field of fields.filter(candidate => table.columnOf.get(candidate.name) === candidate.name)) {
+      const conditions = fieldConditions(field);
+      if (conditions.length > 0) table.checks.push({ name: `${table.name}_${field.name}_check`, column: field.name, conditions });
+    }
+  }
+
+  // Entity attributes may name relation fields, which are their columns here
+  for (const entity of entities) {
+    const table = tables.get(entity.name);
+    for (const constraint of entity.constraints || []) {
+      const columns = constraint.fields.map(fieldName => table.columnOf.get(fieldName) || fieldName);
+      if (constraint.type === 'id') table.primaryKey = columns;
+      if (constraint.type === 'unique') table.uniques.push(columns);
+      if (constraint.type === 'index') table.indexes.push(columns);
+    }
+  }
+
+  for (const relation of relations) {
+    const fromEntity = entityByName.get(relation.fromEntity.name);
+    const fromKey = primaryKeyOf(fromEntity);
+
+    // A list without a back-reference is held by the rows it lists, e.g.
+    // `User.posts: Post[]` adds `userPostsId` to Post
+    if (relation.cardinality === '1:n' && !relation.inverseFieldId) {
+      const table = tables.get(relation.toEntity.name);
+      const column = `${toCamelCase(fromEntity.name)}${capitalize(relation.fromField.name)}${capitalize(fromKey)}`;
+      table.columns.push({ name: column, field: keyField(fromEntity, fromKey), isReference: true, isNullable: true });
+      addForeignKey(table, column, relation, fromEntity.name, fromKey);
+      continue;
+    }
+
+    if (relation.cardinality !== 'n:n' || relation.joinEntityId) continue;
+
+    // Join table with one column per side, named like the fields of a
+    // @joinEntity; self relations are told apart by the paired fields' names
+    let [fromName, toName] = [toCamelCase(fromEntity.name), toCamelCase(relation.toEntity.name)];
+    if (fromName === toName) {
+      fromName = relation.inverseField?.name || `${fromName}From`;
+      toName = relation.fromField.name;
+    }
+    const table = createTable(relation.name);
+    const fromColumn = `${fromName}${capitalize(fromKey)}`;
+    const toColumn = `${toName}${capitalize(relation.toField.name)}`;
+    table.columns.push(
+      { name: fromColumn, field: keyField(fromEntity, fromKey), isReference: true, isNullable: false },
+      { name: toColumn, field: relation.toField, isReference: true, isNullable: false }
+    );
+    table.primaryKey = [fromColumn, toColumn];
+    table.indexes.push([toColumn]);
+    tables.set(table.name, table);
+    addForeignKey(table, fromColumn, { onDelete: 'cascade' }, fromEntity.name, fromKey);
+    addForeignKey(table, toColumn, { onDelete: 'cascade' }, relation.toEntity.name, relation.toField.name);
+  }
+
+  return { tables: [...tables.values()], foreignKeys };
+};
+
+// Writes `{ tables, foreignKeys }` from describeSchema() in `dialect`
+const renderSchema = ({ tables, foreignKeys }, dialect) => {
+  const quote = dialect.quoteIdentifier;
+  const columnList = (columns) => columns.map(quote).join(', ');
+
+  // An identity clause that declares the primary key replaces the
+  // table's PRIMARY KEY constraint, so it needs a single-column key
+  const identityOf = (table, column) => {
+    if (!column.isIdentity) return null;
+    if (!dialect.identityIsPrimaryKey) return dialect.identity;
+    return table.primaryKey.length === 1 && table.primaryKey[0] === column.name ? dialect.identity : null;
+  };
+
+  // Columns mapped to the size of the widest key or index they are part
+  // of; the columns of a foreign key are indexed too
+  const keyColumns = new Map();
+  const addKey = (tableName, columns) => {
+    for (const column of columns) {
+      const key = `${tableName}.${column}`;
+      keyColumns.set(key, Math.max(keyColumns.get(key) || 0, columns.length));
+    }
+  };
+  for (const table of tables) {
+    for (const columns of [table.primaryKey, ...table.uniques, ...table.indexes]) addKey(table.name, columns);
+  }
+  for (const foreignKey of foreignKeys) addKey(foreignKey.table, foreignKey.columns);
+
+  const renderColumn = (table, column) => {
+    const identity = identityOf(table, column);
+    const defaultValue = column.isReference || column.isIdentity ? null : dialect.defaultValue(column.field);
+    return [
+      quote(column.name),
+      dialect.columnType(column.field, keyColumns.get(`${table.name}.${column.name}`) || 0),
+      ...(identity ? [identity] : []),
+      ...(column.isNullable ? [] : ['NOT NULL']),
+      ...(defaultValue ? [`DEFAULT ${defaultValue}`] : [])
+    ].join(' ');
+  };
+
+  // `@check` expressions refer to fields by name; they are rewritten to the
+  // quoted column names, leaving quoted text alone
+  const renderCondition = (table, column, condition) => {
+    switch (condition.kind) {
+      case 'enum':
+        return dialect.enumCheck(column, condition.values, condition.isArray);
+      case 'min':
+        return `${column} >= ${condition.value}`;
+      case 'max':
+        return `${column} <= ${condition.value}`;
+      case 'length':
+        return condition.min !== undefined
+          ? `${dialect.textLength(column)} BETWEEN ${condition.min} AND ${condition.max}`
+          : `${dialect.textLength(column)} <= ${condition.max}`;
+      case 'pattern':
+        return dialect.matches(column, condition.pattern);
+      default:
+        return condition.expression.replace(
+          /'[^']*'|"[^"]*"|\b[A-Za-z_]\w*\b/g,
+          token => (table.columnOf.has(token) ? quote(table.columnOf.get(token)) : token)
+        );
+    }
+  };
+
+  const renderForeignKey = (foreignKey) => [
+    `CONSTRAINT ${quote(`${foreignKey.table}_${foreignKey.columns.join('_')}_fkey`)}`,
+    `FOREIGN KEY (${columnList(foreignKey.columns)})`,
+    `REFERENCES ${quote(foreignKey.referencedTable)} (${columnList(foreignKey.referencedColumns)})`,
+    ...(foreignKey.onDelete ? [`ON DELETE ${REFERENTIAL_ACTIONS[foreignKey.onDelete]}`] : []),
+    ...(foreignKey.onUpdate ? [`ON UPDATE ${REFERENTIAL_ACTIONS[foreignKey.onUpdate]}`] : [])
+  ].join(' ');
+
+  const renderTable = (table) => {
+    const hasInlinePrimaryKey = dialect.identityIsPrimaryKey && table.columns.some(column => identityOf(table, column));
+    const checks = table.checks
+      .map(check => ({
+        name: check.name,
+        conditions: check.conditions.map(condition => renderCondition(table, quote(check.column), condition)).filter(Boolean)
+      }))
+      .filter(check => check.conditions.length > 0);
+    const lines = [
+      ...table.columns.map(column => renderColumn(table, column)),
+      ...(table.primaryKey.length > 0 && !hasInlinePrimaryKey
+        ? [`CONSTRAINT ${quote(`${table.name}_pkey`)} PRIMARY KEY (${columnList(table.primaryKey)})`]
+        : []),
+      ...table.uniques.map(columns =>
+        `CONSTRAINT ${quote(`${table.name}_${columns.join('_')}_key`)} UNIQUE (${columnList(columns)})`),
+      ...checks.map(check => `CONSTRAINT ${quote(check.name)} CHECK (${check.conditions.join(' AND ')})`),
+      ...(dialect.inlineForeignKeys
+        ? foreignKeys.filter(foreignKey => foreignKey.table === table.name).map(renderForeignKey)
+        : [])
+    ];
+    return `CREATE TABLE ${quote(table.name)} (\n${lines.map(line => `  ${line}`).join(',\n')}\n)${dialect.tableOptions};`;
+  };
+
+  const renderIndex = (table, columns) =>
+    `CREATE INDEX ${quote(`${table.name}_${columns.join('_')}_idx`)} ON ${quote(table.name)} (${columnList(columns)});`;
+
+  // Added once every table exists, so tables can refer to each other in any order
+  const alterForeignKeys = dialect.inlineForeignKeys
+    ? []
+    : foreignKeys.map(foreignKey => `ALTER TABLE ${quote(foreignKey.table)} ADD ${renderForeignKey(foreignKey)};`);
+
+  return [
+    ...tables.map(renderTable),
+    tables.flatMap(table => table.indexes.map(columns => renderIndex(table, columns))).join('\n'),
+    alterForeignKeys.join('\n')
+  ];
+};
+
+// `dialect` is a key of SQL_DIALECTS
+export const generateDdl = (dataModel, dialect = 'postgres') => {
+  const sqlDialect = SQL_DIALECTS[dialect];
+  if (!sqlDialect) throw new Error(`Unknown SQL dialect "${dialect}"`);
+
+  const sections = [
+    [`-- ${sqlDialect.label} schema for "${dataModel.name}" (version ${dataModel.version})`, ...sqlDialect.preamble].join('\n'),
+    ...renderSchema(describeSchema(dataModel), sqlDialect)
+  ];
+  return `${sections.filter(Boolean).join('\n\n')}\n`;
+};
@@ -0,0 +1,227 @@
+// TypeScript types and Zod schemas for a saved data model.
+//
+// generateTypeScript() works from the same stored rows as generateDdl(),
+// which are written from the parsed model when it is saved, rather than from
+// the parser's output directly. It writes, for each entity:
+//
+// - an interface, e.g. `interface Post`, with nullable fields as `T | null`
+// - a Zod schema of it, `PostSchema`
+// - create and update input types with their Zod schemas, `PostCreateInput`
+//   and `PostUpdateInput`; fields that are nullable or have a @default are
+//   optional on create, and every field is on update
+//
+// Decimals are strings, e.g. `'12.50'`, since a JavaScript number would lose
+// their precision.
+//
+// Relation fields keep their names. In the 'ids' mode they hold the key of
+// the related entity, e.g. `author: string`; in the 'nested' mode the related
+// entity itself, e.g. `author: User`. Input types always take keys.
+import { baseTypeOf, enumValuesOf } from './sqlDialects.js';
+import { capitalize, holdsReference } from './schemaNames.js';
+
+export const RELATION_MODES = ['ids', 'nested'];
+
+const stringLiteral = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+
+// Built-in types mapped to the TypeScript type and the Zod schema of a value
+const SCALAR_TYPES = {
+  string: { type: 'string', schema: 'z.string()' },
+  text: { type: 'string', schema: 'z.string()' },
+  email: { type: 'string', schema: 'z.string().email()' },
+  url: { type: 'string', schema: 'z.string().url()' },
+  uuid: { type: 'string', schema: 'z.string().uuid()' },
+  ID: { type: 'string', schema: 'z.string().uuid()' },
+  number: { type: 'number', schema: 'z.number()' },
+  float: { type: 'number', schema: 'z.number()' },
+  int: { type: 'number', schema: 'z.number().int()' },
+  bigint: { type: 'bigint', schema: 'z.bigint()' },
+  boolean: { type: 'boolean', schema: 'z.boolean()' },
+  datetime: { type: 'Date', schema: 'z.date()' },
+  date: { type: 'Date', schema: 'z.date()' },
+  // Times of day have no JavaScript type; they are `HH:MM:SS` strings
+  time: { type: 'string', schema: 'z.string()' },
+  json: { type: 'Json', schema: 'JsonSchema' },
+  binary: { type: 'Uint8Array', schema: 'z.instanceof(Uint8Array)' }
+};
+
+const JSON_DECLARATIONS = [
+  'export type Json = string | number | boolean | null | Json[] | { [key: string]: Json };',
+  '',
+  'export const JsonSchema: z.ZodType<Json> = z.lazy(() =>',
+  '  z.union([z.string(), z.number(), z.boolean(), z.null(), z.array(JsonSchema), z.record(JsonSchema)]));'
+].join('\n');
+
+// Decimal strings with at most the digits of decimal(precision, scale)
+const decimalSchema = ({ precision, scale = 0 } = {}) => {
+  if (precision === undefined) return 'z.string().regex(/^-?\\d+(\\.\\d+)?$/)';
+  const integerPart = precision > scale ? `\\d{1,${precision - scale}}` : '0';
+  const fractionPart = scale > 0 ? `(\\.\\d{1,${scale}})?` : '';
+  return `z.string().regex(/^-?${integerPart}${fractionPart}$/)`;
+};
+
+// Validation modifiers as Zod checks; @check expressions are SQL and are left
+// to the database. Bounds of decimals compare their value, not their length.
+const constraintChecks = (field, baseType) => {
+  const { min, max, minLength, maxLength, pattern } = field.constraints || {};
+  const length = field.typeParams?.length;
+  const checks = [];
+  if (baseType === 'decimal') {
+    if (min !== undefined) checks.push(`.refine(value => Number(value) >= ${min}, 'Must be at least ${min}')`);
+    if (max !== undefined) checks.push(`.refine(value => Number(value) <= ${max}, 'Must be at most ${max}')`);
+  } else {
+    const number = (value) => (baseType === 'bigint' ? `${value}n` : value);
+    if (min !== undefined) checks.push(`.min(${number(min)})`);
+    if (max !== undefined) checks.push(`.max(${number(max)})`);
+  }
+  if (minLength !== undefined) checks.push(`.min(${minLength})`);
+  if (maxLength !== undefined || length !== undefined) {
+    checks.push(`.max(${Math.min(maxLength ?? Infinity, length ?? Infinity)})`);
+  }
+  if (pattern !== undefined) checks.push(`.regex(new RegExp(${stringLiteral(pattern)}))`);
+  return checks.join('');
+};
+
+// Property names that are not identifiers are quoted
+const propertyName = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : stringLiteral(name));
+
+const hasDefault = (field) =>
+  (field.defaultValue !== null && field.defaultValue !== undefined) ||
+  (baseTypeOf(field) === 'ID' && field.isPrimary);
+
+export const generateTypeScript = (dataModel, relationMode = 'ids') => {
+  if (!RELATION_MODES.includes(relationMode)) throw new Error(`Unknown relation mode "${relationMode}"`);
+
+  const entities = dataModel.entities.filter(entity => entity.kind === 'entity');
+  const entityByName = new Map(entities.map(entity => [entity.name, entity]));
+  const relations = dataModel.relations.filter(relation => entityByName.has(relation.fromEntity.name));
+  const enums = new Map();
+  let usesJson = false;
+
+  // The TypeScript type and Zod schema of a scalar or enum field's value
+  const valueOf = (entity, field) => {
+    const values = enumValuesOf(field);
+    if (values) {
+      const name = field.enum?.name || `${entity.name}${capitalize(field.name)}`;
+      enums.set(name, values);
+      return { type: name, schema: `${name}Schema` };
+    }
+    const baseType = baseTypeOf(field);
+    const { type, schema } = baseType === 'decimal'
+      ? { type: 'string', schema: decimalSchema(field.typeParams || undefined) }
+      : SCALAR_TYPES[baseType] || SCALAR_TYPES.string;
+    if (type === 'Json') usesJson = true;
+    return { type, schema: `${schema}${constraintChecks(field, baseType)}` };
+  };
+
+  // The key of an entity, which references are typed as in the 'ids' mode;
+  // entities without a primary key are referred to by an ID
+  const keyOf = (entityName, fieldName) => {
+    const entity = entityByName.get(entityName);
+    const name = fieldName || entity.fields.find(field => field.isPrimary)?.name || 'id';
+    const field = entity.fields.find(candidate => candidate.name === name) || { name, fieldType: 'ID' };
+    const { type, schema } = valueOf(entity, { ...field, constraints: null });
+    return { type, schema };
+  };
+
+  const relatedValue = (entityName, fieldName) => (relationMode === 'nested'
+    ? { type: entityName, schema: `${entityName}Schema` }
+    : keyOf(entityName, fieldName));
+
+  // Properties of an entity: the field, the type and schema of its `value`,
+  // and whether it is nullable or a list. `key` is the type and schema the
+  // input types take, or null when the field is not set through them.
+  const propertiesOf = (entity) => [...entity.fields].sort((a, b) => a.id - b.id).map(field => {
+    const owned = relations.find(relation => relation.fromFieldId === field.id);
+    const inverse = relations.find(relation => relation.inverseFieldId === field.id);
+    const isNullable = !field.isRequired && !field.isPrimary;
+
+    if (owned && holdsReference(owned)) {
+      return {
+        field,
+        value: relatedValue(owned.toEntity.name, owned.toField?.name),
+        key: keyOf(owned.toEntity.name, owned.toField?.name),
+        isNullable,
+        isList: false
+      };
+    }
+    // Lists of the related entity, and the inverse side of a one-to-one
+    if (owned || inverse) {
+      const relatedName = owned ? owned.toEntity.name : inverse.fromEntity.name;
+      const isList = Boolean(owned) || inverse.cardinality === 'n:1' || inverse.cardinality === 'n:n';
+      return {
+        field,
+        value: relatedValue(relatedName, owned?.toField?.name),
+        key: null,
+        isNullable: !isList,
+        isList
+      };
+    }
+    const value = valueOf(entity, field);
+    return { field, value, key: value, isNullable, isList: field.isArray };
+  });
+
+  const typeOf = ({ type }, { isNullable, isList }) =>
+    `${isList ? `${type}[]` : type}${isNullable ? ' | null' : ''}`;
+  const schemaOf = ({ schema }, { isNullable, isList }) =>
+    `${isList ? `z.array(${schema})` : schema}${isNullable ? '.nullable()' : ''}`;
+
+  const renderEntity = (entity) => {
+    const properties = propertiesOf(entity);
+    const inputs = properties.filter(property => property.key);
+    const isOptionalOnCreate = ({ field, isNullable }) => isNullable || hasDefault(field);
+    const description = (text, indent) => (text ? [`${indent}/** ${text} */`] : []);
+
+    // Schemas of nested entities refer to each other, so they are typed
+    // against the interfaces and built lazily
+    const schemaObject = [
+      'z.object({',
+      ...properties.map((property, index) =>
+        `  ${propertyName(property.field.name)}: ${schemaOf(property.value, property)}${index < properties.length - 1 ? ',' : ''}`),
+      '})'
+    ].join('\n');
+    const entitySchema = relationMode === 'nested'
+      ? `export const ${entity.name}Schema: z.ZodType<${entity.name}> = z.lazy(() => ${schemaObject});`
+      : `export const ${entity.name}Schema: z.ZodType<${entity.name}> = ${schemaObject};`;
+
+    return [
+      [
+        ...description(entity.description, ''),
+        `export interface ${entity.name} {`,
+        ...properties.flatMap(property => [
+          ...description(property.field.description, '  '),
+          `  ${propertyName(property.field.name)}: ${typeOf(property.value, property)};`
+        ]),
+        '}'
+      ].join('\n'),
+      entitySchema,
+      [
+        `export const ${entity.name}CreateInputSchema = z.object({`,
+        ...inputs.map((property, index) => {
+          const schema = schemaOf(property.key, property);
+          const optional = isOptionalOnCreate(property) ? '.optional()' : '';
+          return `  ${propertyName(property.field.name)}: ${schema}${optional}${index < inputs.length - 1 ? ',' : ''}`;
+        }),
+        '});',
+        `export type ${entity.name}CreateInput = z.infer<typeof ${entity.name}CreateInputSchema>;`
+      ].join('\n'),
+      [
+        `export const ${entity.name}UpdateInputSchema = ${entity.name}CreateInputSchema.partial();`,
+        `export type ${entity.name}UpdateInput = z.infer<typeof ${entity.name}UpdateInputSchema>;`
+      ].join('\n')
+    ].join('\n\n');
+  };
+
+  // Rendered first so the enums and Json they use are known
+  const renderedEntities = entities.map(renderEntity);
+
+  return [
+    `// TypeScript types and Zod schemas for "${dataModel.name}" (version ${dataModel.version}),\n// with relations as ${relationMode === 'nested' ? 'nested entities' : 'IDs'}`,
+    'import { z } from \'zod\';',
+    ...(usesJson ? [JSON_DECLARATIONS] : []),
+    ...[...enums].map(([name, values]) => [
+      `export const ${name}Schema = z.enum([${values.map(stringLiteral).join(', ')}]);`,
+      `export type ${name} = z.infer<typeof ${name}Schema>;`
+    ].join('\n')),
+    ...renderedEntities
+  ].join('\n\n') + '\n';
+};
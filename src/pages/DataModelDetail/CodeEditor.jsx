@@ -1,11 +1,34 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import Editor from '@monaco-editor/react';
-import { saveDataModelSchema } from 'wasp/client/operations';
+import { saveDataModelSchema, updateDataModel, exportDataModelDdl, exportDataModelPrisma, exportDataModelTypeScript, exportDataModelGraphql } from 'wasp/client/operations';
 import { ExampleSchemaModal } from './ExampleSchemaModal';
 import { QuestionMarkCircleIcon } from '@heroicons/react/24/outline';
-import { parseDataModelSchema } from '../../lib/modelParser';
+import { parseDataModelSchema, parseDataModelFiles, BUILT_IN_TYPES } from '../../lib/modelParser';
+import { SCHEMA_FILE_EXTENSION, isValidFileName } from '../../lib/schemaFiles';
+import { formatSchema } from '../../lib/schemaFormatter';
+import { getCodeActions, typeNamesOf } from '../../lib/schemaQuickFixes';
+import { getCompletions } from '../../lib/schemaCompletion';
+import { buildSymbolTable, symbolAt, findReferences, renameSymbol, hoverAt, applyEdits } from '../../lib/schemaSymbols';
+import { formatDiagnostic } from '../../lib/diagnostics';
+import { SQL_DIALECTS } from '../../lib/sqlDialects';
+import {
+  LINT_RULES,
+  LINT_SEVERITIES,
+  BLOCK_SAVE_LEVELS,
+  DEFAULT_LINT_CONFIG,
+  lintSchema,
+  blockingDiagnostics,
+  ruleSeverity
+} from '../../lib/schemaLinter';
 
-const SchemaHintsModal = ({ isOpen, onClose }) => {
+// Name of the only file of a model that is not split into files
+const DEFAULT_FILE_NAME = 'main.dm';
+
+// URI scheme of the Monaco models that hold the files not shown in the
+// editor, e.g. `schema-file:/billing.dm`
+const FILE_MODEL_SCHEME = 'schema-file';
+
+const SchemaHintsModal = ({ isOpen, onClose, userTypes = [] }) => {
   if (!isOpen) return null;
 
   return (
@@ -29,8 +52,10 @@ const SchemaHintsModal = ({ isOpen, onClose }) => {
             <h3 className="text-lg font-semibold mb-3 text-gray-800">Basic Entity Syntax</h3>
             <div className="bg-gray-50 p-4 rounded-lg">
               <pre className="text-sm text-gray-700">
-{`entity User {
+{`/// A registered account
+entity User {
   id: ID @primary
+  /// Display name shown to other users
   name: string @nullable(false)
   email: email @unique @index
   status: enum(active,suspended) @default(active)
@@ -60,6 +85,10 @@ const SchemaHintsModal = ({ isOpen, onClose }) => {
                   <li><code className="text-blue-600">email</code> - Email addresses</li>
                   <li><code className="text-blue-600">url</code> - URLs</li>
                   <li><code className="text-blue-600">uuid</code> - UUID values</li>
+                  <li><code className="text-blue-600">string(255)</code> - Text with a maximum length</li>
+                  <li><code className="text-blue-600">decimal(12,2)</code> - Precision and scale</li>
+                  <li><code className="text-blue-600">binary(16)</code> - Fixed-size binary data</li>
+                  <li><code className="text-blue-600">datetime(tz)</code> - Timezone-aware date and time</li>
                 </ul>
               </div>
               <div className="bg-gray-50 p-4 rounded-lg">
@@ -70,8 +99,25 @@ const SchemaHintsModal = ({ isOpen, onClose }) => {
                   <li><code className="text-blue-600">@index</code> - Create index</li>
                   <li><code className="text-blue-600">@nullable(true|false)</code> - Nullable field</li>
                   <li><code className="text-blue-600">@default(value)</code> - Default value</li>
+                  <li><code className="text-blue-600">@min(n)</code> / <code className="text-blue-600">@max(n)</code> - Numeric bounds</li>
+                  <li><code className="text-blue-600">@length(min, max)</code> - Text length</li>
+                  <li><code className="text-blue-600">@pattern("regex")</code> - Text format</li>
+                  <li><code className="text-blue-600">@check(expression)</code> - Custom check</li>
+                  <li><code className="text-blue-600">@onDelete(action)</code> / <code className="text-blue-600">@onUpdate(action)</code> - Referential actions: cascade, restrict, setNull, noAction</li>
+                  <li><code className="text-blue-600">@relation(Name)</code> - Pair a field with its back-reference on the other entity</li>
+                  <li><code className="text-blue-600">@joinEntity(Name)</code> - Generate a join entity for a many-to-many relation</li>
                 </ul>
               </div>
+              {userTypes.length > 0 && (
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <h4 className="font-medium mb-2 text-gray-700">Your Types</h4>
+                  <ul className="space-y-1 text-sm text-gray-600">
+                    {userTypes.map(({ name, definition }) => (
+                      <li key={name}><code className="text-blue-600">{name}</code> - {definition}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
           </div>
 
@@ -88,22 +134,127 @@ const SchemaHintsModal = ({ isOpen, onClose }) => {
 
 entity Post {
   id: ID @primary
-  author: User       // Reference to User
+  author: User @onDelete(cascade)  // Reference to User
   title: string @index
   authorName: User.name  // Field reference
 }`}</pre>
             </div>
           </div>
 
+          {/* Many-to-Many Section */}
+          <div>
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">Paired and Many-to-Many Relations</h3>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <pre className="text-sm text-gray-700">
+{`entity Post {
+  id: ID @primary
+  author: User @relation("AuthoredPosts")  // Name the pair when
+  editor: User                             // several fields point at User
+  tags: Tag[] @joinEntity(PostTag)  // Lists on both sides pair up
+}
+
+entity Tag {
+  id: ID @primary
+  posts: Post[]
+}
+
+entity User {
+  id: ID @primary
+  posts: Post[] @relation("AuthoredPosts")
+  followers: User[] @relation(Follows)  // Self relations need a name
+  following: User[] @relation(Follows)
+}`}</pre>
+            </div>
+          </div>
+
+          {/* Inheritance Section */}
+          <div>
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">Inheritance and Mixins</h3>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <pre className="text-sm text-gray-700">
+{`abstract entity Base {  // Not a table; shared by entities that extend it
+  id: ID @primary
+}
+
+mixin Timestamps {  // Fields any entity can include with "uses"
+  createdAt: datetime @default(now)
+  updatedAt: datetime
+  deletedAt: datetime @nullable(true)
+}
+
+entity User extends Base uses Timestamps {
+  email: string @unique
+}`}</pre>
+            </div>
+          </div>
+
+          {/* Multiple Files Section */}
+          <div>
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">Multiple Files</h3>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <pre className="text-sm text-gray-700">
+{`// billing.dm - add files with the + tab
+import "identity"  // Use the declarations of identity.dm
+
+entity Invoice uses identity.Timestamps {
+  id: ID @primary
+  customer: identity.User  // Qualified with the file name
+}`}</pre>
+            </div>
+          </div>
+
+          {/* Composite Constraints Section */}
+          <div>
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">Composite Keys and Indexes</h3>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <pre className="text-sm text-gray-700">
+{`entity OrderLine {
+  orderId: int
+  lineNo: int
+  tenantId: int
+  sku: string
+  createdAt: datetime
+  status: string
+  @@id([orderId, lineNo])        // Composite primary key
+  @@unique([tenantId, sku])      // Composite unique constraint
+  @@index([createdAt, status])   // Composite index
+}`}</pre>
+            </div>
+          </div>
+
           {/* Enum Example Section */}
           <div>
             <h3 className="text-lg font-semibold mb-3 text-gray-800">Enum Example</h3>
             <div className="bg-gray-50 p-4 rounded-lg">
               <pre className="text-sm text-gray-700">
-{`entity Task {
+{`// Named enums can be shared by several entities
+enum TaskStatus {
+  pending
+  active
+  completed
+}
+
+entity Task {
+  id: ID @primary
+  status: TaskStatus @default(pending)
+  priority: enum(low,medium,high)  // Inline enum
+}`}</pre>
+            </div>
+          </div>
+
+          {/* Type Aliases Section */}
+          <div>
+            <h3 className="text-lg font-semibold mb-3 text-gray-800">Type Aliases</h3>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <pre className="text-sm text-gray-700">
+{`// Reusable domain types with their modifiers
+type Money = decimal(12,2) @min(0)
+type Slug = string(80) @pattern("^[a-z0-9-]+$")
+
+entity Product {
   id: ID @primary
-  status: enum(pending,active,completed) @default(pending)
-  priority: enum(low,medium,high)
+  slug: Slug @unique
+  price: Money @default(0)  // Field modifiers add to the alias
 }`}</pre>
             </div>
           </div>
@@ -115,8 +266,13 @@ entity Post {
               <li>Field names must contain only letters, numbers, and underscores</li>
               <li>Entity names should start with a capital letter</li>
               <li>Comments are supported using <code className="text-blue-600">//</code></li>
+              <li>Format the schema with <code className="text-blue-600">Shift+Alt+F</code> or Format Document in the editor's context menu</li>
+              <li>Hover a name to see its definition, press <code className="text-blue-600">F12</code> to go to it, <code className="text-blue-600">Shift+F12</code> to find its references and <code className="text-blue-600">F2</code> to rename it everywhere</li>
+              <li>Suggestions appear as you type a type, <code className="text-blue-600">Entity.</code>, <code className="text-blue-600">@</code> or <code className="text-blue-600">@default(</code>; press <code className="text-blue-600">Ctrl+Space</code> to show them at any time</li>
+              <li>Press <code className="text-blue-600">Ctrl+.</code> (<code className="text-blue-600">Cmd+.</code> on macOS) on an error or warning for quick fixes, or on an inline enum to convert it to a named enum</li>
+              <li><code className="text-blue-600">///</code> comments directly above an entity or field are saved as its description and shown in the diagram</li>
               <li>Each field must have a type declaration after the colon</li>
-              <li>Referenced entities must be defined in the schema</li>
+              <li>Referenced entities, enums and type aliases must be defined in the schema</li>
             </ul>
           </div>
         </div>
@@ -134,25 +290,374 @@ entity Post {
   );
 };
 
+// Turns lint rules on or off, sets their severity and the severity that
+// blocks saving. Changes are saved with the data model, which reloads the
+// schema, so they wait until schema edits are saved or reverted.
+const LintSettingsModal = ({ isOpen, onClose, lintConfig, onSave, hasUnsavedSchema }) => {
+  const [draft, setDraft] = useState(lintConfig);
+
+  useEffect(() => {
+    if (isOpen) setDraft(lintConfig);
+  }, [isOpen, lintConfig]);
+
+  if (!isOpen) return null;
+
+  const setRuleSeverity = (ruleId, severity) => {
+    setDraft(previous => ({ ...previous, rules: { ...previous.rules, [ruleId]: severity } }));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg w-full max-w-2xl">
+        <div className="flex justify-between items-center p-4 border-b">
+          <h2 className="text-xl font-semibold">Lint Rules</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4 max-h-[80vh] overflow-y-auto">
+          {Object.entries(LINT_RULES).map(([ruleId, rule]) => (
+            <div key={ruleId} className="flex justify-between items-center gap-4">
+              <div>
+                <code className="text-sm text-blue-600">{ruleId}</code>
+                <p className="text-sm text-gray-600">{rule.description}</p>
+              </div>
+              <select
+                className="px-2 py-1 border border-gray-300 rounded text-sm"
+                value={ruleSeverity(draft, ruleId)}
+                onChange={(event) => setRuleSeverity(ruleId, event.target.value)}
+              >
+                {LINT_SEVERITIES.map(severity => (
+                  <option key={severity} value={severity}>{severity}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+
+          <div className="flex justify-between items-center gap-4 border-t pt-4">
+            <p className="text-sm text-gray-800">Block saving on</p>
+            <select
+              className="px-2 py-1 border border-gray-300 rounded text-sm"
+              value={draft.blockSaveOn ?? DEFAULT_LINT_CONFIG.blockSaveOn}
+              onChange={(event) => setDraft(previous => ({ ...previous, blockSaveOn: event.target.value }))}
+            >
+              {BLOCK_SAVE_LEVELS.map(level => (
+                <option key={level} value={level}>{level}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="border-t p-4 flex justify-end items-center gap-2">
+          {hasUnsavedSchema && (
+            <p className="text-sm text-gray-500 mr-auto">Save or revert your schema changes first</p>
+          )}
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave(draft)}
+            disabled={hasUnsavedSchema}
+            className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:bg-gray-300"
+          >
+            Save Rules
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Monarch tokenizer for the DSL. `userTypes` are the type aliases declared in
+// the schema, highlighted like the built-in types.
+const createLanguageDefinition = (userTypes = []) => ({
+  keywords: ['entity', 'enum', 'abstract', 'mixin', 'extends', 'uses', 'type', 'import'],
+  typeKeywords: [...BUILT_IN_TYPES, ...userTypes],
+  modifiers: [
+    'unique', 'index', 'primary', 'nullable', 'default',
+    'min', 'max', 'length', 'pattern', 'check',
+    'onDelete', 'onUpdate', 'relation', 'joinEntity'
+  ],
+  tokenizer: {
+    root: [
+      [/\/\/\/(?!\/).*$/, 'comment.doc'],  // Doc comments become descriptions
+      [/\/\/.*$/, 'comment'],
+      [/"([^"\\]|\\.)*"/, 'string'],
+      // Named enum declarations: `enum OrderStatus { pending paid }`
+      [/(enum)(\s+)([a-zA-Z_]\w*)(\s*)(\{)/, ['keyword', '', 'type.identifier', '', { token: 'delimiter', next: '@enumBody' }]],
+      // Type aliases: `type Money = decimal(12,2)`
+      [/(type)(\s+)([a-zA-Z_]\w*)(\s*)(=)/, ['keyword', '', 'type.identifier', '', 'delimiter']],
+      [/entity/, 'keyword'],
+      [/import(?=\s+")/, 'keyword'],
+      // Inheritance: `abstract entity Base`, `mixin Timestamps`, `extends Base uses Timestamps`
+      [/(abstract|mixin|extends|uses)(?=\s+[A-Za-z_])/, 'keyword'],
+      [/@@\w+/, 'modifier'],  // Highlight entity-level attributes
+      [/@\w+/, 'modifier'],  // Highlight modifiers
+      [/enum\([^)]*\)/, 'type'],  // Highlight enum definitions
+      [/(string|number|boolean|datetime|ID|int|float|decimal|date|time|json|text|email|url|uuid|bigint|binary)\b/, 'type'],
+      ...(userTypes.length > 0 ? [[new RegExp(`(${userTypes.join('|')})\\b`), 'type']] : []),
+      // Capitalized names after a colon refer to entities or named enums
+      [/(:)(\s*)(?!ID\b)([A-Z]\w*)/, ['delimiter', '', 'type.identifier']],
+      [/[a-zA-Z_]\w*/, 'identifier'],
+      [/\d+(\.\d+)?/, 'number'],
+      [/[{}[\]()]/, 'delimiter'],
+      [/:/, 'delimiter'],
+      [/@/, 'delimiter'],
+    ],
+    enumBody: [
+      [/\/\/.*$/, 'comment'],
+      [/\}/, { token: 'delimiter', next: '@pop' }],
+      [/[a-zA-Z_]\w*/, 'constant'],
+      [/,/, 'delimiter'],
+    ],
+  },
+});
+
+// Converts parser diagnostics into Monaco markers. Zero-width ranges (e.g. an
+// error reported at end of file) are widened so the marker stays visible.
+const toMarkers = (monaco, diagnostics) => diagnostics.map(diagnostic => {
+  const { start, end } = diagnostic.range;
+  const isEmpty = start.line === end.line && start.column === end.column;
+  return {
+    severity: {
+      error: monaco.MarkerSeverity.Error,
+      info: monaco.MarkerSeverity.Info
+    }[diagnostic.severity] ?? monaco.MarkerSeverity.Warning,
+    message: diagnostic.message,
+    code: diagnostic.code,
+    startLineNumber: start.line,
+    startColumn: start.column,
+    endLineNumber: end.line,
+    endColumn: isEmpty ? end.column + 1 : end.column
+  };
+});
+
+// Converts between Monaco ranges and the ranges of diagnostics and code actions
+const fromMonacoRange = (range) => ({
+  start: { line: range.startLineNumber, column: range.startColumn },
+  end: { line: range.endLineNumber, column: range.endColumn }
+});
+
+const toMonacoRange = ({ start, end }) => ({
+  startLineNumber: start.line,
+  startColumn: start.column,
+  endLineNumber: end.line,
+  endColumn: end.column
+});
+
+// Monaco icons for the kinds of completion items
+const completionKind = (monaco, kind) => ({
+  type: monaco.languages.CompletionItemKind.Keyword,
+  entity: monaco.languages.CompletionItemKind.Class,
+  enum: monaco.languages.CompletionItemKind.Enum,
+  alias: monaco.languages.CompletionItemKind.TypeParameter,
+  template: monaco.languages.CompletionItemKind.Interface,
+  field: monaco.languages.CompletionItemKind.Field,
+  modifier: monaco.languages.CompletionItemKind.Property,
+  attribute: monaco.languages.CompletionItemKind.Property,
+  value: monaco.languages.CompletionItemKind.EnumMember
+}[kind]);
+
+// Tabs for the files of a multi-file schema, with an inline form to add one
+const FileTabs = ({ files, activeFile, onSelect, onAdd, onRemove }) => {
+  const [newFileName, setNewFileName] = useState(null);
+  const [nameError, setNameError] = useState(null);
+
+  const handleAdd = () => {
+    const name = newFileName.endsWith(SCHEMA_FILE_EXTENSION) ? newFileName : newFileName + SCHEMA_FILE_EXTENSION;
+    if (!isValidFileName(name)) {
+      setNameError('Use letters, numbers and underscores, e.g. billing.dm');
+      return;
+    }
+    if (files.some(file => file.name === name)) {
+      setNameError(`${name} already exists`);
+      return;
+    }
+    onAdd(name);
+    setNewFileName(null);
+    setNameError(null);
+  };
+
+  return (
+    <div className='flex items-center gap-1 border-b mb-2 text-sm'>
+      {files.map((file, index) => (
+        <div
+          key={file.name}
+          className={`flex items-center px-3 py-1 rounded-t cursor-pointer ${index === activeFile ? 'bg-blue-50 text-blue-700 border-b-2 border-blue-500' : 'text-gray-600 hover:bg-gray-100'}`}
+          onClick={() => onSelect(index)}
+        >
+          {file.name}
+          {files.length > 1 && (
+            <button
+              className='ml-2 text-gray-400 hover:text-gray-700'
+              aria-label={`Remove ${file.name}`}
+              onClick={(event) => {
+                event.stopPropagation();
+                onRemove(index);
+              }}
+            >
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+      {newFileName === null ? (
+        <button
+          className='px-2 py-1 text-gray-500 hover:text-gray-800'
+          aria-label="Add schema file"
+          onClick={() => setNewFileName('')}
+        >
+          +
+        </button>
+      ) : (
+        <div className='flex items-center gap-2'>
+          <input
+            autoFocus
+            className='px-2 py-1 border border-gray-300 rounded text-sm'
+            placeholder='billing.dm'
+            value={newFileName}
+            onChange={(event) => {
+              setNewFileName(event.target.value);
+              setNameError(null);
+            }}
+            onKeyDown={(event) => {
+              if (event.key === 'Enter') handleAdd();
+              if (event.key === 'Escape') {
+                setNewFileName(null);
+                setNameError(null);
+              }
+            }}
+          />
+          {nameError && <span className='text-red-500 text-xs'>{nameError}</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Files as loaded from getDataModelSchema; a model that is not split into
+// files is edited as a single file
+const toEditorFiles = (modelData) => (
+  modelData?.files?.length > 0
+    ? modelData.files
+    : [{ name: DEFAULT_FILE_NAME, content: modelData?.schema || '' }]
+);
+
+// Saves `content` as a file through the browser's download prompt
+const downloadFile = (fileName, content, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Files the saved model can be downloaded as: DDL for each SQL dialect, a
+// Prisma schema, TypeScript with relations as IDs or nested entities, and
+// GraphQL SDL with lists as plain lists or Relay connections
+const EXPORT_FORMATS = [
+  ...Object.entries(SQL_DIALECTS).map(([dialect, { label }]) => ({
+    id: dialect,
+    label: `${label} DDL`,
+    type: 'application/sql',
+    run: ({ dataModelId }) => exportDataModelDdl({ dataModelId, dialect })
+  })),
+  { id: 'prisma', label: 'Prisma schema', type: 'text/plain', run: exportDataModelPrisma },
+  {
+    id: 'typescript-ids',
+    label: 'TypeScript + Zod (relation IDs)',
+    type: 'text/plain',
+    run: ({ dataModelId }) => exportDataModelTypeScript({ dataModelId, relationMode: 'ids' })
+  },
+  {
+    id: 'typescript-nested',
+    label: 'TypeScript + Zod (nested relations)',
+    type: 'text/plain',
+    run: ({ dataModelId }) => exportDataModelTypeScript({ dataModelId, relationMode: 'nested' })
+  },
+  {
+    id: 'graphql-lists',
+    label: 'GraphQL SDL',
+    type: 'text/plain',
+    run: ({ dataModelId }) => exportDataModelGraphql({ dataModelId, listStyle: 'lists' })
+  },
+  {
+    id: 'graphql-connections',
+    label: 'GraphQL SDL (Relay connections)',
+    type: 'text/plain',
+    run: ({ dataModelId }) => exportDataModelGraphql({ dataModelId, listStyle: 'connections' })
+  }
+];
+
 const CodeEditor = ({ dataModelId, modelData }) => {
   const [hasLocalChanges, setHasLocalChanges] = useState(false);
   const [parseError, setParseError] = useState(null);
   const [isFullScreen, setIsFullScreen] = useState(false);
-  const [editorValue, setEditorValue] = useState('');
+  const [files, setFiles] = useState(() => toEditorFiles(null));
+  const [activeFile, setActiveFile] = useState(0);
+  const activeFileRef = useRef(0);
+  activeFileRef.current = activeFile;
+  const filesRef = useRef(files);
+  filesRef.current = files;
   const [isExampleModalOpen, setIsExampleModalOpen] = useState(false);
   const [isHintVisible, setIsHintVisible] = useState(false);
+  const [userTypes, setUserTypes] = useState([]);
+  const highlightedTypes = useRef('');
+  const formattingProvider = useRef(null);
+  const codeActionProvider = useRef(null);
+  const completionProvider = useRef(null);
+  const navigationProviders = useRef(null);
+  const editorRef = useRef(null);
+  // The selection to reveal once the tab of another file is open
+  const pendingReveal = useRef(null);
+  // The last validation result and the file it was shown for, for code actions
+  const lastValidation = useRef({ result: null, fileName: null });
+  const [lintConfig, setLintConfig] = useState(DEFAULT_LINT_CONFIG);
+  const [isLintSettingsOpen, setIsLintSettingsOpen] = useState(false);
+  const [exportFormatId, setExportFormatId] = useState(EXPORT_FORMATS[0].id);
 
   // Initialize editor with data from the server
   useEffect(() => {
-    if (modelData?.schema) {
-      setEditorValue(modelData.schema);
-      setHasLocalChanges(false);
+    setFiles(toEditorFiles(modelData));
+    setActiveFile(0);
+    setHasLocalChanges(false);
+    setLintConfig(modelData?.dataModel?.lintConfig || DEFAULT_LINT_CONFIG);
+  }, [modelData]);
+
+  // All files are validated together whenever one changes, and the active
+  // file shows its own markers
+  useEffect(() => {
+    validateSchema(files);
+  }, [files, activeFile, lintConfig]);
+
+  const revealPending = () => {
+    const editor = editorRef.current;
+    const target = pendingReveal.current;
+    if (!editor || !target) return;
+    pendingReveal.current = null;
+    if ('startLineNumber' in target) {
+      editor.setSelection(target);
+      editor.revealRangeInCenter(target);
     } else {
-      // Set empty schema if no data is available
-      setEditorValue('');
-      setHasLocalChanges(false);
+      editor.setPosition(target);
+      editor.revealPositionInCenter(target);
     }
-  }, [modelData]);
+    editor.focus();
+  };
+
+  // Locations opened in another file are revealed once its content is in the
+  // editor, which updates it before this effect runs
+  useEffect(revealPending, [activeFile]);
 
   // Memoize the editor options
   const editorOptions = React.useMemo(() => ({
@@ -174,9 +679,10 @@ const CodeEditor = ({ dataModelId, modelData }) => {
   }), []);
 
   const handleChange = React.useCallback((newValue) => {
-    setEditorValue(newValue);
+    setFiles(previous => previous.map((file, index) =>
+      index === activeFileRef.current ? { ...file, content: newValue } : file
+    ));
     setHasLocalChanges(true);
-    validateSchema(newValue);
   }, []);
 
   const handleEditorWillMount = React.useCallback((monaco) => {
@@ -186,29 +692,198 @@ const CodeEditor = ({ dataModelId, modelData }) => {
     });
 
     monaco.languages.register({ id: 'datamodel' });
-    monaco.languages.setMonarchTokensProvider('datamodel', {
-      keywords: ['entity'],
-      typeKeywords: [
-        'string', 'number', 'boolean', 'datetime', 'ID',
-        'int', 'float', 'decimal', 'date', 'time',
-        'json', 'text', 'email', 'url', 'uuid',
-        'bigint', 'binary', 'enum'
-      ],
-      modifiers: ['unique', 'index', 'primary', 'nullable', 'default'],
-      tokenizer: {
-        root: [
-          [/entity/, 'keyword'],
-          [/@\w+/, 'modifier'],  // Highlight modifiers
-          [/enum\([^)]*\)/, 'type'],  // Highlight enum definitions
-          [/(string|number|boolean|datetime|ID|int|float|decimal|date|time|json|text|email|url|uuid|bigint|binary)\b/, 'type'],
-          [/\/\/.*$/, 'comment'],
-          [/[a-zA-Z_]\w*/, 'identifier'],
-          [/[{}[\]]/, 'delimiter'],
-          [/:/, 'delimiter'],
-          [/@/, 'delimiter'],
-        ],
-      },
-    });
+    monaco.languages.setMonarchTokensProvider('datamodel', createLanguageDefinition());
+
+    // "Format Document" (Shift+Alt+F or the context menu); schemas with
+    // syntax errors are left as they are
+    if (!formattingProvider.current) {
+      formattingProvider.current = monaco.languages.registerDocumentFormattingEditProvider('datamodel', {
+        provideDocumentFormattingEdits: (model) => {
+          const formatted = formatSchema(model.getValue());
+          return formatted === null ? [] : [{ range: model.getFullModelRange(), text: formatted }];
+        }
+      });
+    }
+
+    // Quick fixes for the markers under the cursor, and refactorings such as
+    // converting an inline enum to a named one
+    if (!codeActionProvider.current) {
+      codeActionProvider.current = monaco.languages.registerCodeActionProvider('datamodel', {
+        provideCodeActions: (model, range, context) => {
+          const { result, fileName } = lastValidation.current;
+          const diagnostics = context.markers.map(marker => ({
+            code: marker.code,
+            message: marker.message,
+            range: fromMonacoRange(marker)
+          }));
+          const actions = getCodeActions(model.getValue(), {
+            diagnostics,
+            range: fromMonacoRange(range),
+            typeNames: typeNamesOf(result, fileName)
+          });
+          return {
+            actions: actions.map(action => ({
+              title: action.title,
+              kind: action.kind,
+              isPreferred: action.isPreferred,
+              diagnostics: action.diagnostics.map(diagnostic => context.markers[diagnostics.indexOf(diagnostic)]),
+              edit: {
+                edits: action.edits.map(edit => ({
+                  resource: model.uri,
+                  textEdit: { range: toMonacoRange(edit.range), text: edit.text },
+                  versionId: model.getVersionId()
+                }))
+              }
+            })),
+            dispose: () => {}
+          };
+        }
+      });
+    }
+
+    // Completion of types, `Entity.` fields, modifiers and @default values,
+    // from the names of the last validated schema
+    if (!completionProvider.current) {
+      completionProvider.current = monaco.languages.registerCompletionItemProvider('datamodel', {
+        triggerCharacters: ['@', '.', '(', ':'],
+        provideCompletionItems: (model, position) => {
+          const { result, fileName } = lastValidation.current;
+          const line = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+          const word = model.getWordUntilPosition(position);
+          const range = {
+            startLineNumber: position.lineNumber,
+            startColumn: word.startColumn,
+            endLineNumber: position.lineNumber,
+            endColumn: word.endColumn
+          };
+          return {
+            suggestions: getCompletions(line, result, fileName).map((item, index) => ({
+              label: item.label,
+              kind: completionKind(monaco, item.kind),
+              detail: item.detail,
+              insertText: item.insertText,
+              insertTextRules: item.isSnippet
+                ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet
+                : undefined,
+              // Keep the order getCompletions chose, e.g. keys first
+              sortText: String(index).padStart(4, '0'),
+              range
+            }))
+          };
+        }
+      });
+    }
+
+    // Hover cards, go-to-definition, find-references and rename, answered
+    // from a symbol table over all files
+    if (!navigationProviders.current) {
+      const activeFileName = () => filesRef.current[activeFileRef.current]?.name;
+      const symbolTable = () => buildSymbolTable(filesRef.current);
+      const toPosition = (position) => ({ line: position.lineNumber, column: position.column });
+      const fileNameOf = (uri) => (uri.scheme === FILE_MODEL_SCHEME ? uri.path.slice(1) : activeFileName());
+
+      // The model holding a file: the editor's own for the open file, and one
+      // kept in step with the file's content for the others, so locations in
+      // them can be shown in peek views and opened
+      const modelOf = (fileName) => {
+        if (fileName === activeFileName() && editorRef.current) return editorRef.current.getModel();
+        const uri = monaco.Uri.from({ scheme: FILE_MODEL_SCHEME, path: `/${fileName}` });
+        const content = filesRef.current.find(file => file.name === fileName)?.content ?? '';
+        const model = monaco.editor.getModel(uri);
+        if (!model) return monaco.editor.createModel(content, 'datamodel', uri);
+        if (model.getValue() !== content) model.setValue(content);
+        return model;
+      };
+
+      navigationProviders.current = [
+        monaco.languages.registerHoverProvider('datamodel', {
+          provideHover: (model, position) => {
+            const hover = hoverAt(symbolTable(), fileNameOf(model.uri), toPosition(position), lastValidation.current.result);
+            return hover && { range: toMonacoRange(hover.range), contents: [{ value: hover.contents }] };
+          }
+        }),
+        monaco.languages.registerDefinitionProvider('datamodel', {
+          provideDefinition: (model, position) => {
+            const found = symbolAt(symbolTable(), fileNameOf(model.uri), toPosition(position));
+            if (!found) return null;
+            return { uri: modelOf(found.symbol.file).uri, range: toMonacoRange(found.symbol.range) };
+          }
+        }),
+        monaco.languages.registerReferenceProvider('datamodel', {
+          provideReferences: (model, position, context) => {
+            const table = symbolTable();
+            const found = symbolAt(table, fileNameOf(model.uri), toPosition(position));
+            if (!found) return [];
+            // References in every file, grouped by file in tab order
+            const fileOrder = filesRef.current.map(file => file.name);
+            return findReferences(table, found.symbol.key, { includeDeclaration: context.includeDeclaration })
+              .sort((a, b) =>
+                fileOrder.indexOf(a.file) - fileOrder.indexOf(b.file) ||
+                a.range.start.line - b.range.start.line ||
+                a.range.start.column - b.range.start.column)
+              .map(reference => ({ uri: modelOf(reference.file).uri, range: toMonacoRange(reference.range) }));
+          }
+        }),
+        // Opening a location in another file, from go-to-definition or a
+        // references list, opens that file's tab; the effect on `activeFile`
+        // then reveals it. Locations in the open file are left to Monaco.
+        monaco.editor.registerEditorOpener({
+          openCodeEditor: (source, resource, selectionOrPosition) => {
+            if (resource.scheme !== FILE_MODEL_SCHEME) return false;
+            const index = filesRef.current.findIndex(file => file.name === fileNameOf(resource));
+            if (index === -1) return false;
+            pendingReveal.current = selectionOrPosition ?? { lineNumber: 1, column: 1 };
+            if (index === activeFileRef.current) revealPending();
+            else setActiveFile(index);
+            return true;
+          }
+        }),
+        monaco.languages.registerRenameProvider('datamodel', {
+          resolveRenameLocation: (model, position) => {
+            const found = symbolAt(symbolTable(), activeFileName(), toPosition(position));
+            if (!found) {
+              const word = model.getWordAtPosition(position);
+              return {
+                range: {
+                  startLineNumber: position.lineNumber,
+                  startColumn: word?.startColumn ?? position.column,
+                  endLineNumber: position.lineNumber,
+                  endColumn: word?.endColumn ?? position.column
+                },
+                text: word?.word ?? '',
+                rejectReason: 'Only entities, enums, type aliases and fields can be renamed'
+              };
+            }
+            return { range: toMonacoRange(found.range), text: found.symbol.name };
+          },
+          provideRenameEdits: (model, position, newName) => {
+            const fileName = activeFileName();
+            const result = renameSymbol(symbolTable(), fileName, toPosition(position), newName);
+            if (result.error) return { edits: [], rejectReason: result.error };
+
+            // Other files are updated in place; the open one goes through the
+            // editor so the rename can be undone
+            const otherEdits = result.edits.filter(edit => edit.file !== fileName);
+            if (otherEdits.length > 0) {
+              setFiles(previous => previous.map(file => {
+                const edits = otherEdits.filter(edit => edit.file === file.name);
+                return edits.length > 0 ? { ...file, content: applyEdits(file.content, edits) } : file;
+              }));
+              setHasLocalChanges(true);
+            }
+            return {
+              edits: result.edits
+                .filter(edit => edit.file === fileName)
+                .map(edit => ({
+                  resource: model.uri,
+                  textEdit: { range: toMonacoRange(edit.range), text: edit.text },
+                  versionId: model.getVersionId()
+                }))
+            };
+          }
+        })
+      ];
+    }
 
     // Add a reference to monaco for use in validation
     window.monaco = monaco;
@@ -224,45 +899,57 @@ const CodeEditor = ({ dataModelId, modelData }) => {
           value={value}
           onChange={handleChange}
           beforeMount={handleEditorWillMount}
+          onMount={(editor) => { editorRef.current = editor; }}
           options={editorOptions}
         />
       );
     };
   }, [isFullScreen, handleChange, handleEditorWillMount, editorOptions]); // Remove editorValue from dependencies
 
-  const validateSchema = (schema) => {
+  // Diagnostics of multi-file schemas carry the file they belong to
+  const activeFileDiagnostics = (diagnostics) => (
+    files.length > 1
+      ? diagnostics.filter(diagnostic => diagnostic.file === files[activeFile]?.name)
+      : diagnostics
+  );
+
+  const validateSchema = (schemaFiles) => {
     try {
-      const result = parseDataModelSchema(schema);
+      const result = schemaFiles.length > 1
+        ? parseDataModelFiles(schemaFiles)
+        : parseDataModelSchema(schemaFiles[0].content);
       
-      // Clear existing markers first
+      // Replace existing markers with the current errors, warnings and lint
+      // results; only valid schemas are linted
+      const lintDiagnostics = lintSchema(result, lintConfig);
+      lastValidation.current = { result, fileName: schemaFiles.length > 1 ? schemaFiles[activeFile]?.name : null };
       const monaco = window.monaco;
-      const model = monaco?.editor?.getModels()[0];
+      const model = editorRef.current?.getModel();
       if (model) {
-        monaco.editor.setModelMarkers(model, 'owner', []);
+        monaco.editor.setModelMarkers(
+          model,
+          'owner',
+          toMarkers(monaco, activeFileDiagnostics([...result.diagnostics, ...lintDiagnostics]))
+        );
+      }
+
+      // Highlight declared type aliases like built-in types
+      const aliasNames = Object.keys(result.aliases);
+      if (monaco && aliasNames.join(',') !== highlightedTypes.current) {
+        highlightedTypes.current = aliasNames.join(',');
+        monaco.languages.setMonarchTokensProvider('datamodel', createLanguageDefinition(aliasNames));
       }
+      setUserTypes(Object.entries(result.aliases).map(([name, alias]) => ({ name, definition: alias.definition })));
 
-      // If there are validation errors, show them in the editor
+      // Errors block saving, and so do lint results at the severity the lint
+      // config blocks on; everything else stays as editor markers
       if (!result.isValid) {
-        if (model) {
-          const markers = result.errors.map(error => {
-            const match = error.match(/Line (\d+):/);
-            const lineNumber = match ? parseInt(match[1]) : 1;
-            const lineContent = model.getLineContent(lineNumber);
-            
-            return {
-              severity: monaco.MarkerSeverity.Error,
-              message: error.replace(/Line \d+: /, ''),
-              startLineNumber: lineNumber,
-              startColumn: 1,
-              endLineNumber: lineNumber,
-              endColumn: lineContent.length + 1
-            };
-          });
-          
-          monaco.editor.setModelMarkers(model, 'owner', markers);
-        }
         throw new Error(result.errors[0]);
       }
+      const [blocking] = blockingDiagnostics(lintDiagnostics, lintConfig);
+      if (blocking) {
+        throw new Error(formatDiagnostic(blocking));
+      }
 
       setParseError(null);
       return result;
@@ -276,14 +963,20 @@ const CodeEditor = ({ dataModelId, modelData }) => {
   const handleSave = async () => {
     if (!parseError) {
       try {
-        await saveDataModelSchema({
-          dataModelId,
-          schema: editorValue
-        });
+        await saveDataModelSchema(files.length > 1
+          ? { dataModelId, files }
+          : { dataModelId, schema: files[0].content });
         setHasLocalChanges(false);
       } catch (error) {
+        // Server-side validation errors come with positioned diagnostics
+        const monaco = window.monaco;
+        const model = editorRef.current?.getModel();
+        if (model && error?.data?.diagnostics) {
+          monaco.editor.setModelMarkers(model, 'owner', toMarkers(monaco, activeFileDiagnostics(error.data.diagnostics)));
+        }
         // Ensure we get the deepest error message possible
         const errorMessage = 
+          error?.data?.details?.[0] || // Schema validation error
           error?.response?.data?.message || // API error message
           error?.message || // Error object message
           error?.toString() || // Stringified error
@@ -293,20 +986,70 @@ const CodeEditor = ({ dataModelId, modelData }) => {
     }
   };
 
+  const exportFormat = EXPORT_FORMATS.find(format => format.id === exportFormatId);
+
+  const handleDownload = async () => {
+    try {
+      const { fileName, content } = await exportFormat.run({ dataModelId });
+      downloadFile(fileName, content, exportFormat.type);
+    } catch (error) {
+      setParseError(error?.message || 'An error occurred while exporting the schema');
+    }
+  };
+
+  const handleSaveLintConfig = async (newLintConfig) => {
+    try {
+      await updateDataModel({ dataModelId, lintConfig: newLintConfig });
+      setLintConfig(newLintConfig);
+      setIsLintSettingsOpen(false);
+    } catch (error) {
+      setParseError(error?.message || 'An error occurred while saving the lint rules');
+    }
+  };
+
   const handleRevert = () => {
-    if (modelData?.schema) {
-      setEditorValue(modelData.schema);
+    if (modelData) {
+      setFiles(toEditorFiles(modelData));
+      setActiveFile(0);
       setHasLocalChanges(false);
       setParseError(null);
     }
   };
 
   const handleApplyExample = (exampleSchema) => {
-    setEditorValue(exampleSchema);
+    handleChange(exampleSchema);
+  };
+
+  // The active tab is set from the updated list, not the `files` of this
+  // render, which is stale when several updates are batched together
+  const handleAddFile = (name) => {
+    setFiles(previous => {
+      const updated = [...previous, { name, content: '' }];
+      setActiveFile(updated.length - 1);
+      return updated;
+    });
     setHasLocalChanges(true);
-    validateSchema(exampleSchema);
   };
 
+  const handleRemoveFile = (index) => {
+    setFiles(previous => {
+      setActiveFile(current => Math.max(0, current > index || current === previous.length - 1 ? current - 1 : current));
+      return previous.filter((file, fileIndex) => fileIndex !== index);
+    });
+    setHasLocalChanges(true);
+  };
+
+  const fileTabs = (
+    <FileTabs
+      files={files}
+      activeFile={activeFile}
+      onSelect={setActiveFile}
+      onAdd={handleAddFile}
+      onRemove={handleRemoveFile}
+    />
+  );
+  const editorValue = files[activeFile]?.content ?? '';
+
   return (
     <>
       <div className='w-1/2 bg-white rounded-lg shadow p-4'>
@@ -346,8 +1089,30 @@ const CodeEditor = ({ dataModelId, modelData }) => {
             >
               Save Changes
             </button>
+            {/* The export is built from the saved model */}
+            <div className='flex'>
+              <select
+                className='border rounded-l px-2 text-sm text-gray-600'
+                aria-label="Export format"
+                value={exportFormatId}
+                onChange={(event) => setExportFormatId(event.target.value)}
+              >
+                {EXPORT_FORMATS.map(format => (
+                  <option key={format.id} value={format.id}>{format.label}</option>
+                ))}
+              </select>
+              <button
+                className='text-gray-600 px-4 py-2 rounded-r border border-l-0 hover:bg-gray-100 disabled:text-gray-300'
+                onClick={handleDownload}
+                disabled={hasLocalChanges}
+                title={hasLocalChanges ? 'Save your changes to include them in the export' : `Download ${exportFormat.label}`}
+              >
+                Download
+              </button>
+            </div>
           </div>
         </div>
+        {fileTabs}
         <MemoizedEditor value={editorValue} />
         <div className='mt-4 text-sm text-gray-600'>
           <button
@@ -358,10 +1123,24 @@ const CodeEditor = ({ dataModelId, modelData }) => {
             <QuestionMarkCircleIcon className="h-5 w-5" />
             <span className='ml-2'>Schema Hints</span>
           </button>
+          <button
+            className='inline-flex items-center text-gray-600 hover:text-gray-800 ml-4'
+            onClick={() => setIsLintSettingsOpen(true)}
+          >
+            Lint Rules
+          </button>
           
           <SchemaHintsModal
             isOpen={isHintVisible}
             onClose={() => setIsHintVisible(false)}
+            userTypes={userTypes}
+          />
+          <LintSettingsModal
+            isOpen={isLintSettingsOpen}
+            onClose={() => setIsLintSettingsOpen(false)}
+            lintConfig={lintConfig}
+            onSave={handleSaveLintConfig}
+            hasUnsavedSchema={hasLocalChanges}
           />
         </div>
       </div>
@@ -412,6 +1191,7 @@ const CodeEditor = ({ dataModelId, modelData }) => {
               </div>
             </div>
             <div className="flex-1 p-4 overflow-hidden">
+              {fileTabs}
               <MemoizedEditor value={editorValue} />
             </div>
             <div className="p-4 border-t">
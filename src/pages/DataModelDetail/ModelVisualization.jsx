@@ -5,35 +5,74 @@ import ReactFlow, {
   Handle,
   Position,
   MarkerType,
+  BaseEdge,
+  EdgeLabelRenderer,
+  getSmoothStepPath,
 } from 'reactflow';
 import 'reactflow/dist/style.css';
+import { formatTypeParams } from '../../lib/modelParser';
+import { describeValidationConstraints } from '../../lib/fieldConstraints';
 
 // Custom node component for entities with field-specific handles
 const EntityNode = ({ data }) => (
   <div className="min-w-[200px] bg-white border-2 border-blue-200 rounded-lg p-4 shadow-lg">
     <div className="font-bold text-lg text-blue-800 border-b-2 border-blue-100 pb-2 mb-2">
-      {data.name}
+      {/* Descriptions come from `///` doc comments in the schema */}
+      <span
+        className={data.description ? 'cursor-help underline decoration-dotted' : undefined}
+        title={data.description || undefined}
+      >
+        {data.name}
+      </span>
+      {data.inherits && (
+        <div className="text-xs font-medium text-blue-500">
+          {data.inherits}
+        </div>
+      )}
+      {data.joinFor && (
+        <div className="text-xs font-medium text-blue-500">
+          join table for {data.joinFor}
+        </div>
+      )}
     </div>
     {data.fields.map((field, index) => (
       <div key={index} className="text-sm py-1 flex flex-col relative">
         <div className="flex justify-between items-center">
-          <span className="text-gray-700">
+          <span
+            className={`${field.inheritedFrom ? 'text-gray-400' : 'text-gray-700'}${field.description ? ' cursor-help underline decoration-dotted' : ''}`}
+            title={field.description || undefined}
+          >
             {field.name}
             {field.isPrimary && ' 🔑'}
             {field.isUnique && ' 🎯'}
             {field.isIndex && ' 📇'}
           </span>
-          <span className="text-gray-500 italic">
+          <span
+            className="text-gray-500 italic"
+            title={field.typeAlias ? `${field.typeAlias.name} = ${field.typeAlias.definition}` : undefined}
+          >
+            {field.typeAlias && `${field.typeAlias.name} · `}
             {field.enumValues 
               ? `enum(${JSON.parse(field.enumValues).join(',')})`
-              : field.fieldType}
+              : field.fieldType + formatTypeParams(field.typeParams)}
+            {field.isArray && '[]'}
           </span>
         </div>
+        {field.inheritedFrom && (
+          <span className="text-xs text-gray-400">
+            from {field.inheritedFrom}
+          </span>
+        )}
         {field.defaultValue && (
           <span className="text-xs text-gray-400">
             default: {field.defaultValue}
           </span>
         )}
+        {describeValidationConstraints(field.constraints).map((description) => (
+          <span key={description} className="text-xs text-emerald-600">
+            ✓ {description}
+          </span>
+        ))}
         <Handle 
           id={`${field.id}-target`}
           type="target" 
@@ -50,11 +89,102 @@ const EntityNode = ({ data }) => (
         />
       </div>
     ))}
+    {data.constraints?.length > 0 && (
+      <div className="border-t-2 border-blue-100 mt-2 pt-2 space-y-1">
+        {data.constraints.map((constraint, index) => (
+          <div key={index} className="text-xs text-gray-500">
+            <span className="font-medium text-blue-700">
+              {constraint.type === 'id' && '🔑 '}
+              {constraint.type === 'unique' && '🎯 '}
+              {constraint.type === 'index' && '📇 '}
+              @@{constraint.type}
+            </span>
+            {' '}({constraint.fields.join(', ')})
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+// Custom node component for named enum declarations
+const EnumNode = ({ data }) => (
+  <div className="min-w-[160px] bg-white border-2 border-amber-200 rounded-lg p-4 shadow-lg">
+    <Handle
+      type="target"
+      position={Position.Left}
+      className="!bg-amber-400 !w-2 !h-2"
+    />
+    <div className="font-bold text-lg text-amber-800 border-b-2 border-amber-100 pb-2 mb-2">
+      <span className="text-xs font-medium text-amber-600 mr-2">enum</span>
+      {data.name}
+    </div>
+    {data.values.map((value) => (
+      <div key={value} className="text-sm py-1 text-gray-700">
+        {value}
+      </div>
+    ))}
   </div>
 );
 
 const nodeTypes = {
   entity: EntityNode,
+  enum: EnumNode,
+};
+
+// Relation edge with the cardinality of each end, e.g. "n" at Post and "1" at User
+const CardinalityBadge = ({ x, y, value }) => (
+  <div
+    className="absolute text-xs font-bold text-blue-700 bg-white border border-blue-200 rounded px-1 nodrag nopan"
+    style={{ transform: `translate(-50%, -50%) translate(${x}px, ${y}px)` }}
+  >
+    {value}
+  </div>
+);
+
+const RelationEdge = ({
+  id,
+  sourceX,
+  sourceY,
+  targetX,
+  targetY,
+  sourcePosition,
+  targetPosition,
+  label,
+  data,
+  style,
+  markerStart,
+  markerEnd,
+}) => {
+  const [edgePath, labelX, labelY] = getSmoothStepPath({
+    sourceX,
+    sourceY,
+    sourcePosition,
+    targetX,
+    targetY,
+    targetPosition,
+  });
+  const [sourceEnd, targetEnd] = data.cardinality.split(':');
+
+  return (
+    <>
+      <BaseEdge id={id} path={edgePath} style={style} markerStart={markerStart} markerEnd={markerEnd} />
+      <EdgeLabelRenderer>
+        <div
+          className="absolute text-xs font-semibold text-blue-800 bg-white/80 rounded px-2 py-1 nodrag nopan"
+          style={{ transform: `translate(-50%, -50%) translate(${labelX}px, ${labelY}px)` }}
+        >
+          {label}
+        </div>
+        <CardinalityBadge x={sourceX + 16} y={sourceY - 12} value={sourceEnd} />
+        <CardinalityBadge x={targetX - 16} y={targetY - 12} value={targetEnd} />
+      </EdgeLabelRenderer>
+    </>
+  );
+};
+
+const edgeTypes = {
+  relation: RelationEdge,
 };
 
 // Default edge styling
@@ -82,19 +212,29 @@ const defaultEdgeOptions = {
   },
 };
 
+// e.g. "Post ⇄ Tag" for the join entity of Post.tags
+const joinedEntitiesLabel = (relation, entities) => {
+  const nameOf = (id) => entities.find(entity => entity.id === id)?.name;
+  return `${nameOf(relation.fromEntityId)} ⇄ ${nameOf(relation.toEntityId)}`;
+};
+
 const ModelVisualization = ({ modelData }) => {
   const [mounted, setMounted] = React.useState(false);
   const { nodes, edges } = useMemo(() => {
     if (!modelData?.entities) return { nodes: [], edges: [] };
 
+    // Abstract entities and mixins are not tables; their fields show on the
+    // entities that inherit them
+    const entities = modelData.entities.filter(entity => !entity.kind || entity.kind === 'entity');
+
     // Create a map of entity IDs to their fields for easier lookup
-    const entityFieldsMap = modelData.entities.reduce((acc, entity) => {
+    const entityFieldsMap = entities.reduce((acc, entity) => {
       acc[entity.id] = entity.fields;
       return acc;
     }, {});
 
     // Calculate connections and create nodes (same as before)
-    const connectionCounts = modelData.entities.reduce((acc, entity) => {
+    const connectionCounts = entities.reduce((acc, entity) => {
       acc[entity.id] = {
         incoming: 0,
         outgoing: entity.fromRelations.length
@@ -103,7 +243,7 @@ const ModelVisualization = ({ modelData }) => {
     }, {});
 
     // Count incoming connections
-    modelData.entities.forEach(entity => {
+    entities.forEach(entity => {
       entity.fromRelations.forEach(relation => {
         if (connectionCounts[relation.toEntityId]) {
           connectionCounts[relation.toEntityId].incoming++;
@@ -112,7 +252,7 @@ const ModelVisualization = ({ modelData }) => {
     });
 
     // Sort entities based on their connections (most connected first)
-    const sortedEntities = [...modelData.entities].sort((a, b) => {
+    const sortedEntities = [...entities].sort((a, b) => {
       const aConnections = connectionCounts[a.id].incoming + connectionCounts[a.id].outgoing;
       const bConnections = connectionCounts[b.id].incoming + connectionCounts[b.id].outgoing;
       return bConnections - aConnections;
@@ -134,18 +274,76 @@ const ModelVisualization = ({ modelData }) => {
         },
         data: {
           name: entity.name,
+          description: entity.description,
           fields: entity.fields,
+          constraints: entity.constraints || [],
+          inherits: [
+            entity.baseEntity && `extends ${entity.baseEntity}`,
+            entity.mixins?.length > 0 && `uses ${entity.mixins.join(', ')}`,
+          ].filter(Boolean).join(' · '),
+          joinFor: entity.joinForRelations?.[0]
+            ? joinedEntitiesLabel(entity.joinForRelations[0], entities)
+            : null,
         },
       };
     });
 
-    // Create edges with field-specific connections
-    const edges = modelData.entities.flatMap(entity => 
+    // Place named enums in a row below the entity circle
+    const entityRadius = Math.min(sortedEntities.length * 150, 800);
+    const enums = modelData.enums || [];
+    const enumNodes = enums.map((modelEnum, index) => ({
+      id: `enum-${modelEnum.id}`,
+      type: 'enum',
+      position: {
+        x: index * 250,
+        y: entityRadius * 2 + 400
+      },
+      data: {
+        name: modelEnum.name,
+        values: modelEnum.values,
+      },
+    }));
+
+    // Connect fields to the named enums they use
+    const enumEdges = entities.flatMap(entity =>
+      entity.fields
+        .filter(field => field.enumId)
+        .map(field => ({
+          id: `enum-${field.id}`,
+          source: entity.id.toString(),
+          target: `enum-${field.enumId}`,
+          sourceHandle: `${field.id}-source`,
+          type: 'smoothstep',
+          animated: false,
+          style: {
+            stroke: '#fcd34d', // amber-300
+            strokeWidth: 1.5,
+            strokeDasharray: '4 4',
+          },
+          markerEnd: {
+            type: MarkerType.ArrowClosed,
+            color: '#fcd34d',
+          },
+        }))
+    );
+
+    // Create edges with field-specific connections. The foreign keys of join
+    // entities are left out: their n:n relation is already drawn as one edge.
+    const edges = entities.filter(entity => !entity.joinForRelations?.length).flatMap(entity =>
       entity.fromRelations.map(relation => {
-        // Find the related fields in both entities
+        // Find the related fields in both entities; paired relations end at the back-reference
         const sourceField = entity.fields.find(f => f.id === relation.fromFieldId);
-        const targetEntity = modelData.entities.find(e => e.id === relation.toEntityId);
-        const targetField = targetEntity?.fields.find(f => f.id === relation.toFieldId);
+        const targetEntity = entities.find(e => e.id === relation.toEntityId);
+        const targetField = targetEntity?.fields.find(f =>
+          f.id === (relation.inverseFieldId ?? relation.toFieldId)
+        );
+        const isManyToMany = relation.cardinality === 'n:n';
+
+        // Append referential actions, e.g. "onDelete: cascade"
+        const actions = [
+          relation.onDelete && `onDelete: ${relation.onDelete}`,
+          relation.onUpdate && `onUpdate: ${relation.onUpdate}`,
+        ].filter(Boolean);
 
         return {
           id: relation.id.toString(),
@@ -153,11 +351,20 @@ const ModelVisualization = ({ modelData }) => {
           target: relation.toEntityId.toString(),
           sourceHandle: `${sourceField?.id}-source`,
           targetHandle: `${targetField?.id}-target`,
-          label: `${relation.name} (${relation.cardinality})`,
-          type: 'smoothstep',
+          label: relation.name +
+            (relation.joinEntity ? ` via ${relation.joinEntity.name}` : '') +
+            (actions.length > 0 ? ` · ${actions.join(', ')}` : ''),
+          type: 'relation',
           animated: true,
-          labelBgPadding: [8, 4],
-          labelBgBorderRadius: 4,
+          data: {
+            cardinality: relation.cardinality,
+          },
+          ...(isManyToMany && {
+            markerStart: {
+              type: MarkerType.ArrowClosed,
+              color: '#93c5fd',
+            },
+          }),
           style: {
             strokeWidth: 2,
           },
@@ -165,7 +372,10 @@ const ModelVisualization = ({ modelData }) => {
       })
     );
 
-    return { nodes, edges };
+    return {
+      nodes: [...nodes, ...enumNodes],
+      edges: [...edges, ...enumEdges]
+    };
   }, [modelData]);
 
   useEffect(() => {
@@ -181,6 +391,7 @@ const ModelVisualization = ({ modelData }) => {
             nodes={nodes}
             edges={edges}
             nodeTypes={nodeTypes}
+            edgeTypes={edgeTypes}
             defaultEdgeOptions={defaultEdgeOptions}
             fitView
             fitViewOptions={{ padding: 0.2 }}
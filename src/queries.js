@@ -1,4 +1,5 @@
 import { HttpError } from 'wasp/server'
+import { SAVED_SCHEMA_INCLUDE, savedSchemaText } from './lib/schemaRows'
 
 export const getDataModels = async (args, context) => {
   if (!context.user) { throw new HttpError(401) }
@@ -32,106 +33,16 @@ export const getDataModelSchema = async ({ dataModelId }, context) => {
     where: { 
       id: parseInt(dataModelId) 
     },
-    include: {
-      entities: {
-        include: {
-          fields: {
-            include: {
-              fromRelations: true,
-              toRelations: true
-            }
-          },
-          fromRelations: {
-            include: {
-              fromField: true,
-              toField: true,
-              toEntity: true
-            }
-          },
-          toRelations: {
-            include: {
-              fromField: true,
-              toField: true,
-              fromEntity: true
-            }
-          }
-        }
-      }
-    }
+    include: SAVED_SCHEMA_INCLUDE
   });
 
   if (!dataModel) { throw new HttpError(404, 'DataModel not found') };
   if (dataModel.userId !== context.user.id) { throw new HttpError(403) };
 
-  // Convert the database model back to DSL format
-  let schema = '';
-  
-  for (const entity of dataModel.entities) {
-    schema += `entity ${entity.name} {\n`;
-    
-    // Add regular fields
-    for (const field of entity.fields) {
-      // Skip fields that are part of relations as they'll be handled separately
-      if (!field.fromRelations || field.fromRelations.length === 0) {
-        let fieldLine = `  ${field.name}: `;
-
-        // Handle enum type
-        if (field.enumValues) {
-          const enumValues = JSON.parse(field.enumValues);
-          fieldLine += `enum(${enumValues.join(',')})`;
-        } else {
-          fieldLine += field.fieldType;
-        }
-
-        // Add modifiers
-        const modifiers = [];
-        if (field.isPrimary) modifiers.push('@primary');
-        if (field.isUnique) modifiers.push('@unique');
-        if (field.isIndex) modifiers.push('@index');
-        if (!field.isRequired) modifiers.push('@nullable(true)');
-        if (field.defaultValue) modifiers.push(`@default(${field.defaultValue})`);
-
-        // Add modifiers to the field line if any exist
-        if (modifiers.length > 0) {
-          fieldLine += ' ' + modifiers.join(' ');
-        }
-
-        schema += fieldLine + '\n';
-      }
-    }
-
-    // Add relation fields
-    for (const relation of entity.fromRelations) {
-      const baseType = relation.toEntity.name;
-      const referencedField = relation.toField.name !== 'id' 
-        ? `.${relation.toField.name}` 
-        : '';
-      const fieldType = baseType + referencedField + (relation.cardinality === '1:n' ? '[]' : '');
-      
-      let fieldLine = `  ${relation.fromField.name}: ${fieldType}`;
-
-      // Add modifiers for relation fields
-      const modifiers = [];
-      if (!relation.fromField.isRequired) modifiers.push('@nullable(true)');
-      if (relation.fromField.isUnique) modifiers.push('@unique');
-      if (relation.fromField.isIndex) modifiers.push('@index');
-      if (relation.fromField.defaultValue) {
-        modifiers.push(`@default(${relation.fromField.defaultValue})`);
-      }
-
-      // Add modifiers to the field line if any exist
-      if (modifiers.length > 0) {
-        fieldLine += ' ' + modifiers.join(' ');
-      }
-
-      schema += fieldLine + '\n';
-    }
-    
-    schema += '}\n\n';
-  }
-
+  const { schema, files } = savedSchemaText(dataModel);
   return {
-    schema: schema.trim(),
+    schema,
+    files,
     dataModel
   };
 };
@@ -0,0 +1,26 @@
+// Fixtures shared by the tests
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+export const readFixture = (...parts) => fs.readFileSync(path.join(FIXTURES, ...parts), 'utf8');
+
+// Single-file schemas as [{ name, source }], and multi-file schemas as
+// [{ name, files: [{ name, content }] }] in the order the files are saved
+export const fixtureSchemas = () => {
+  const directory = path.join(FIXTURES, 'schemas');
+  const entries = fs.readdirSync(directory, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+  return {
+    single: entries.filter(entry => entry.isFile()).map(entry => ({
+      name: entry.name,
+      source: readFixture('schemas', entry.name)
+    })),
+    multiFile: entries.filter(entry => entry.isDirectory()).map(entry => ({
+      name: entry.name,
+      files: JSON.parse(readFixture('schemas', entry.name, 'files.json'))
+        .map(name => ({ name, content: readFixture('schemas', entry.name, name) }))
+    }))
+  };
+};
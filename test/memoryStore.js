@@ -0,0 +1,112 @@
+// An in-memory stand-in for the Prisma client, with the models, relations and
+// column defaults of schema.prisma that saving and loading a schema use:
+// create, update, deleteMany and findUnique with nested `include`.
+
+// Relation fields as [model, foreign key, 'one' | 'many']; 'one' relations
+// hold the key themselves, 'many' relations are the rows holding it
+const RELATIONS = {
+  DataModel: {
+    entities: ['ModelEntity', 'dataModelId', 'many'],
+    schemaFiles: ['SchemaFile', 'dataModelId', 'many'],
+    enums: ['ModelEnum', 'dataModelId', 'many'],
+    typeAliases: ['ModelTypeAlias', 'dataModelId', 'many'],
+    relations: ['Relation', 'dataModelId', 'many']
+  },
+  ModelEntity: {
+    schemaFile: ['SchemaFile', 'schemaFileId', 'one'],
+    fields: ['Field', 'entityId', 'many'],
+    fromRelations: ['Relation', 'fromEntityId', 'many'],
+    toRelations: ['Relation', 'toEntityId', 'many'],
+    joinForRelations: ['Relation', 'joinEntityId', 'many']
+  },
+  Field: {
+    entity: ['ModelEntity', 'entityId', 'one'],
+    enum: ['ModelEnum', 'enumId', 'one'],
+    typeAlias: ['ModelTypeAlias', 'typeAliasId', 'one'],
+    fromRelations: ['Relation', 'fromFieldId', 'many'],
+    toRelations: ['Relation', 'toFieldId', 'many'],
+    inverseRelations: ['Relation', 'inverseFieldId', 'many']
+  },
+  ModelEnum: {},
+  ModelTypeAlias: {},
+  SchemaFile: {},
+  Relation: {
+    fromEntity: ['ModelEntity', 'fromEntityId', 'one'],
+    toEntity: ['ModelEntity', 'toEntityId', 'one'],
+    fromField: ['Field', 'fromFieldId', 'one'],
+    toField: ['Field', 'toFieldId', 'one'],
+    inverseField: ['Field', 'inverseFieldId', 'one'],
+    joinEntity: ['ModelEntity', 'joinEntityId', 'one']
+  }
+};
+
+const DEFAULTS = {
+  ModelEntity: { kind: 'entity' },
+  Field: { isArray: false, isRequired: false, isUnique: false, isIndex: false, isPrimary: false }
+};
+
+export const createMemoryStore = () => {
+  const tables = Object.fromEntries(Object.keys(RELATIONS).map(model => [model, []]));
+  let nextId = 1;
+
+  const matches = (model, row, where) => Object.entries(where).every(([key, value]) => {
+    const relation = RELATIONS[model][key];
+    if (relation) {
+      const [target, foreignKey] = relation;
+      return tables[target].some(candidate => candidate.id === row[foreignKey] && matches(target, candidate, value));
+    }
+    return row[key] === value;
+  });
+
+  const withIncludes = (model, row, include) => {
+    const result = { ...row };
+    for (const [key, options] of Object.entries(include || {})) {
+      const [target, foreignKey, kind] = RELATIONS[model][key];
+      const nested = options === true ? null : options.include;
+      if (kind === 'one') {
+        const related = tables[target].find(candidate => candidate.id === row[foreignKey]);
+        result[key] = related ? withIncludes(target, related, nested) : null;
+      } else {
+        result[key] = tables[target]
+          .filter(candidate => candidate[foreignKey] === row.id)
+          .map(candidate => withIncludes(target, candidate, nested));
+      }
+    }
+    return result;
+  };
+
+  // Unset columns read back as null, like nullable columns in the database
+  const delegate = (model) => ({
+    create: async ({ data }) => {
+      const row = { ...DEFAULTS[model], id: nextId++ };
+      for (const [key, value] of Object.entries(data)) {
+        if (value !== undefined) row[key] = value;
+        else if (!(key in row)) row[key] = null;
+      }
+      tables[model].push(row);
+      return { ...row };
+    },
+    update: async ({ where, data }) => {
+      const row = tables[model].find(candidate => matches(model, candidate, where));
+      Object.assign(row, data);
+      return { ...row };
+    },
+    deleteMany: async ({ where }) => {
+      const count = tables[model].length;
+      tables[model] = tables[model].filter(row => !matches(model, row, where));
+      return { count: count - tables[model].length };
+    },
+    findUnique: async ({ where, include }) => {
+      const row = tables[model].find(candidate => matches(model, candidate, where));
+      return row ? withIncludes(model, row, include) : null;
+    }
+  });
+
+  const store = { tables };
+  for (const model of Object.keys(RELATIONS)) {
+    store[model] = delegate(model);
+    // Prisma also names delegates in camelCase, e.g. `dataModel`
+    store[model.charAt(0).toLowerCase() + model.slice(1)] = store[model];
+  }
+  return store;
+};
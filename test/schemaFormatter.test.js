@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSchema } from '../src/lib/schemaParser.js';
+import { formatSchema, printSchema, createEntity, createField, createAttribute, createEnum } from '../src/lib/schemaFormatter.js';
+import { fixtureSchemas } from './helpers.js';
+
+const POSITION_KEYS = ['range', 'nameRange', 'pathRanges'];
+
+// The AST without positions, with comments as text and modifiers in a fixed
+// order, which is what formatting may change
+const meaningOf = (source) => {
+  const { ast } = parseSchema(source);
+  const strip = (value) => {
+    if (Array.isArray(value)) return value.map(strip);
+    if (!value || typeof value !== 'object') return value;
+    const stripped = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (POSITION_KEYS.includes(key)) continue;
+      stripped[key] = key === 'modifiers'
+        ? strip([...child].sort((a, b) => a.name.localeCompare(b.name)))
+        : strip(child);
+    }
+    return stripped;
+  };
+  return {
+    ...strip(ast),
+    comments: ast.comments.map(comment => ({ kind: comment.kind, text: comment.text }))
+  };
+};
+
+const { single, multiFile } = fixtureSchemas();
+const sources = [
+  ...single,
+  ...multiFile.flatMap(schema => schema.files.map(file => ({ name: `${schema.name}/${file.name}`, source: file.content })))
+];
+
+describe('formatSchema', () => {
+  for (const { name, source } of sources) {
+    describe(name, () => {
+      const formatted = formatSchema(source);
+
+      it('formats', () => {
+        assert.equal(typeof formatted, 'string');
+        assert.deepEqual(parseSchema(formatted).diagnostics, []);
+      });
+
+      it('is idempotent', () => {
+        assert.equal(formatSchema(formatted), formatted);
+      });
+
+      it('keeps the meaning and the comments', () => {
+        assert.deepEqual(meaningOf(formatted), meaningOf(source));
+      });
+    });
+  }
+
+  it('aligns fields and orders modifiers', () => {
+    const formatted = formatSchema('entity A { id: ID @primary\n    longName:string @index   @unique // note\n}');
+    assert.equal(formatted, [
+      'entity A {',
+      '  id:       ID     @primary',
+      '  longName: string @unique @index // note',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  it('keeps blank lines between fields and declarations, but only one', () => {
+    const formatted = formatSchema('entity A {\n  a: int\n\n\n  b: int\n}\n\n\n\nentity B {\n  c: int\n}\n');
+    assert.equal(formatted, 'entity A {\n  a: int\n\n  b: int\n}\n\nentity B {\n  c: int\n}\n');
+  });
+
+  it('keeps every comment of a field that spans several lines', () => {
+    const source = [
+      'entity User {',
+      '  id: ID @primary',
+      '  name: string // one',
+      '    @unique // two',
+      '  email: string // three',
+      '    // four',
+      '    @index',
+      '}',
+      ''
+    ].join('\n');
+    const formatted = formatSchema(source);
+    assert.equal(formatted, [
+      'entity User {',
+      '  id:    ID     @primary',
+      '  // one',
+      '  name:  string @unique  // two',
+      '  // three',
+      '  // four',
+      '  email: string @index',
+      '}',
+      ''
+    ].join('\n'));
+    assert.deepEqual(meaningOf(formatted), meaningOf(source));
+    assert.equal(formatSchema(formatted), formatted);
+  });
+
+  it('returns null for schemas with syntax errors', () => {
+    assert.equal(formatSchema('entity A {\n  id ID\n}'), null);
+  });
+});
+
+describe('printSchema', () => {
+  it('prints ASTs built from rows like parsed ones', () => {
+    const ast = {
+      imports: [],
+      declarations: [
+        createEnum('Status', ['active', 'archived']),
+        createEntity({
+          name: 'User',
+          description: 'Someone who signs in',
+          members: [
+            createField({ name: 'id', type: 'ID', modifiers: ['@default(uuid)', '@primary'] }),
+            createField({ name: 'status', type: 'Status', modifiers: ['@default(active)'], description: 'Lifecycle' }),
+            createAttribute('unique', ['id', 'status'])
+          ]
+        })
+      ]
+    };
+    const printed = printSchema(ast);
+    assert.equal(printed, [
+      'enum Status {',
+      '  active',
+      '  archived',
+      '}',
+      '',
+      '/// Someone who signs in',
+      'entity User {',
+      '  id:     ID     @primary @default(uuid)',
+      '  /// Lifecycle',
+      '  status: Status @default(active)',
+      '  @@unique([id, status])',
+      '}',
+      ''
+    ].join('\n'));
+    assert.equal(formatSchema(printed), printed);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize } from '../src/lib/schemaLexer.js';
+
+const valuesOf = (tokens) => tokens.map(token => [token.type, token.value]);
+
+describe('tokenize', () => {
+  it('splits identifiers, numbers, strings and punctuation', () => {
+    const { tokens, diagnostics } = tokenize('price: decimal(12, 2.5) @default("0") @@id([a])');
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(valuesOf(tokens), [
+      ['identifier', 'price'], ['punctuation', ':'], ['identifier', 'decimal'],
+      ['punctuation', '('], ['number', '12'], ['punctuation', ','], ['number', '2.5'], ['punctuation', ')'],
+      ['punctuation', '@'], ['identifier', 'default'], ['punctuation', '('], ['string', '0'], ['punctuation', ')'],
+      ['punctuation', '@@'], ['identifier', 'id'], ['punctuation', '('], ['punctuation', '['], ['identifier', 'a'],
+      ['punctuation', ']'], ['punctuation', ')'],
+      ['eof', '']
+    ]);
+  });
+
+  it('keeps unknown characters as symbol tokens', () => {
+    const { tokens } = tokenize('price > 0');
+    assert.deepEqual(valuesOf(tokens), [['identifier', 'price'], ['symbol', '>'], ['number', '0'], ['eof', '']]);
+  });
+
+  it('does not read a dot after a number without digits as a decimal', () => {
+    const { tokens } = tokenize('1.x');
+    assert.deepEqual(valuesOf(tokens), [['number', '1'], ['punctuation', '.'], ['identifier', 'x'], ['eof', '']]);
+  });
+
+  it('unescapes only quotes and backslashes in strings', () => {
+    const { tokens } = tokenize(String.raw`"^\d+$" 'it\'s' "a\\b"`);
+    assert.deepEqual(tokens.slice(0, 3).map(token => token.value), [String.raw`^\d+$`, 'it\'s', 'a\\b']);
+  });
+
+  it('reports unterminated strings at the end of the line', () => {
+    const { tokens, diagnostics } = tokenize('s: "abc\nnext');
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].code, 'unterminated-string');
+    assert.deepEqual(diagnostics[0].range, {
+      start: { line: 1, column: 4, offset: 3 },
+      end: { line: 1, column: 8, offset: 7 }
+    });
+    assert.deepEqual(valuesOf(tokens).slice(-2), [['identifier', 'next'], ['eof', '']]);
+  });
+
+  it('records 1-based ranges with exclusive ends', () => {
+    const { tokens } = tokenize('entity User {\n  id: ID\n}');
+    const id = tokens.find(token => token.value === 'id');
+    assert.deepEqual(id.range, {
+      start: { line: 2, column: 3, offset: 16 },
+      end: { line: 2, column: 5, offset: 18 }
+    });
+    const eof = tokens[tokens.length - 1];
+    assert.deepEqual(eof.range.start, { line: 3, column: 2, offset: 24 });
+  });
+
+  it('marks tokens that start a line', () => {
+    const { tokens } = tokenize('entity A {\n  x: int }');
+    assert.deepEqual(tokens.filter(token => token.newlineBefore).map(token => token.value), ['entity', 'x', '']);
+  });
+
+  it('returns comments separately and tells doc comments apart', () => {
+    const { tokens, comments } = tokenize('/// A user\nentity User { // trailing\n  //// banner\n}');
+    assert.deepEqual(valuesOf(tokens).map(([, value]) => value), ['entity', 'User', '{', '}', '']);
+    assert.deepEqual(comments.map(({ kind, text, ownLine }) => ({ kind, text, ownLine })), [
+      { kind: 'doc', text: 'A user', ownLine: true },
+      { kind: 'line', text: 'trailing', ownLine: false },
+      { kind: 'line', text: '// banner', ownLine: true }
+    ]);
+    assert.deepEqual(comments[1].range, {
+      start: { line: 2, column: 15, offset: 25 },
+      end: { line: 2, column: 26, offset: 36 }
+    });
+  });
+});
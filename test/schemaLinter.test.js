@@ -0,0 +1,326 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDataModelSchema, parseDataModelFiles } from '../src/lib/modelParser.js';
+import { LINT_RULES, lintSchema, blockingDiagnostics, ruleSeverity, lintConfigProblem } from '../src/lib/schemaLinter.js';
+
+// The messages one rule reports for `source`
+const reported = (ruleId, source, lintConfig) => {
+  const schema = parseDataModelSchema(source);
+  assert.deepEqual(schema.errors, []);
+  return lintSchema(schema, lintConfig)
+    .filter(diagnostic => diagnostic.code === ruleId)
+    .map(diagnostic => diagnostic.message);
+};
+
+// A schema that no rule reports on
+const CLEAN = [
+  'entity User {',
+  '  id: ID @primary',
+  '  posts: Post[]',
+  '}',
+  '',
+  'entity Post {',
+  '  id: ID @primary',
+  '  author: User @index',
+  '}'
+].join('\n');
+
+describe('lint rules', () => {
+  it('reports nothing on a clean schema', () => {
+    assert.deepEqual(lintSchema(parseDataModelSchema(CLEAN)), []);
+  });
+
+  describe('require-primary-key', () => {
+    it('reports entities without a primary key', () => {
+      assert.deepEqual(reported('require-primary-key', 'entity Note {\n  body: text\n}'), [
+        'Entity "Note" has no primary key; add e.g. id: ID @primary'
+      ]);
+    });
+
+    it('accepts @primary fields, inherited keys and @@id', () => {
+      assert.deepEqual(reported('require-primary-key', [
+        'abstract entity Base {',
+        '  id: ID @primary',
+        '}',
+        'entity Note extends Base {',
+        '  body: text',
+        '}',
+        'entity Tagging {',
+        '  noteId: string',
+        '  tag: string',
+        '  @@id([noteId, tag])',
+        '}'
+      ].join('\n')), []);
+    });
+
+    it('does not report abstract entities and mixins', () => {
+      assert.deepEqual(reported('require-primary-key', 'abstract entity Base {\n  createdAt: datetime\n}\n\nmixin Audited {\n  updatedBy: string\n}'), []);
+    });
+  });
+
+  describe('index-foreign-keys', () => {
+    const schemaWith = (authorField, attributes = '') => [
+      'entity User {',
+      '  id: ID @primary',
+      '}',
+      'entity Post {',
+      '  id: ID @primary',
+      `  ${authorField}`,
+      `  ${attributes}`,
+      '}'
+    ].join('\n');
+
+    it('reports references without an index', () => {
+      assert.deepEqual(reported('index-foreign-keys', schemaWith('author: User')), [
+        'Reference "Post.author" is not indexed; add @index'
+      ]);
+    });
+
+    it('accepts @index, @unique and composite keys that start with the field', () => {
+      assert.deepEqual(reported('index-foreign-keys', schemaWith('author: User @index')), []);
+      assert.deepEqual(reported('index-foreign-keys', schemaWith('author: User @unique')), []);
+      assert.deepEqual(reported('index-foreign-keys', schemaWith('author: User', '@@index([author, id])')), []);
+    });
+
+    it('does not report the list side of a relation', () => {
+      assert.deepEqual(reported('index-foreign-keys', CLEAN), []);
+    });
+  });
+
+  describe('naming-convention', () => {
+    it('reports declarations that are not PascalCase and fields that are not camelCase', () => {
+      assert.deepEqual(reported('naming-convention', [
+        'enum post_status { draft, published }',
+        'entity blogPost {',
+        '  id: ID @primary',
+        '  Title: string',
+        '  created_at: datetime',
+        '}'
+      ].join('\n')), [
+        '"post_status" should be PascalCase',
+        '"blogPost" should be PascalCase',
+        'Field "Title" should be camelCase',
+        'Field "created_at" should be camelCase'
+      ]);
+    });
+  });
+
+  describe('single-value-enum', () => {
+    it('reports enums and inline enum fields with a single value', () => {
+      assert.deepEqual(reported('single-value-enum', [
+        'enum Status { active }',
+        'entity User {',
+        '  id: ID @primary',
+        '  role: enum(admin)',
+        '  plan: enum(free, paid)',
+        '}'
+      ].join('\n')), [
+        'Enum "Status" has a single value; consider a boolean or a constant',
+        'Field "role" is an enum with a single value'
+      ]);
+    });
+  });
+
+  describe('default-type-mismatch', () => {
+    it('reports defaults that do not match the field type', () => {
+      assert.deepEqual(reported('default-type-mismatch', [
+        'enum Status { draft, published }',
+        'type Count = int @default(many)',
+        'entity Post {',
+        '  id: ID @primary',
+        '  views: int @default(1.5)',
+        '  isPublic: boolean @default(yes)',
+        '  status: Status @default(archived)',
+        '  publishedAt: datetime @default(today)',
+        '}'
+      ].join('\n')), [
+        '@default(many) does not match the type: expected an integer',
+        '@default(1.5) does not match the type: expected an integer',
+        '@default(yes) does not match the type: expected true or false',
+        '@default(archived) does not match the type: expected one of: draft, published',
+        '@default(today) does not match the type: expected now or a quoted date'
+      ]);
+    });
+
+    it('accepts defaults that match', () => {
+      assert.deepEqual(reported('default-type-mismatch', [
+        'enum Status { draft, published }',
+        'entity Post {',
+        '  id: int @primary @default(autoincrement)',
+        '  price: decimal(10,2) @default(9.99)',
+        '  isPublic: boolean @default(false)',
+        '  status: Status @default(draft)',
+        '  publishedAt: datetime @default(now)',
+        '  title: string @default("Untitled")',
+        '}'
+      ].join('\n')), []);
+    });
+  });
+
+  describe('orphan-entity', () => {
+    it('reports entities not related to any other', () => {
+      assert.deepEqual(reported('orphan-entity', `${CLEAN}\n\nentity Setting {\n  id: ID @primary\n}`), [
+        'Entity "Setting" is not related to any other entity'
+      ]);
+    });
+
+    it('counts relations inherited from mixins', () => {
+      assert.deepEqual(reported('orphan-entity', [
+        'mixin Owned {',
+        '  owner: User @index',
+        '}',
+        'entity User {',
+        '  id: ID @primary',
+        '}',
+        'entity Document uses Owned {',
+        '  id: ID @primary',
+        '}'
+      ].join('\n')), []);
+    });
+
+    it('does not report a schema with a single entity', () => {
+      assert.deepEqual(reported('orphan-entity', 'entity Setting {\n  id: ID @primary\n}'), []);
+    });
+  });
+
+  describe('required-relation-cycle', () => {
+    it('reports a cycle of required references once', () => {
+      assert.deepEqual(reported('required-relation-cycle', [
+        'entity Team {',
+        '  id: ID @primary',
+        '  captain: Player @index @nullable(false)',
+        '}',
+        'entity Player {',
+        '  id: ID @primary',
+        '  team: Team @index @nullable(false)',
+        '}'
+      ].join('\n')), [
+        'Required references form a cycle (Team.captain → Player.team → Team); make one of them @nullable(true)'
+      ]);
+    });
+
+    it('reports required references to the same entity', () => {
+      assert.deepEqual(reported('required-relation-cycle', 'entity Node {\n  id: ID @primary\n  parent: Node @index @nullable(false)\n}'), [
+        'Required references form a cycle (Node.parent → Node); make one of them @nullable(true)'
+      ]);
+    });
+
+    it('accepts cycles with a nullable reference', () => {
+      assert.deepEqual(reported('required-relation-cycle', [
+        'entity Team {',
+        '  id: ID @primary',
+        '  captain: Player @index',
+        '}',
+        'entity Player {',
+        '  id: ID @primary',
+        '  team: Team @index @nullable(false)',
+        '}'
+      ].join('\n')), []);
+    });
+  });
+
+  it('reports at the range of the offending name', () => {
+    const [diagnostic] = lintSchema(parseDataModelSchema('entity Note {\n  body: text\n}'))
+      .filter(candidate => candidate.code === 'require-primary-key');
+    assert.equal(diagnostic.severity, 'warning');
+    assert.deepEqual(
+      [diagnostic.range.start.line, diagnostic.range.start.column, diagnostic.range.end.column],
+      [1, 8, 12]
+    );
+  });
+
+  it('marks diagnostics of multi-file schemas with their file', () => {
+    const diagnostics = lintSchema(parseDataModelFiles([
+      { name: 'users.dm', content: 'entity User {\n  id: ID @primary\n}' },
+      { name: 'notes.dm', content: 'entity Note {\n  body: text\n}' }
+    ]));
+    assert.deepEqual(
+      diagnostics.map(diagnostic => [diagnostic.code, diagnostic.file]),
+      [['require-primary-key', 'notes.dm'], ['orphan-entity', 'notes.dm'], ['orphan-entity', 'users.dm']]
+    );
+  });
+
+  it('does not lint schemas with errors', () => {
+    const schema = parseDataModelSchema('entity Note {\n  body: nope\n}');
+    assert.ok(schema.errors.length > 0);
+    assert.deepEqual(lintSchema(schema), []);
+  });
+});
+
+describe('lint config', () => {
+  const SOURCE = 'entity Note {\n  body: text\n}\n\nentity tag {\n  id: ID @primary\n}';
+  const codesOf = (lintConfig) => lintSchema(parseDataModelSchema(SOURCE), lintConfig)
+    .map(diagnostic => `${diagnostic.code}:${diagnostic.severity}`);
+
+  it('reports every rule at its default severity', () => {
+    assert.deepEqual(codesOf(undefined), [
+      'require-primary-key:warning',
+      'orphan-entity:info',
+      'naming-convention:warning',
+      'orphan-entity:info'
+    ]);
+    for (const ruleId of Object.keys(LINT_RULES)) {
+      assert.equal(ruleSeverity(undefined, ruleId), LINT_RULES[ruleId].severity);
+    }
+  });
+
+  it('overrides the severity of rules and turns them off', () => {
+    assert.deepEqual(codesOf({ rules: { 'require-primary-key': 'error', 'orphan-entity': 'off' } }), [
+      'require-primary-key:error',
+      'naming-convention:warning'
+    ]);
+    assert.equal(ruleSeverity({ rules: { 'naming-convention': 'info' } }, 'naming-convention'), 'info');
+  });
+
+  describe('blockingDiagnostics', () => {
+    const diagnosticsUnder = (lintConfig) => lintSchema(parseDataModelSchema(SOURCE), lintConfig);
+    const blockingCodes = (lintConfig) => blockingDiagnostics(diagnosticsUnder(lintConfig), lintConfig)
+      .map(diagnostic => diagnostic.code);
+
+    it('blocks saving on errors by default', () => {
+      assert.deepEqual(blockingCodes(undefined), []);
+      assert.deepEqual(blockingCodes({ rules: { 'naming-convention': 'error' } }), ['naming-convention']);
+    });
+
+    it('blocks saving on diagnostics at or above blockSaveOn', () => {
+      assert.deepEqual(blockingCodes({ rules: {}, blockSaveOn: 'warning' }), ['require-primary-key', 'naming-convention']);
+      assert.deepEqual(blockingCodes({ rules: {}, blockSaveOn: 'info' }), [
+        'require-primary-key',
+        'orphan-entity',
+        'naming-convention',
+        'orphan-entity'
+      ]);
+    });
+
+    it('never blocks saving under blockSaveOn: never', () => {
+      assert.deepEqual(blockingCodes({ rules: { 'require-primary-key': 'error' }, blockSaveOn: 'never' }), []);
+    });
+
+    it('does not block on rules that are turned off', () => {
+      assert.deepEqual(blockingCodes({ rules: { 'require-primary-key': 'off', 'naming-convention': 'off' }, blockSaveOn: 'warning' }), []);
+    });
+  });
+
+  describe('lintConfigProblem', () => {
+    it('accepts configs that only use known rules, severities and levels', () => {
+      assert.equal(lintConfigProblem({ rules: {}, blockSaveOn: 'error' }), null);
+      assert.equal(lintConfigProblem({ rules: { 'naming-convention': 'off', 'orphan-entity': 'error' } }), null);
+      assert.equal(lintConfigProblem({ blockSaveOn: 'never' }), null);
+      assert.equal(lintConfigProblem({}), null);
+    });
+
+    it('rejects unknown rules, severities and blockSaveOn levels', () => {
+      assert.equal(lintConfigProblem({ rules: { 'no-such-rule': 'error' } }), 'Unknown lint rule "no-such-rule"');
+      assert.match(lintConfigProblem({ rules: { 'naming-convention': 'warn' } }), /^Invalid severity "warn" for lint rule "naming-convention"/);
+      assert.match(lintConfigProblem({ rules: {}, blockSaveOn: 'off' }), /^Invalid blockSaveOn "off"/);
+      assert.match(lintConfigProblem({ rules: {}, blockSaveOn: 'warn' }), /^Invalid blockSaveOn "warn"/);
+    });
+
+    it('rejects configs of the wrong shape', () => {
+      assert.equal(lintConfigProblem(null), 'Lint config must be an object');
+      assert.equal(lintConfigProblem(['error']), 'Lint config must be an object');
+      assert.equal(lintConfigProblem({ rules: ['naming-convention'] }), 'Lint config rules must be an object');
+      assert.equal(lintConfigProblem({ rules: {}, severity: 'error' }), 'Unknown lint config key "severity"');
+    });
+  });
+});
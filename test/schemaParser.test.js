@@ -0,0 +1,432 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSchema } from '../src/lib/schemaParser.js';
+import { parseDataModelSchema, parseDataModelFiles, formatTypeParams } from '../src/lib/modelParser.js';
+
+const codesOf = (diagnostics) => diagnostics.map(diagnostic => diagnostic.code);
+const membersOf = (declaration) => declaration.members.map(member => member.name);
+
+describe('parseSchema', () => {
+  it('parses entities and their fields into an AST', () => {
+    const { ast, diagnostics } = parseSchema([
+      'entity User {',
+      '  id: ID @primary',
+      '}',
+      'entity Post {',
+      '  author: User',
+      '  tags: string[]',
+      '}'
+    ].join('\n'));
+
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(ast.declarations.map(node => [node.type, node.name]), [['Entity', 'User'], ['Entity', 'Post']]);
+    const [user, post] = ast.declarations;
+    assert.deepEqual(user.members.map(member => [member.type, member.name, member.typeRef.raw]), [['Field', 'id', 'ID']]);
+    assert.deepEqual(user.members[0].modifiers.map(modifier => modifier.name), ['primary']);
+    assert.deepEqual(membersOf(post), ['author', 'tags']);
+    assert.equal(post.members[1].typeRef.isArray, true);
+  });
+
+  it('parses @@ attributes as entity members', () => {
+    const { ast, diagnostics } = parseSchema('entity Post {\n  tags: string[]\n  @@index([tags])\n}');
+    assert.deepEqual(diagnostics, []);
+    const [, attribute] = ast.declarations[0].members;
+    assert.deepEqual([attribute.type, attribute.name, attribute.args[0].kind], ['EntityAttribute', 'index', 'list']);
+  });
+
+  it('parses enum declarations', () => {
+    const { ast, diagnostics } = parseSchema('enum Status { active, archived }');
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual([ast.declarations[0].type, ast.declarations[0].name], ['Enum', 'Status']);
+    assert.deepEqual(ast.declarations[0].values.map(value => value.name), ['active', 'archived']);
+  });
+
+  it('parses abstract entities, mixins, extends and uses', () => {
+    const { ast, diagnostics } = parseSchema([
+      'abstract entity Base { id: ID @primary }',
+      'mixin Audited { updatedBy: string }',
+      'entity Post extends Base uses Audited { title: string }'
+    ].join('\n'));
+    assert.deepEqual(diagnostics, []);
+    const [base, audited, post] = ast.declarations;
+    assert.deepEqual([base.type, base.isAbstract], ['Entity', true]);
+    assert.deepEqual([audited.type, membersOf(audited)], ['Mixin', ['updatedBy']]);
+    assert.equal(post.extends.name, 'Base');
+    assert.deepEqual(post.uses.map(mixin => mixin.name), ['Audited']);
+  });
+
+  it('parses type aliases', () => {
+    const { ast, diagnostics } = parseSchema('type Money = decimal(12,2) @min(0)');
+    assert.deepEqual(diagnostics, []);
+    const [money] = ast.declarations;
+    assert.deepEqual([money.type, money.name], ['TypeAlias', 'Money']);
+    assert.deepEqual(money.typeRef.args.map(arg => arg.value), [12, 2]);
+    assert.deepEqual(money.modifiers.map(modifier => modifier.name), ['min']);
+  });
+
+  it('parses imports and qualified type references', () => {
+    const { ast, diagnostics } = parseSchema('import "identity"\nentity Invoice { owner: identity.User }');
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(ast.imports.map(node => node.name), ['identity']);
+    assert.deepEqual(ast.declarations[0].members[0].typeRef.path, ['identity', 'User']);
+  });
+
+  it('types modifier arguments and keeps their source text', () => {
+    const { ast } = parseSchema('entity A { email: string @default(a@b.com) @min(-1) @pattern("^[a-z]+$") @check(x > 0) }');
+    const [defaultValue, min, pattern, check] = ast.declarations[0].members[0].modifiers;
+    assert.equal(defaultValue.raw, 'a@b.com');
+    assert.deepEqual([min.args[0].kind, min.args[0].value], ['number', -1]);
+    assert.deepEqual([pattern.args[0].kind, pattern.args[0].value], ['string', '^[a-z]+$']);
+    assert.deepEqual([check.args[0].kind, check.raw], ['expression', 'x > 0']);
+  });
+
+  it('allows fields to span lines and share a line with braces', () => {
+    const { ast, diagnostics } = parseSchema('entity A { id: ID\n  @primary\n  name:\n    string }');
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(membersOf(ast.declarations[0]), ['id', 'name']);
+    assert.deepEqual(ast.declarations[0].members[0].modifiers.map(modifier => modifier.name), ['primary']);
+  });
+
+  it('gives every node a range', () => {
+    const source = 'entity User {\n  email: string @unique\n}';
+    const { ast } = parseSchema(source);
+    const entity = ast.declarations[0];
+    const field = entity.members[0];
+    const slice = ({ range }) => source.slice(range.start.offset, range.end.offset);
+
+    assert.equal(slice(entity), source);
+    assert.equal(slice({ range: entity.nameRange }), 'User');
+    assert.equal(slice(field), 'email: string @unique');
+    assert.deepEqual(field.range.start, { line: 2, column: 3, offset: 16 });
+    assert.equal(slice(field.typeRef), 'string');
+    assert.equal(slice(field.modifiers[0]), '@unique');
+    assert.deepEqual(ast.range.end, { line: 3, column: 2, offset: source.length });
+  });
+
+  it('reads /// comments above a declaration or field as its description', () => {
+    const { ast } = parseSchema('/// Someone\n/// who signs in\nentity User {\n  /// Login\n  email: string // not a description\n}');
+    const entity = ast.declarations[0];
+    assert.equal(entity.description, 'Someone\nwho signs in');
+    assert.equal(entity.members[0].description, 'Login');
+  });
+
+  describe('error recovery', () => {
+    it('skips a malformed field and parses the rest', () => {
+      const { ast, diagnostics } = parseSchema('entity A {\n  id ID\n  name: string\n}\nentity B { x: int }');
+      assert.deepEqual(codesOf(diagnostics), ['expected-colon']);
+      assert.deepEqual(diagnostics[0].range.start, { line: 2, column: 3, offset: 13 });
+      assert.deepEqual(ast.declarations.map(membersOf), [['name'], ['x']]);
+    });
+
+    it('closes an unclosed entity at the next declaration', () => {
+      const { ast, diagnostics } = parseSchema('entity A {\n  x: int\nentity B { y: int }');
+      assert.deepEqual(codesOf(diagnostics), ['unclosed-entity']);
+      assert.deepEqual(diagnostics[0].range.start, { line: 1, column: 10, offset: 9 });
+      assert.deepEqual(ast.declarations.map(membersOf), [['x'], ['y']]);
+    });
+
+    it('resynchronizes after stray top-level tokens', () => {
+      const { ast, diagnostics } = parseSchema('} garbage here\nentity A { x: int }');
+      assert.deepEqual(codesOf(diagnostics), ['unexpected-token']);
+      assert.deepEqual(ast.declarations.map(node => node.name), ['A']);
+    });
+
+    it('reports invalid enum values and keeps the valid ones', () => {
+      const { ast, diagnostics } = parseSchema('enum E { a, 1, b }');
+      assert.deepEqual(codesOf(diagnostics), ['invalid-enum-value']);
+      assert.deepEqual(ast.declarations[0].values.map(value => value.name), ['a', 'b']);
+    });
+
+    it('stops unclosed arguments at the end of the block', () => {
+      const { ast, diagnostics } = parseSchema('entity C { x: int @default(3 }\nentity D { y: int }');
+      assert.deepEqual(codesOf(diagnostics), ['unclosed-paren']);
+      assert.deepEqual(ast.declarations.map(node => node.name), ['C', 'D']);
+    });
+
+    it('reports each problem of a truncated schema once', () => {
+      const { diagnostics } = parseSchema('entity A { s: string @pattern("a');
+      assert.deepEqual(codesOf(diagnostics), ['unterminated-string', 'unclosed-paren', 'unclosed-entity']);
+    });
+
+    it('rejects entities without a name', () => {
+      const { ast, diagnostics } = parseSchema('entity { }\nentity M { a: int }');
+      assert.deepEqual(codesOf(diagnostics), ['invalid-entity']);
+      assert.deepEqual(ast.declarations.map(node => node.name), ['M']);
+    });
+
+    it('rejects type aliases without "="', () => {
+      const { ast, diagnostics } = parseSchema('type Money decimal\nentity M { a: int }');
+      assert.deepEqual(codesOf(diagnostics), ['invalid-type-alias']);
+      assert.deepEqual(ast.declarations.map(node => node.name), ['M']);
+    });
+
+    it('rejects imports without a quoted file name', () => {
+      const { diagnostics } = parseSchema('import identity\nentity M { a: int }');
+      assert.deepEqual(codesOf(diagnostics), ['invalid-import']);
+    });
+  });
+});
+
+describe('parseDataModelSchema', () => {
+  it('returns the entities and relations of a valid schema', () => {
+    const result = parseDataModelSchema('entity User {\n  id: ID @primary\n  posts: Post[]\n}\nentity Post {\n  id: ID @primary\n  author: User\n}');
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(Object.keys(result.entities), ['User', 'Post']);
+    assert.deepEqual(Object.values(result.relations).map(relation => [relation.fromEntity, relation.fieldName, relation.toEntity]), [
+      ['Post', 'author', 'User']
+    ]);
+    // The back-reference is paired with the reference
+    assert.deepEqual([result.relations['Post.author'].cardinality, result.relations['Post.author'].inverseField], ['n:1', 'posts']);
+  });
+
+  it('reads @@id, @@unique and @@index into constraints', () => {
+    const result = parseDataModelSchema('entity A {\n  a: int\n  b: string\n  @@id([a, b])\n  @@unique([b])\n  @@index([b, a])\n}');
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.entities.A.constraints, [
+      { type: 'id', fields: ['a', 'b'] },
+      { type: 'unique', fields: ['b'] },
+      { type: 'index', fields: ['b', 'a'] }
+    ]);
+    // Composite key columns are required
+    assert.equal(result.entities.A.fields.a.isNullable, false);
+  });
+
+  it('rejects unknown fields and a second @@id', () => {
+    assert.deepEqual(codesOf(parseDataModelSchema('entity A {\n  a: int\n  @@unique([nope])\n}').diagnostics), ['unknown-field']);
+    assert.deepEqual(codesOf(parseDataModelSchema('entity A {\n  a: int\n  @@id([a])\n  @@id([a])\n}').diagnostics), ['conflicting-primary-key']);
+  });
+
+  it('resolves fields typed by a named enum', () => {
+    const result = parseDataModelSchema('enum Status { active, archived }\nentity A {\n  id: ID @primary\n  status: Status @default(active)\n}');
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.enums, { Status: { values: ['active', 'archived'] } });
+    assert.equal(result.entities.A.fields.status.enumName, 'Status');
+    assert.deepEqual(Object.keys(result.relations), []);
+  });
+
+  it('rejects duplicate enum values and declarations', () => {
+    assert.deepEqual(codesOf(parseDataModelSchema('enum S { a, a }\nenum S { b, c }').diagnostics), [
+      'duplicate-enum-value',
+      'duplicate-declaration'
+    ]);
+  });
+
+  it('resolves dotted references against the target entity', () => {
+    const result = parseDataModelSchema([
+      'entity User {',
+      '  id: ID @primary',
+      '  email: string @unique',
+      '  name: string',
+      '}',
+      'entity Review {',
+      '  id: ID @primary',
+      '  author: User.email',
+      '  byName: User.name',
+      '  missing: User.nope',
+      '}'
+    ].join('\n'));
+    assert.deepEqual(
+      Object.values(result.relations).map(relation => [relation.fieldName, relation.referencedField]),
+      [['author', 'email'], ['byName', 'name']]
+    );
+    assert.deepEqual(
+      result.diagnostics.map(diagnostic => [diagnostic.severity, diagnostic.code]),
+      [['warning', 'non-unique-reference'], ['error', 'unknown-referenced-field']]
+    );
+  });
+
+  it('reads type parameters and writes them back', () => {
+    const result = parseDataModelSchema('entity A {\n  name: string(120)\n  price: decimal(12,2)\n  at: datetime(tz)\n}');
+    assert.deepEqual(result.errors, []);
+    const { name, price, at } = result.entities.A.fields;
+    assert.deepEqual([name.typeParams, price.typeParams, at.typeParams], [{ length: 120 }, { precision: 12, scale: 2 }, { timezone: true }]);
+    assert.deepEqual([name, price, at].map(field => formatTypeParams(field.typeParams)), ['(120)', '(12,2)', '(tz)']);
+  });
+
+  it('rejects invalid type parameters', () => {
+    const result = parseDataModelSchema('entity A {\n  a: string(0)\n  b: decimal(2,3)\n  c: int(4)\n}');
+    assert.deepEqual(codesOf(result.diagnostics), ['invalid-type-parameters', 'invalid-type-parameters', 'unexpected-type-parameters']);
+  });
+
+  it('reads validation modifiers into constraints', () => {
+    const result = parseDataModelSchema([
+      'entity A {',
+      '  age: int @min(0) @max(150)',
+      '  name: string @length(1, 80) @pattern("^[a-z]+$")',
+      '  price: decimal @check(price > 0)',
+      '}'
+    ].join('\n'));
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(Object.values(result.entities.A.fields).map(field => field.constraints), [
+      { min: 0, max: 150 },
+      { minLength: 1, maxLength: 80, pattern: '^[a-z]+$' },
+      { check: 'price > 0' }
+    ]);
+  });
+
+  it('rejects validation modifiers that do not fit the field', () => {
+    const result = parseDataModelSchema('entity A {\n  name: string @min(1)\n  age: int @min(a)\n}');
+    assert.deepEqual(codesOf(result.diagnostics), ['invalid-modifier-type', 'invalid-modifier-arguments']);
+  });
+
+  it('reads referential actions onto the relation', () => {
+    const result = parseDataModelSchema([
+      'entity User {',
+      '  id: ID @primary',
+      '}',
+      'entity Post {',
+      '  id: ID @primary',
+      '  author: User @onDelete(cascade) @onUpdate(restrict)',
+      '  editor: User @onDelete(setNull)',
+      '}'
+    ].join('\n'));
+    assert.deepEqual(result.errors, []);
+    const { onDelete, onUpdate } = result.relations['Post.author'];
+    assert.deepEqual([onDelete, onUpdate], ['cascade', 'restrict']);
+    assert.equal(result.relations['Post.editor'].onDelete, 'setNull');
+  });
+
+  it('rejects referential actions off relations, unknown ones and setNull on required fields', () => {
+    const result = parseDataModelSchema([
+      'entity User {',
+      '  id: ID @primary',
+      '  name: string @onDelete(cascade)',
+      '}',
+      'entity Post {',
+      '  id: ID @primary',
+      '  author: User @onDelete(explode)',
+      '  editor: User @nullable(false) @onDelete(setNull)',
+      '}'
+    ].join('\n'));
+    assert.deepEqual(codesOf(result.diagnostics), ['invalid-modifier-type', 'invalid-modifier-arguments', 'invalid-referential-action']);
+  });
+
+  it('pairs reciprocal lists into an n:n relation with a join entity', () => {
+    const result = parseDataModelSchema([
+      'entity Post {',
+      '  id: ID @primary',
+      '  tags: Tag[] @joinEntity(PostTag)',
+      '}',
+      'entity Tag {',
+      '  id: ID @primary',
+      '  posts: Post[]',
+      '}'
+    ].join('\n'));
+    assert.deepEqual(result.errors, []);
+    const { cardinality, inverseField, joinEntity } = result.relations['Post.tags'];
+    assert.deepEqual([cardinality, inverseField, joinEntity], ['n:n', 'posts', 'PostTag']);
+    assert.equal(result.relations['Tag.posts'], undefined);
+    assert.deepEqual(Object.keys(result.entities.PostTag.fields), ['post', 'tag']);
+    assert.deepEqual(result.entities.PostTag.constraints, [{ type: 'id', fields: ['post', 'tag'] }]);
+  });
+
+  it('reports a @relation name without a matching field', () => {
+    const result = parseDataModelSchema('entity A {\n  id: ID @primary\n  bs: B[] @relation(Link)\n}\nentity B {\n  id: ID @primary\n}');
+    assert.deepEqual(codesOf(result.diagnostics), ['unpaired-relation']);
+  });
+
+  it('flattens inherited fields into entities', () => {
+    const result = parseDataModelSchema([
+      'abstract entity Base {',
+      '  id: ID @primary',
+      '}',
+      'mixin Audited {',
+      '  updatedBy: string',
+      '}',
+      'entity Post extends Base uses Audited {',
+      '  title: string',
+      '}'
+    ].join('\n'));
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(Object.keys(result.entities), ['Post']);
+    assert.deepEqual(Object.keys(result.templates), ['Base', 'Audited']);
+    assert.deepEqual(
+      Object.entries(result.entities.Post.fields).map(([name, field]) => [name, field.inheritedFrom]),
+      [['id', 'Base'], ['updatedBy', 'Audited'], ['title', undefined]]
+    );
+  });
+
+  it('rejects extending anything but an abstract entity', () => {
+    const result = parseDataModelSchema('entity A extends B {\n  x: int\n}\nentity C extends C {\n  y: int\n}');
+    assert.deepEqual(codesOf(result.diagnostics), ['unknown-type', 'invalid-inheritance']);
+  });
+
+  it('resolves type aliases and merges their modifiers with the field\'s', () => {
+    const result = parseDataModelSchema('type Money = decimal(12,2) @min(0)\nentity A {\n  id: ID @primary\n  price: Money @max(100)\n}');
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.aliases.Money.definition, 'decimal(12,2) @min(0)');
+    const { type, typeAlias, typeParams, constraints } = result.entities.A.fields.price;
+    assert.deepEqual([type, typeAlias, typeParams, constraints], ['decimal(12,2)', 'Money', { precision: 12, scale: 2 }, { min: 0, max: 100 }]);
+  });
+
+  it('rejects circular type aliases', () => {
+    assert.deepEqual(codesOf(parseDataModelSchema('type A = B\ntype B = A').diagnostics), ['circular-type-alias']);
+  });
+
+  it('keeps descriptions on entities and fields', () => {
+    const result = parseDataModelSchema('/// Someone who signs in\nentity User {\n  /// Login\n  email: string\n}');
+    assert.equal(result.entities.User.description, 'Someone who signs in');
+    assert.equal(result.entities.User.fields.email.description, 'Login');
+  });
+
+  it('reports errors with their position', () => {
+    const result = parseDataModelSchema('entity User {\n  id ID\n}');
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.errors, ['Line 2, column 3: Expected ":" after field name "id"']);
+  });
+});
+
+describe('parseDataModelFiles', () => {
+  const IDENTITY = { name: 'identity.dm', content: 'entity User {\n  id: ID @primary\n}' };
+
+  it('resolves imported qualified names', () => {
+    const result = parseDataModelFiles([
+      IDENTITY,
+      { name: 'billing.dm', content: 'import "identity"\nentity Invoice {\n  id: ID @primary\n  owner: identity.User\n}' }
+    ]);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.relations['Invoice.owner'].toEntity, 'User');
+    assert.deepEqual([result.entities.User.file, result.entities.Invoice.file], ['identity.dm', 'billing.dm']);
+  });
+
+  it('reports references to other files that are unqualified or wrongly qualified', () => {
+    const result = parseDataModelFiles([
+      IDENTITY,
+      { name: 'billing.dm', content: 'entity Invoice {\n  id: ID @primary\n  owner: User\n  other: billing.User\n}' }
+    ]);
+    assert.deepEqual(
+      result.diagnostics.map(diagnostic => [diagnostic.file, diagnostic.code]),
+      [['billing.dm', 'unqualified-reference'], ['billing.dm', 'unknown-type']]
+    );
+  });
+
+  it('keys names declared by several files by their qualified name', () => {
+    const result = parseDataModelFiles([
+      { name: 'identity.dm', content: 'entity User {\n  id: ID @primary\n  email: string @unique\n}\n\nentity Session {\n  id: ID @primary\n  user: User\n}' },
+      { name: 'billing.dm', content: 'import "identity"\nentity User {\n  id: ID @primary\n  login: identity.User.email\n}\n\nentity Invoice {\n  id: ID @primary\n  user: User\n}' }
+    ]);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(Object.keys(result.entities), ['identity.User', 'Session', 'billing.User', 'Invoice']);
+    assert.equal(result.relations['Session.user'].toEntity, 'identity.User');
+    assert.equal(result.relations['Invoice.user'].toEntity, 'billing.User');
+    assert.deepEqual(
+      [result.relations['billing.User.login'].toEntity, result.relations['billing.User.login'].referencedField],
+      ['identity.User', 'email']
+    );
+    assert.equal(result.entities['billing.User'].fields.login.type, 'identity.User.email');
+  });
+
+  it('reports unqualified references to a name that several other files declare', () => {
+    const result = parseDataModelFiles([
+      IDENTITY,
+      { name: 'crm.dm', content: 'entity User {\n  id: ID @primary\n}' },
+      { name: 'billing.dm', content: 'entity Invoice {\n  id: ID @primary\n  owner: User\n}' }
+    ]);
+    assert.deepEqual(
+      result.diagnostics.map(diagnostic => [diagnostic.file, diagnostic.code]),
+      [['billing.dm', 'unqualified-reference']]
+    );
+    assert.match(result.errors[0], /"User" is declared in "identity\.dm" and "crm\.dm"/);
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseDataModelSchema, parseDataModelFiles } from '../src/lib/modelParser.js';
+import { writeSchemaRows, savedSchemaText, SAVED_SCHEMA_INCLUDE } from '../src/lib/schemaRows.js';
+import { EXAMPLE_SCHEMA } from '../src/lib/exampleSchema.js';
+import { withExportedNames } from '../src/lib/schemaNames.js';
+import { generateDdl } from '../src/lib/sqlExport.js';
+import { fixtureSchemas } from './helpers.js';
+import { createMemoryStore } from './memoryStore.js';
+
+// Text printed from rows is compared with golden files under
+// fixtures/golden. After an intended change to the printed text, regenerate
+// them with `UPDATE_GOLDEN=1 npm test` and review the diff.
+const GOLDEN = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'golden');
+
+const assertGolden = (name, actual) => {
+  const file = path.join(GOLDEN, name);
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, actual);
+  }
+  assert.equal(actual, fs.readFileSync(file, 'utf8'));
+};
+
+// Saves a schema the way saveDataModelSchema does and loads it the way
+// getDataModelSchema does
+const save = async ({ schema, files }) => {
+  const store = createMemoryStore();
+  const dataModel = await store.DataModel.create({ data: { name: 'Test', version: '1', userId: 1 } });
+  const parsedSchema = files ? parseDataModelFiles(files) : parseDataModelSchema(schema);
+  assert.deepEqual(parsedSchema.errors, []);
+  await writeSchemaRows(store, dataModel.id, parsedSchema, { schema, files });
+
+  const load = async () => savedSchemaText(await store.DataModel.findUnique({
+    where: { id: dataModel.id },
+    include: SAVED_SCHEMA_INCLUDE
+  }));
+  // Forgets the stored text, like models saved before it was stored
+  const forgetSource = async () => {
+    await store.DataModel.update({ where: { id: dataModel.id }, data: { schemaSource: null } });
+    for (const schemaFile of store.tables.SchemaFile) schemaFile.content = null;
+  };
+  return { store, load, forgetSource };
+};
+
+// Entities with their field names and types in declaration order
+const fieldsOf = (parsedSchema) => Object.fromEntries(
+  Object.entries({ ...parsedSchema.templates, ...parsedSchema.entities }).map(([name, entity]) => [
+    name,
+    Object.entries(entity.fields)
+      .filter(([, field]) => !field.inheritedFrom)
+      .map(([fieldName, field]) => `${fieldName}: ${field.type}${field.isArray ? '[]' : ''}`)
+  ])
+);
+
+const { single, multiFile } = fixtureSchemas();
+const singleFileSchemas = [{ name: 'example.dm', source: EXAMPLE_SCHEMA }, ...single];
+
+describe('saving and loading a schema', () => {
+  for (const { name, source } of singleFileSchemas) {
+    describe(name, () => {
+      it('returns the saved text unchanged', async () => {
+        const { load } = await save({ schema: source });
+        assert.deepEqual(await load(), { schema: source, files: [] });
+      });
+
+      it('prints models saved without their text from rows', async () => {
+        const { load, forgetSource } = await save({ schema: source });
+        await forgetSource();
+        const { schema } = await load();
+        assertGolden(name, schema);
+
+        // Declarations, field order, types and references are kept
+        const printed = parseDataModelSchema(schema);
+        assert.deepEqual(printed.errors, []);
+        assert.deepEqual(fieldsOf(printed), fieldsOf(parseDataModelSchema(source)));
+        assert.deepEqual(printed.relations, parseDataModelSchema(source).relations);
+      });
+
+      it('prints the same text after saving printed text again', async () => {
+        const first = await save({ schema: source });
+        await first.forgetSource();
+        const { schema: printed } = await first.load();
+
+        const second = await save({ schema: printed });
+        await second.forgetSource();
+        assert.equal((await second.load()).schema, printed);
+      });
+    });
+  }
+
+  for (const { name, files } of multiFile) {
+    describe(name, () => {
+      it('returns the saved files unchanged', async () => {
+        const { load } = await save({ files });
+        const loaded = await load();
+        assert.deepEqual(loaded.files, files);
+        assert.equal(loaded.schema, files.map(file => `// ${file.name}\n${file.content}`).join('\n\n'));
+      });
+
+      it('prints files saved without their text from rows', async () => {
+        const { load, forgetSource } = await save({ files });
+        await forgetSource();
+        const loaded = await load();
+        assert.deepEqual(loaded.files.map(file => file.name), files.map(file => file.name));
+        for (const file of loaded.files) assertGolden(path.join(name, file.name), file.content);
+
+        const printed = parseDataModelFiles(loaded.files);
+        assert.deepEqual(printed.errors, []);
+        assert.deepEqual(fieldsOf(printed), fieldsOf(parseDataModelFiles(files)));
+        assert.deepEqual(printed.relations, parseDataModelFiles(files).relations);
+      });
+    });
+  }
+
+  // Rows only store /// comments, as descriptions; other comments and blank
+  // lines are kept by the saved text
+  it('keeps comments and blank lines', async () => {
+    const source = '// Users\n\n/// Someone who signs in\nentity User {\n  id: ID @primary // generated\n\n  /// Where mail goes\n  email: string\n}\n';
+    const { load, forgetSource } = await save({ schema: source });
+    assert.equal((await load()).schema, source);
+
+    await forgetSource();
+    const { schema } = await load();
+    assert.match(schema, /^\/\/\/ Someone who signs in\nentity User \{$/m);
+    assert.match(schema, /^ {2}\/\/\/ Where mail goes\n {2}email: +string$/m);
+  });
+
+  it('keeps scalar lists and dotted references when printing from rows', async () => {
+    const source = 'entity User {\n  id: ID @primary\n  email: string @unique\n  tags: string[]\n}\n\nentity Review {\n  id: ID @primary\n  author: User.email\n}\n';
+    const { load, forgetSource } = await save({ schema: source });
+    await forgetSource();
+    const { schema } = await load();
+    assert.match(schema, /^ {2}tags: +string\[\]$/m);
+    assert.match(schema, /^ {2}author: +User\.email$/m);
+  });
+
+  it('replaces the rows of the previous save', async () => {
+    const { store } = await save({ schema: 'entity A {\n  id: ID @primary\n}\n' });
+    const dataModelId = store.tables.DataModel[0].id;
+    await writeSchemaRows(store, dataModelId, parseDataModelSchema('entity B {\n  id: ID @primary\n}\n'), {
+      schema: 'entity B {\n  id: ID @primary\n}\n'
+    });
+    assert.deepEqual(store.tables.ModelEntity.map(entity => entity.name), ['B']);
+    assert.equal(store.tables.Field.length, 1);
+  });
+
+  it('exports names that several files declare with their namespace', async () => {
+    const files = [
+      { name: 'identity.dm', content: 'enum Status {\n  active\n}\n\nentity User {\n  id: ID @primary\n  status: Status\n}\n' },
+      { name: 'billing.dm', content: 'import "identity"\n\nentity User {\n  id: ID @primary\n  login: identity.User\n}\n' }
+    ];
+    const { store } = await save({ files });
+    const dataModel = await store.DataModel.findUnique({
+      where: { id: store.tables.DataModel[0].id },
+      include: {
+        entities: { include: { fields: { include: { enum: true } } } },
+        relations: { include: { fromEntity: true, toEntity: true, fromField: true, toField: true, joinEntity: true } }
+      }
+    });
+    const ddl = generateDdl(withExportedNames(dataModel), 'postgres');
+    assert.match(ddl, /CREATE TABLE "IdentityUser"/);
+    assert.match(ddl, /CREATE TABLE "BillingUser"/);
+    assert.match(ddl, /REFERENCES "IdentityUser"/);
+    assert.doesNotMatch(ddl, /\w\.User/);
+  });
+});
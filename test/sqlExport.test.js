@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDataModelSchema } from '../src/lib/modelParser.js';
+import { writeSchemaRows } from '../src/lib/schemaRows.js';
+import { generateDdl } from '../src/lib/sqlExport.js';
+import { createMemoryStore } from './memoryStore.js';
+
+// Saves a schema and loads it the way the exports do
+const exportedModel = async (schema) => {
+  const store = createMemoryStore();
+  const dataModel = await store.DataModel.create({ data: { name: 'Test', version: '1', userId: 1 } });
+  const parsedSchema = parseDataModelSchema(schema);
+  assert.deepEqual(parsedSchema.errors, []);
+  await writeSchemaRows(store, dataModel.id, parsedSchema, { schema });
+  return store.DataModel.findUnique({
+    where: { id: dataModel.id },
+    include: {
+      entities: { include: { fields: { include: { enum: true } } } },
+      relations: { include: { fromEntity: true, toEntity: true, fromField: true, toField: { include: { enum: true } }, inverseField: true, joinEntity: true } }
+    }
+  });
+};
+
+// The type of each column of a CREATE TABLE statement
+const columnTypes = (ddl, table) => {
+  const body = ddl.match(new RegExp(`CREATE TABLE \`${table}\` \\(\\n([\\s\\S]*?)\\n\\)`))[1];
+  return Object.fromEntries(body.split(',\n')
+    .map(line => line.trim().match(/^`(\w+)` (\S+)/))
+    .filter(Boolean)
+    .map(([, column, type]) => [column, type]));
+};
+
+describe('generateDdl for MySQL', () => {
+  it('gives indexed text and urls a type InnoDB can index', async () => {
+    const ddl = generateDdl(await exportedModel([
+      'entity Page {',
+      '  id: ID @primary',
+      '  slug: text @unique',
+      '  summary: text @index',
+      '  body: text',
+      '  link: url @unique',
+      '  image: url',
+      '  title: text',
+      '  site: url',
+      '  @@unique([title, site])',
+      '}',
+      ''
+    ].join('\n')), 'mysql');
+    assert.deepEqual(columnTypes(ddl, 'Page'), {
+      id: 'CHAR(36)',
+      slug: 'VARCHAR(768)',
+      summary: 'VARCHAR(768)',
+      body: 'TEXT',
+      link: 'VARCHAR(768)',
+      image: 'VARCHAR(2048)',
+      title: 'VARCHAR(384)',
+      site: 'VARCHAR(384)'
+    });
+  });
+
+  it('gives columns referring to indexed text the same limit', async () => {
+    const ddl = generateDdl(await exportedModel([
+      'entity Tag {',
+      '  id: ID @primary',
+      '  label: text @unique',
+      '}',
+      '',
+      'entity Post {',
+      '  id: ID @primary',
+      '  tag: Tag.label',
+      '}',
+      ''
+    ].join('\n')), 'mysql');
+    assert.equal(columnTypes(ddl, 'Tag').label, 'VARCHAR(768)');
+    assert.equal(columnTypes(ddl, 'Post').tagLabel, 'VARCHAR(768)');
+  });
+});